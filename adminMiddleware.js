@@ -0,0 +1,95 @@
+import express from "express";
+import { listJobs, getJob, retryJob, discardJob } from "./jobQueue.js";
+import { validateRequest } from "./validation.js";
+import { getAuditLog } from "./audit.js";
+import { getTenant, listTenants } from "./tenants.js";
+import { logger } from "./logger.js";
+
+const router = express.Router();
+
+// List queued jobs - ?status=pending for waiting retries, ?status=dead for the dead-letter list,
+// ?tenantId= for one tenant's jobs
+router.get("/jobs", validateRequest("list-jobs"), (req, res) => {
+    const { status, tenantId } = req.query;
+    const jobs = listJobs({ status, tenantId });
+    return res.status(200).json({ jobs, count: jobs.length });
+});
+
+// Get a single job
+router.get("/jobs/:id", validateRequest("get-job"), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `No job found with ID ${req.params.id}` });
+    }
+    return res.status(200).json(job);
+});
+
+// Run a job again now with a fresh attempt budget (works for dead jobs too)
+router.post("/jobs/:id/retry", validateRequest("retry-job"), async (req, res) => {
+    try {
+        const job = await retryJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: `No job found with ID ${req.params.id}` });
+        }
+        return res.status(202).json({ success: true, message: `Job ${job.id} scheduled for retry`, job });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Discard a job without running it
+router.delete("/jobs/:id", validateRequest("discard-job"), async (req, res) => {
+    try {
+        const job = await discardJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: `No job found with ID ${req.params.id}` });
+        }
+        return res.status(200).json({ success: true, message: `Job ${job.id} discarded`, job });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Audit entries matching the query, newest first, across every tenant unless ?tenantId= names one
+async function queryAudit(query) {
+    const { tenantId, erCode, calendarId, recordId, action, source } = query;
+    const limit = Math.min(Number(query.limit) || 100, MAX_AUDIT_ENTRIES);
+    const tenants = tenantId ? [getTenant(tenantId)].filter(Boolean) : listTenants();
+
+    const results = await Promise.all(tenants.map(tenant => getAuditLog(tenant).query({ erCode, calendarId, recordId, action, source, limit })));
+    return results.flat().sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+}
+
+// Search the sync audit trail - ?erCode=, ?calendarId=, ?recordId=, ?action=, ?source=, ?tenantId=, ?limit=
+router.get("/audit", validateRequest("list-audit"), async (req, res) => {
+    if (req.query.tenantId && !getTenant(req.query.tenantId)) {
+        return res.status(404).json({ error: `Unknown tenant: ${req.query.tenantId}` });
+    }
+    try {
+        const entries = await queryAudit(req.query);
+        return res.status(200).json({ entries, count: entries.length });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// The audit trail of one ER code
+router.get("/audit/:erCode", validateRequest("get-audit"), async (req, res) => {
+    if (req.query.tenantId && !getTenant(req.query.tenantId)) {
+        return res.status(404).json({ error: `Unknown tenant: ${req.query.tenantId}` });
+    }
+    try {
+        const entries = await queryAudit({ ...req.query, erCode: req.params.erCode });
+        return res.status(200).json({ erCode: req.params.erCode, entries, count: entries.length });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
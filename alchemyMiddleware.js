@@ -1,126 +1,299 @@
 import express from "express";
 import fetch from "node-fetch";
-import { DateTime } from "luxon";
 import config from "./config.js";
+import { createTokenManager, fetchWithToken, getJwtExpiry } from "./tokenManager.js";
+import { enqueueJob, isRetryableError, registerJobHandler, supersedeJobs } from "./jobQueue.js";
+import { declinedAttendees } from "./attendees.js";
+import { alchemyDateSettings, alchemyField, buildMappedFields, convertToAlchemyFormat, fromGoogleAllDay, mergeFields } from "./fieldMapping.js";
+import { alchemyTimeZone } from "./timeZones.js";
+import { validateRequest, sendError } from "./validation.js";
+import { recordAudit, auditTimes } from "./audit.js";
+import { logger, correlationHeaders } from "./logger.js";
+import { upstreamRequest, rateLimitDetails, withKeyLock } from "./concurrency.js";
+import { getMappingStore } from "./mappingStore.js";
+import { checkGoogleChange } from "./syncConflicts.js";
 
 const router = express.Router();
 
-// Get Alchemy configuration from config.js
-const {
-  refreshUrl: ALCHEMY_REFRESH_URL,
-  updateUrl: ALCHEMY_UPDATE_URL,
-  tenantName: TENANT_NAME,
-  refreshToken: ALCHEMY_REFRESH_TOKEN,
-  fields: { startField, endField, statusField },
-  eventStatuses: { pushed, cancelled }
-} = config.alchemy;
+// Token managers per tenant, created on first use
+const tokenManagers = new Map();
 
 /**
- * Convert Date to Alchemy Format (UTC)
+ * Refresh Alchemy API Token
  */
-function convertToAlchemyFormat(dateString) {
-    try {
-        let date = DateTime.fromISO(dateString, { zone: "UTC" });
+async function refreshAlchemyToken(tenant) {
+    const { refreshUrl, refreshToken, tenantName } = tenant.alchemy;
+    const response = await upstreamRequest("alchemy", "token", () => fetch(refreshUrl, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...correlationHeaders() },
+        body: JSON.stringify({ refreshToken })
+    }));
 
-        if (!date.isValid) {
-            throw new Error(`Invalid date format received: ${dateString}`);
-        }
+    const data = await response.json();
 
-        return date.toUTC().toFormat("yyyy-MM-dd'T'HH:mm:ss'Z'");
-    } catch (error) {
-        console.error(`Date conversion error: ${error.message}`);
+    if (!response.ok) {
+        const error = new Error(`Alchemy Token Refresh Failed: ${JSON.stringify(data)}`);
+        error.status = response.status;
+        throw Object.assign(error, rateLimitDetails(response));
+    }
+
+    const tenantToken = data.tokens.find(token => token.tenant === tenantName);
+    if (!tenantToken) {
+        throw new Error(`Tenant '${tenantName}' not found in response.`);
+    }
+
+    // Alchemy access tokens are JWTs; fall back to the configured lifetime if the expiry can't be read
+    const expiry = getJwtExpiry(tenantToken.accessToken);
+    const expiresIn = expiry ? expiry - Math.floor(Date.now() / 1000) : config.tokens.alchemyTtlSeconds;
+
+    return { accessToken: tenantToken.accessToken, expiresIn };
+}
+
+// The tenant's Alchemy token manager
+export function getAlchemyTokens(tenant) {
+    if (!tokenManagers.has(tenant.id)) {
+        tokenManagers.set(tenant.id, createTokenManager(`Alchemy (${tenant.id})`, () => refreshAlchemyToken(tenant), {
+            tenant: tenant.id,
+            provider: "alchemy"
+        }));
+    }
+    return tokenManagers.get(tenant.id);
+}
+
+/**
+ * Build the Alchemy fields[] payload for a start/end time change. start and end are Google event
+ * times: { dateTime, timeZone } or, for all-day events, { date } (written per the tenant's allDay
+ * convention, with days starting at midnight where Alchemy shows times).
+ */
+export function buildTimeFields(tenant, start, end) {
+    const { fields: { startField, endField }, allDay } = tenant.alchemy;
+    let formattedStart, formattedEnd;
+
+    if (start?.date && end?.date) {
+        [formattedStart, formattedEnd] = fromGoogleAllDay(start.date, end.date, allDay, alchemyTimeZone(tenant)) || [];
+    } else {
+        // A date-time without an offset is a wall-clock time in the value's own timezone
+        formattedStart = convertToAlchemyFormat(start?.dateTime, undefined, { timeZone: start?.timeZone || alchemyTimeZone(tenant) });
+        formattedEnd = convertToAlchemyFormat(end?.dateTime, undefined, { timeZone: end?.timeZone || alchemyTimeZone(tenant) });
+    }
+
+    if (!formattedStart || !formattedEnd) {
         return null;
     }
+
+    return [alchemyField(startField, formattedStart), alchemyField(endField, formattedEnd)];
 }
 
 /**
- * Refresh Alchemy API Token
+ * Build the Alchemy fields[] payload for an event status change (default: the tenant's cancelled status)
  */
-async function refreshAlchemyToken() {
-    try {
-        const response = await fetch(ALCHEMY_REFRESH_URL, {
-            method: "PUT",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ refreshToken: ALCHEMY_REFRESH_TOKEN })
-        });
+export function buildStatusFields(tenant, status = tenant.alchemy.eventStatuses.cancelled) {
+    return [alchemyField(tenant.alchemy.fields.statusField, status)];
+}
 
-        const data = await response.json();
+/**
+ * Build the Alchemy fields[] payload for a changed Google event: its start/end time, the attendees who
+ * declined (when the tenant has a declined field) and the tenant's field mapping rules. Null if the
+ * times cannot be converted.
+ */
+export function buildEventFields(tenant, event) {
+    const timeFields = buildTimeFields(tenant, event.start, event.end);
+    const { declinedField } = tenant.alchemy.fields;
+    const declinedFields = declinedField ? [alchemyField(declinedField, declinedAttendees(event).join(", "))] : [];
+    return timeFields && mergeFields(timeFields, declinedFields, buildMappedFields(tenant.alchemy.fieldMap, event, alchemyDateSettings(tenant)));
+}
 
-        if (!response.ok) {
-            throw new Error(`Alchemy Token Refresh Failed: ${JSON.stringify(data)}`);
-        }
+/**
+ * Push an update-record payload ({ recordId, fields }) to Alchemy
+ */
+export async function updateAlchemyRecord(tenant, payload) {
+    // Uses the cached token; a 401 triggers one refresh and retry
+    const response = await fetchWithToken(getAlchemyTokens(tenant), alchemyToken => upstreamRequest("alchemy", "update_record", () => fetch(tenant.alchemy.updateUrl, {
+        method: "PUT",
+        headers: {
+            "Authorization": `Bearer ${alchemyToken}`,
+            "Content-Type": "application/json",
+            ...correlationHeaders()
+        },
+        body: JSON.stringify(payload)
+    })));
 
-        const tenantToken = data.tokens.find(token => token.tenant === TENANT_NAME);
-        if (!tenantToken) {
-            throw new Error(`Tenant '${TENANT_NAME}' not found in response.`);
-        }
+    const responseText = await response.text();
 
-        return tenantToken.accessToken;
-    } catch (error) {
-        console.error(`Error refreshing Alchemy token: ${error.message}`);
-        return null;
+    if (!response.ok) {
+        const error = new Error(`Alchemy API Error: ${responseText}`);
+        error.status = response.status;
+        throw Object.assign(error, rateLimitDetails(response));
     }
+
+    return responseText;
+}
+
+// Values of an Alchemy record keyed by field identifier (the first row's first value of each field)
+function flattenRecord(record) {
+    const recordId = record.recordId ?? record.id;
+    if (!Array.isArray(record.fields)) {
+        return { ...record, recordId };
+    }
+
+    const values = Object.fromEntries(record.fields.map(field => [field.identifier, field.rows?.[0]?.values?.[0]?.value]));
+    return { ...values, recordId };
 }
 
 /**
- * Route to Handle Google Calendar Updates & Push to Alchemy
+ * List the Alchemy records booked in a time window through the tenant's search endpoint.
+ * Resolves to flat records ({ recordId, <field identifier>: value, ... }) that read like create-event bodies.
  */
-router.put("/update-alchemy", async (req, res) => {
-    if (!req.body || !req.body.recordId) {
-        console.error(`Invalid request data: ${JSON.stringify(req.body)}`);
-        return res.status(400).json({ error: "Invalid request data" });
+export async function searchAlchemyRecords(tenant, { timeMin, timeMax, calendarId }) {
+    const { url, method, body, recordsPath } = tenant.alchemy.search;
+    if (!url) {
+        throw new Error(`No Alchemy search endpoint configured for tenant ${tenant.id} (ALCHEMY_SEARCH_URL)`);
     }
 
+    const values = { timeMin, timeMax, calendarId: calendarId || "" };
+    const fill = (template, encode) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => encode(values[name] ?? ""));
+
+    const response = await fetchWithToken(getAlchemyTokens(tenant), alchemyToken => upstreamRequest("alchemy", "search", () => fetch(fill(url, encodeURIComponent), {
+        method,
+        headers: {
+            "Authorization": `Bearer ${alchemyToken}`,
+            "Content-Type": "application/json",
+            ...correlationHeaders()
+        },
+        body: method === "GET" ? undefined : fill(body, value => JSON.stringify(String(value)).slice(1, -1))
+    })));
+
+    const responseText = await response.text();
+
+    if (!response.ok) {
+        const error = new Error(`Alchemy API Error: ${responseText}`);
+        error.status = response.status;
+        throw Object.assign(error, rateLimitDetails(response));
+    }
+
+    const data = JSON.parse(responseText);
+    const records = Array.isArray(data) ? data : recordsPath.split(".").reduce((current, part) => current?.[part], data);
+    if (!Array.isArray(records)) {
+        throw new Error(`Alchemy search response has no record list at "${recordsPath}"`);
+    }
+
+    return records.map(flattenRecord);
+}
+
+// Lock key of an Alchemy record (see concurrency.js)
+function recordLockKey(tenant, recordId) {
+    return `record:${tenant.id}:${recordId}`;
+}
+
+registerJobHandler("alchemy.updateRecord", (payload, tenant) =>
+    withKeyLock(recordLockKey(tenant, payload.recordId), () => updateAlchemyRecord(tenant, payload)));
+
+// Queued updates for the same record, fields and rows replace each other
+function alchemyJobKey(tenant, payload) {
+    const identifiers = (payload.fields || []).map(field => field.identifier).join(",");
+    const rows = [...new Set((payload.fields || []).flatMap(field => (field.rows || []).map(entry => entry.row)))]
+        .filter(row => row !== 0);
+    return `alchemy:${tenant.id}:${payload.recordId}:${identifiers}${rows.length > 0 ? `:rows=${rows.join(",")}` : ""}`;
+}
+
+/**
+ * Push an update-record payload, queueing it for retry if Alchemy is temporarily unavailable.
+ * Updates of the same record run one at a time, in order.
+ * Resolves to { updated: true, data } or { updated: false, queued, jobId, error }.
+ */
+export async function updateAlchemyRecordOrQueue(tenant, payload) {
+    return withKeyLock(recordLockKey(tenant, payload.recordId), async () => {
+        try {
+            const data = await updateAlchemyRecord(tenant, payload);
+            await supersedeJobs(alchemyJobKey(tenant, payload));
+            return { updated: true, data };
+        } catch (error) {
+            logger.error(`Error updating Alchemy record: ${error.message}`);
+            if (!isRetryableError(error)) {
+                return { updated: false, queued: false, error: error.message };
+            }
+
+            const job = await enqueueJob("alchemy.updateRecord", payload, {
+                tenantId: tenant.id,
+                key: alchemyJobKey(tenant, payload),
+                description: `Alchemy update for record ${payload.recordId}`,
+                error
+            });
+            return { updated: false, queued: true, jobId: job.id, error: error.message };
+        }
+    });
+}
+
+/**
+ * Route to Handle Google Calendar Updates & Push to Alchemy
+ */
+router.put("/update-alchemy", validateRequest("update-alchemy"), async (req, res) => {
     const recordId = req.body.recordId;
+    const tenant = req.tenant;
 
     // Check if event is being cancelled
-    if (req.body.fields && req.body.fields[0].identifier === statusField) {
-        console.log(`Processing event cancellation for record ID: ${recordId}`);
+    const cancelled = Boolean(req.body.fields && req.body.fields[0].identifier === tenant.alchemy.fields.statusField);
+    const after = cancelled ? null : auditTimes(req.body);
+    if (cancelled) {
+        logger.info(`Processing event cancellation for record ID: ${recordId}`);
         // Set the status to the configured cancellation status
-        req.body.fields = [
-            { identifier: statusField, rows: [{ row: 0, values: [{ value: cancelled }] }] }
-        ];
+        req.body.fields = buildStatusFields(tenant);
     } else {
-        // Convert Dates to UTC Format
-        const formattedStart = convertToAlchemyFormat(req.body.start.dateTime);
-        const formattedEnd = convertToAlchemyFormat(req.body.end.dateTime);
+        // Convert Dates to UTC Format and apply the tenant's field mapping
+        const fields = buildEventFields(tenant, req.body);
 
-        if (!formattedStart || !formattedEnd) {
-            return res.status(400).json({ error: "Invalid date format received" });
+        if (!fields) {
+            return sendError(res, 400, "invalid_date", "Invalid date format received", {
+                message: `Could not read start "${req.body.start?.dateTime || req.body.start?.date}" or end "${req.body.end?.dateTime || req.body.end?.date}" as a date`
+            });
         }
 
-        req.body.fields = [
-            { identifier: startField, rows: [{ row: 0, values: [{ value: formattedStart }] }] },
-            { identifier: endField, rows: [{ row: 0, values: [{ value: formattedEnd }] }] }
-        ];
-    }
-
-    // Refresh Alchemy Token
-    const alchemyToken = await refreshAlchemyToken();
-    if (!alchemyToken) {
-        return res.status(500).json({ error: "Failed to refresh Alchemy token" });
+        req.body.fields = fields;
     }
 
     try {
-        const response = await fetch(ALCHEMY_UPDATE_URL, {
-            method: "PUT",
-            headers: {
-                "Authorization": `Bearer ${alchemyToken}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(req.body)
+        // A change to an event whose record changed in Alchemy too, and has not reached Google yet, is a sync conflict
+        const store = await getMappingStore(tenant);
+        for (const mapping of await store.list({ recordId })) {
+            const check = await checkGoogleChange(tenant, store, mapping, cancelled ? { status: "cancelled" } : req.body);
+            if (!check.write) {
+                await recordAudit(tenant, {
+                    action: "skipped", reason: "conflict", source: "google", target: "alchemy", erCode: mapping.erCode, calendarId: mapping.calendarId, recordId
+                });
+                return sendError(res, 409, "sync_conflict", "The record changed in Alchemy too", {
+                    erCode: mapping.erCode,
+                    calendarId: mapping.calendarId,
+                    winner: check.winner,
+                    flagged: check.flagged
+                });
+            }
+        }
+
+        const result = await updateAlchemyRecordOrQueue(tenant, req.body);
+        await recordAudit(tenant, {
+            action: result.updated ? (cancelled ? "cancelled" : "updated") : "failed",
+            source: "google", target: "alchemy", recordId, after,
+            error: result.error, queued: result.queued, jobId: result.jobId
         });
 
-        if (!response.ok) {
-            const responseText = await response.text();
-            throw new Error(`Alchemy API Error: ${responseText}`);
+        if (result.updated) {
+            return res.status(200).json({ success: true, message: "Alchemy record updated", data: result.data });
+        }
+
+        if (result.queued) {
+            return res.status(202).json({
+                success: false,
+                queued: true,
+                jobId: result.jobId,
+                message: "Alchemy is unavailable - update queued for retry",
+                details: result.error
+            });
         }
 
-        const responseData = await response.text();
-        res.status(200).json({ success: true, message: "Alchemy record updated", data: responseData });
+        res.status(500).json({ error: "Failed to update Alchemy", details: result.error });
     } catch (error) {
-        console.error(`Error updating Alchemy record: ${error.message}`);
-        res.status(500).json({ error: "Failed to update Alchemy", details: error.message });
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
     }
 });
 
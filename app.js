@@ -0,0 +1,160 @@
+import express from "express";
+import alchemyMiddleware from "./alchemyMiddleware.js";
+import googleMiddleware from "./googleMiddleware.js";
+import googleWatcher, { isWatchEnabled, getWatchStatus } from "./googleWatcher.js";
+import adminMiddleware from "./adminMiddleware.js";
+import schemaRoutes from "./schemas.js";
+import reconciliationRoutes from "./reconciliation.js";
+import healthRoutes from "./health.js";
+import dashboardRoutes from "./dashboard.js";
+import { getQueueStatus } from "./jobQueue.js";
+import { getGoogleTokens } from "./googleClient.js";
+import { getAlchemyTokens } from "./alchemyMiddleware.js";
+import { listTenants, getDefaultTenant, selectTenant } from "./tenants.js";
+import { authenticate, requireAdmin, requireAdminLogin, captureRawBody, getPublicAuthStatus } from "./auth.js";
+import config from "./config.js";
+import { logger, requestContext } from "./logger.js";
+import { requestMetrics, renderMetrics, METRICS_CONTENT_TYPE } from "./metrics.js";
+import { alchemyTimeZone } from "./timeZones.js";
+
+/**
+ * APP
+ * ---
+ * The Express app with every route, without a listening socket or background work, so tests can
+ * serve it on a port of their own. server.js listens and starts the retry worker and push channels.
+ */
+
+// Create Express app
+const app = express();
+const { trustProxy } = config.server;
+
+app.set('trust proxy', trustProxy);
+
+// Middleware (the raw body is kept for request signature checks)
+app.use(express.json({ verify: captureRawBody, limit: config.server.bodyLimit }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+// Correlation ID and request logging. Registered after the body parsers, whose stream callbacks
+// would not carry the log context on to the routes.
+app.use(requestContext);
+app.use(requestMetrics);
+
+// Routes served for every tenant. The tenant is chosen by the /tenants/:tenantId prefix,
+// the tenant header or the default tenant.
+const tenantRoutes = express.Router();
+
+// Google push notifications are matched to their tenant by channel ID and
+// authenticated by the channel token, so they skip the API key / signature check
+tenantRoutes.use('/google', googleWatcher);
+
+// Direct route handlers for backward compatibility
+tenantRoutes.post('/create-event', selectTenant, authenticate, (req, res) => {
+  googleMiddleware(req, res);
+});
+
+tenantRoutes.all('/update-alchemy', selectTenant, authenticate, (req, res) => {
+  if (req.method !== 'PUT') req.method = 'PUT';
+  alchemyMiddleware(req, res);
+});
+
+// Apply route middleware (reconciliation checks the admin token itself)
+tenantRoutes.use('/google', selectTenant, reconciliationRoutes);
+tenantRoutes.use('/alchemy', selectTenant, authenticate, alchemyMiddleware);
+tenantRoutes.use('/google', selectTenant, authenticate, googleMiddleware);
+
+// Accepted request shapes as JSON Schema, for the selected tenant
+tenantRoutes.use('/schemas', schemaRoutes);
+
+app.use('/tenants/:tenantId', selectTenant, tenantRoutes);
+app.use(tenantRoutes);
+app.use('/admin', requireAdmin, adminMiddleware);
+
+// Admin dashboard for browsers (HTTP Basic login with the admin token)
+app.use('/dashboard', requireAdminLogin, dashboardRoutes);
+
+// Configuration health of one tenant for /status
+function describeTenant(tenant) {
+  const { alchemy, google, storage } = tenant;
+  return {
+    id: tenant.id,
+    name: tenant.name,
+    healthy: tenant.missing.length === 0,
+    missing: tenant.missing,
+    alchemy: {
+      tenant: alchemy.tenantName || 'not set',
+      configured: !!alchemy.refreshToken,
+      timeZone: alchemyTimeZone(tenant),
+      dstPolicy: alchemy.dstPolicy,
+      fields: alchemy.fields,
+      eventStatuses: alchemy.eventStatuses
+    },
+    storage: {
+      backend: storage.backend,
+      location: storage.backend === 'sqlite' ? storage.sqliteFile : storage.jsonFile
+    },
+    google: {
+      configured: !!(google.clientId && google.clientSecret && google.refreshToken),
+      defaultTimeZone: google.defaultTimeZone,
+      defaultCalendarId: google.defaultCalendarId || 'not set',
+      conflicts: google.conflicts,
+      watch: {
+        enabled: isWatchEnabled(tenant),
+        calendars: getWatchStatus(tenant)
+      }
+    },
+    tokens: {
+      google: getGoogleTokens(tenant).health(),
+      alchemy: getAlchemyTokens(tenant).health()
+    }
+  };
+}
+
+// Status endpoint
+app.get('/status', (req, res) => {
+  res.json({
+    status: 'ok',
+    version: '1.1.0',
+    config: {
+      defaultTenant: getDefaultTenant()?.id || null,
+      tenants: listTenants().map(describeTenant),
+      auth: getPublicAuthStatus(),
+      queue: getQueueStatus()
+    }
+  });
+});
+
+// Readiness (deep checks of credentials, storage and calendars) and liveness probes
+app.use('/health', healthRoutes);
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+// Home route
+app.get('/', (req, res) => {
+  res.json({
+    message: "Google Calendar & Alchemy Integration API",
+    statusEndpoint: "/status",
+    dashboard: "/dashboard",
+    readinessEndpoint: "/health/ready",
+    metricsEndpoint: "/metrics",
+    schemasEndpoint: "/schemas"
+  });
+});
+
+// Error handlers
+app.use((req, res, next) => {
+  res.status(404).json({ error: "Not Found", message: `Route not found: ${req.method} ${req.url}` });
+});
+
+app.use((err, req, res, next) => {
+  // Bodies the JSON parser rejects are the caller's fault
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: "Invalid JSON", code: "invalid_json", message: err.message });
+  }
+  logger.error(`Error: ${err.message}`);
+  res.status(500).json({ error: "Internal Server Error", message: err.message });
+});
+
+export default app;
@@ -0,0 +1,81 @@
+/**
+ * ATTENDEES
+ * ---------
+ * Events can invite the people on an Alchemy record. Attendees are collected, in order, from:
+ *   1. field map rules with the "attendees" transform (see fieldMapping.js)
+ *   2. an attendees value in the request
+ *   3. the fields named in the tenant's alchemy.fields.attendeeFields
+ * Each source may hold an email, a comma/semicolon-separated list, an Alchemy user object
+ * ({ email, name }, { Email, FullName }, ...) or a list of those. Duplicates are dropped.
+ *
+ * Google's RSVP answers come back with the event; the attendees who declined are written to the
+ * tenant's alchemy.fields.declinedField, if set.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+const EMAIL_KEYS = ["email", "emailaddress", "mail", "useremail"];
+const NAME_KEYS = ["displayname", "name", "fullname", "username"];
+
+// First value of an object whose key matches one of the names, ignoring case
+function pickKey(object, names) {
+    const entry = Object.entries(object).find(([key, value]) => names.includes(key.toLowerCase()) && value);
+    return entry ? String(entry[1]).trim() : null;
+}
+
+// Flatten one source value into { email, displayName } candidates
+function candidates(value) {
+    if (value === undefined || value === null || value === "") return [];
+    if (Array.isArray(value)) return value.flatMap(candidates);
+    if (typeof value === "object") {
+        return [{ email: pickKey(value, EMAIL_KEYS), displayName: pickKey(value, NAME_KEYS) }];
+    }
+    return String(value).split(/[,;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+        // "Jane Doe <jane@lab.com>"
+        const match = part.match(/^(.*)<([^>]+)>$/);
+        return match ? { email: match[2].trim(), displayName: match[1].trim().replace(/^"|"$/g, "") } : { email: part };
+    });
+}
+
+/**
+ * Collect the attendees for an Alchemy record. mapped is the event body after field mapping.
+ * Returns { attendees: [{ email, displayName? }], invalid: [values that are not email addresses] }.
+ */
+export function collectAttendees(tenant, body, mapped) {
+    const sources = [mapped.attendees, body.attendees, ...(tenant.alchemy.fields.attendeeFields || []).map(field => body[field])];
+
+    const attendees = new Map();
+    const invalid = [];
+    for (const { email, displayName } of sources.flatMap(candidates)) {
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            invalid.push(email || displayName || "(empty)");
+            continue;
+        }
+        const key = email.toLowerCase();
+        if (!attendees.has(key)) {
+            attendees.set(key, displayName ? { email, displayName } : { email });
+        }
+    }
+
+    return { attendees: [...attendees.values()], invalid };
+}
+
+/**
+ * Carry the RSVP state of attendees already on the event over to a new attendee list, so an update
+ * does not reset their answers
+ */
+export function keepResponses(attendees, current = []) {
+    const byEmail = new Map(current.filter(attendee => attendee.email).map(attendee => [attendee.email.toLowerCase(), attendee]));
+    return attendees.map(attendee => {
+        const existing = byEmail.get(attendee.email.toLowerCase());
+        return existing ? { ...existing, ...attendee, responseStatus: existing.responseStatus } : attendee;
+    });
+}
+
+/**
+ * Emails of the people who declined the event (rooms and other resources are left out)
+ */
+export function declinedAttendees(event) {
+    return (event.attendees || [])
+        .filter(attendee => attendee.responseStatus === "declined" && !attendee.resource && attendee.email)
+        .map(attendee => attendee.email);
+}
@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { logger, getCorrelationId } from "./logger.js";
+import { syncOperations } from "./metrics.js";
+
+/**
+ * AUDIT TRAIL
+ * -----------
+ * Every sync action is appended to the tenant's audit file (storage.auditFile), one JSON object per line:
+ *   { at, tenantId, correlationId, erCode, calendarId, eventId, recordId, occurrence,
+ *     action: "created" | "updated" | "recreated" | "cancelled" | "unlinked" | "skipped" | "failed",
+ *     source: "alchemy" | "google" | "reconciliation" | "admin"   (the system the change came from, or an admin)
+ *     target: "google" | "alchemy"                                 (the system that was written)
+ *     before: { start, end } | null, after: { start, end } | null, error, reason }
+ *
+ * before is the event's previous start/end. Callers that do not know it (e.g. Alchemy writes) get the
+ * after times of the last entry for the same ER code and calendar.
+ *
+ * skipped entries are changes that were not applied because nothing changed (see syncState.js);
+ * reason is "unchanged" (the target already had the values) or "echo" (they were synced already).
+ * Changes held back or applied under the sync conflict policy (see syncConflicts.js) carry reason "conflict".
+ *
+ * Once the file reaches storage.auditMaxBytes it is moved to <auditFile>.1, replacing the one moved
+ * before, so queries read at most two bounded files. The latest entries are also kept in memory for
+ * views that only show recent activity (query with recent: true).
+ */
+
+export const AUDIT_ACTIONS = ["created", "updated", "recreated", "cancelled", "unlinked", "skipped", "failed"];
+export const AUDIT_SOURCES = ["alchemy", "google", "reconciliation", "admin"];
+
+// Audit logs per tenant ID
+const auditLogs = new Map();
+
+// Entries kept in memory per tenant for recent: true queries
+const RECENT_ENTRIES = 1000;
+
+/**
+ * Start/end of a Google event or event body for an audit entry: date-times, or dates of an all-day event
+ */
+export function auditTimes(event) {
+    if (!event?.start && !event?.end) return null;
+    return {
+        start: event.start?.dateTime || event.start?.date || null,
+        end: event.end?.dateTime || event.end?.date || null
+    };
+}
+
+// Read the entries of an audit file one by one
+async function* readEntries(file) {
+    if (!fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            logger.warn(`Skipping unreadable audit entry in ${file}: ${error.message}`);
+        }
+    }
+}
+
+function timesKey(calendarId, erCode) {
+    return `${calendarId}|${erCode}`;
+}
+
+// Whether an entry matches every filter that is set
+function matchesQuery(entry, { erCode, calendarId, recordId, action, source }) {
+    return (!erCode || entry.erCode === erCode)
+        && (!calendarId || entry.calendarId === calendarId)
+        && (!recordId || entry.recordId === String(recordId))
+        && (!action || entry.action === action)
+        && (!source || entry.source === source);
+}
+
+function createAuditLog(tenant) {
+    const { auditFile: file, auditMaxBytes: maxBytes } = tenant.storage;
+    const rotatedFile = `${file}.1`;
+    let appendChain = Promise.resolve();
+
+    // Read the files once: the latest after times per (calendar, ER code), the latest entries and
+    // the current file's size
+    const loaded = (async () => {
+        const times = new Map();
+        const recent = [];
+        for (const source of [rotatedFile, file]) {
+            for await (const entry of readEntries(source)) {
+                if (entry.erCode && entry.after && !entry.occurrence) {
+                    times.set(timesKey(entry.calendarId, entry.erCode), entry.after);
+                }
+                recent.push(entry);
+                if (recent.length > RECENT_ENTRIES) recent.shift();
+            }
+        }
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        return { times, recent, size };
+    })().catch(error => {
+        logger.error(`Error reading audit trail ${file}: ${error.message}`);
+        return { times: new Map(), recent: [], size: 0 };
+    });
+
+    return {
+        file,
+
+        async append(entry) {
+            const state = await loaded;
+            const { times, recent } = state;
+            const key = timesKey(entry.calendarId, entry.erCode);
+            const record = {
+                at: new Date().toISOString(),
+                tenantId: tenant.id,
+                correlationId: getCorrelationId(),
+                erCode: entry.erCode || null,
+                calendarId: entry.calendarId || null,
+                eventId: entry.eventId || null,
+                recordId: entry.recordId ? String(entry.recordId) : null,
+                ...(entry.occurrence !== undefined ? { occurrence: entry.occurrence } : {}),
+                action: entry.action,
+                source: entry.source,
+                target: entry.target,
+                before: entry.before !== undefined ? entry.before : (entry.erCode && !entry.occurrence ? times.get(key) || null : null),
+                after: entry.after || null,
+                ...(entry.error ? { error: entry.error } : {}),
+                ...(entry.reason ? { reason: entry.reason } : {}),
+                ...(entry.queued ? { queued: true, jobId: entry.jobId } : {})
+            };
+
+            if (record.erCode && record.after && !entry.occurrence) {
+                times.set(key, record.after);
+            }
+            recent.push(record);
+            if (recent.length > RECENT_ENTRIES) recent.shift();
+
+            // Appends are serialized so lines never interleave
+            const line = `${JSON.stringify(record)}\n`;
+            appendChain = appendChain.then(async () => {
+                if (maxBytes && state.size > 0 && state.size + Buffer.byteLength(line) > maxBytes) {
+                    await fs.promises.rename(file, rotatedFile);
+                    state.size = 0;
+                }
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, line, "utf8");
+                state.size += Buffer.byteLength(line);
+            }).catch(error => logger.error(`Error writing audit trail ${file}: ${error.message}`));
+            await appendChain;
+            return record;
+        },
+
+        // Newest entries first, matching every filter that is set. recent searches only the
+        // entries kept in memory instead of reading the files.
+        async query({ limit = 100, recent = false, ...filters } = {}) {
+            const state = await loaded;
+            await appendChain;
+            if (recent) {
+                const matches = [];
+                for (let index = state.recent.length - 1; index >= 0 && matches.length < limit; index--) {
+                    if (matchesQuery(state.recent[index], filters)) matches.push(state.recent[index]);
+                }
+                return matches;
+            }
+
+            const matches = [];
+            for (const source of [rotatedFile, file]) {
+                for await (const entry of readEntries(source)) {
+                    if (matchesQuery(entry, filters)) matches.push(entry);
+                }
+            }
+            return matches.reverse().slice(0, limit);
+        }
+    };
+}
+
+// The tenant's audit log
+export function getAuditLog(tenant) {
+    if (!auditLogs.has(tenant.id)) {
+        auditLogs.set(tenant.id, createAuditLog(tenant));
+    }
+    return auditLogs.get(tenant.id);
+}
+
+/**
+ * Record a sync action. Never throws: a failing audit write is logged and the sync goes on.
+ */
+export async function recordAudit(tenant, entry) {
+    try {
+        const record = await getAuditLog(tenant).append(entry);
+        syncOperations.inc({ tenant: tenant.id, source: record.source, target: record.target, action: record.action });
+        logger.debug(`Audit: ${record.action} ${record.erCode || record.recordId} (${record.source} -> ${record.target})`);
+        return record;
+    } catch (error) {
+        logger.error(`Error recording audit entry: ${error.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import net from "net";
+import config from "./config.js";
+import { logger } from "./logger.js";
+
+/**
+ * INBOUND AUTHENTICATION
+ * ----------------------
+ * Sync routes accept either an API key (X-API-Key or "Authorization: Bearer <key>") or an HMAC
+ * signature over the raw request body:
+ *   X-Signature-Timestamp: <unix seconds>
+ *   X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Signatures older than the tolerance, or seen before within it, are rejected.
+ *
+ * Credentials come from API_KEYS / HMAC_SECRETS ("caller:secret,...") and from a tenant profile's
+ * auth.apiKeys / auth.hmacSecrets ({ caller: secret }), which only work for that tenant.
+ * With no credentials configured the sync routes stay open, as before.
+ *
+ * Admin routes (including mapping management) need the separate ADMIN_TOKEN, which is also
+ * accepted on sync routes. The optional IP allowlist applies to both. The admin dashboard
+ * (dashboard.js) also takes the token as the password of an HTTP Basic login, so a browser can
+ * sign in, and its forms carry a token derived from ADMIN_TOKEN against cross-site requests.
+ */
+
+const {
+  apiKeys: API_KEYS,
+  hmacSecrets: HMAC_SECRETS,
+  signatureToleranceSeconds,
+  ipAllowlist: IP_ALLOWLIST,
+  adminToken: ADMIN_TOKEN
+} = config.auth;
+
+const MIN_ADMIN_TOKEN_LENGTH = 32;
+
+// Signatures accepted within the tolerance window: signature -> expiry (ms)
+const seenSignatures = new Map();
+
+// Compare secrets in constant time (hashing first evens out the lengths)
+function safeEqual(a, b) {
+    const hashA = crypto.createHash("sha256").update(String(a)).digest();
+    const hashB = crypto.createHash("sha256").update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Find the caller whose secret matches; null if none does
+function findCaller(secrets, matches) {
+    const entry = Object.entries(secrets || {}).find(([, secret]) => secret && matches(secret));
+    return entry ? entry[0] : null;
+}
+
+// Credentials valid for the request's tenant: global ones plus the tenant's own
+function credentialsFor(tenant) {
+    return {
+        apiKeys: { ...API_KEYS, ...tenant?.auth?.apiKeys },
+        hmacSecrets: { ...HMAC_SECRETS, ...tenant?.auth?.hmacSecrets }
+    };
+}
+
+// Whether any sync credential is configured, globally or for the tenant
+function isAuthRequired(tenant) {
+    const { apiKeys, hmacSecrets } = credentialsFor(tenant);
+    return Object.keys(apiKeys).length > 0 || Object.keys(hmacSecrets).length > 0 || !!ADMIN_TOKEN;
+}
+
+// Bearer token or X-API-Key header, or with basic the password of HTTP Basic credentials
+function presentedKey(req, { basic = false } = {}) {
+    const authorization = req.get("Authorization") || "";
+    if (authorization.startsWith("Bearer ")) return authorization.slice(7).trim();
+    if (basic && authorization.startsWith("Basic ")) {
+        const credentials = Buffer.from(authorization.slice(6).trim(), "base64").toString("utf8");
+        return credentials.slice(credentials.indexOf(":") + 1);
+    }
+    return req.get("X-API-Key") || null;
+}
+
+// Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+function normalizeIp(ip) {
+    return ip?.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+// Match an IP against an allowlist entry (exact address or IPv4 CIDR range)
+function ipMatches(ip, entry) {
+    if (!entry.includes("/")) return ip === entry;
+
+    const [range, bits] = entry.split("/");
+    if (!net.isIPv4(ip) || !net.isIPv4(range)) return false;
+
+    const toNumber = address => address.split(".").reduce((total, octet) => total * 256 + Number(octet), 0);
+    const mask = bits === "0" ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return ((toNumber(ip) & mask) >>> 0) === ((toNumber(range) & mask) >>> 0);
+}
+
+function isIpAllowed(req) {
+    if (IP_ALLOWLIST.length === 0) return true;
+    const ip = normalizeIp(req.ip);
+    return IP_ALLOWLIST.some(entry => ipMatches(ip, entry));
+}
+
+// Verify the HMAC signature headers; resolves to the caller name or an error message
+function verifySignature(req, hmacSecrets) {
+    const timestamp = req.get("X-Signature-Timestamp");
+    const signature = (req.get("X-Signature") || "").replace(/^sha256=/, "");
+
+    if (!/^\d+$/.test(timestamp || "")) {
+        return { error: "Missing or invalid X-Signature-Timestamp" };
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > signatureToleranceSeconds) {
+        return { error: "Signature timestamp is outside the allowed window" };
+    }
+
+    const payload = `${timestamp}.${req.rawBody ? req.rawBody.toString("utf8") : ""}`;
+    const caller = findCaller(hmacSecrets, secret =>
+        safeEqual(crypto.createHmac("sha256", secret).update(payload).digest("hex"), signature)
+    );
+    if (!caller) {
+        return { error: "Invalid signature" };
+    }
+
+    // Each signature is accepted once
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+        if (expiresAt <= now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) {
+        return { error: "Signature has already been used" };
+    }
+    seenSignatures.set(signature, now + signatureToleranceSeconds * 2 * 1000);
+
+    return { caller };
+}
+
+/**
+ * Body parser verify hook that keeps the raw body for signature checks
+ */
+export function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+/**
+ * Express middleware for sync routes. Sets req.caller to the authenticated caller's name.
+ */
+export function authenticate(req, res, next) {
+    if (!isIpAllowed(req)) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: IP not allowed`);
+        return res.status(403).json({ error: "Forbidden", message: "IP address not allowed" });
+    }
+
+    if (!isAuthRequired(req.tenant)) {
+        return next();
+    }
+
+    const { apiKeys, hmacSecrets } = credentialsFor(req.tenant);
+    const key = presentedKey(req);
+
+    if (key) {
+        if (ADMIN_TOKEN && safeEqual(key, ADMIN_TOKEN)) {
+            req.caller = "admin";
+            return next();
+        }
+        const caller = findCaller(apiKeys, secret => safeEqual(key, secret));
+        if (caller) {
+            req.caller = caller;
+            return next();
+        }
+        logger.warn(`Rejected ${req.method} ${req.originalUrl}: invalid API key`);
+        return res.status(401).json({ error: "Unauthorized", message: "Invalid API key" });
+    }
+
+    if (req.get("X-Signature")) {
+        const { caller, error } = verifySignature(req, hmacSecrets);
+        if (caller) {
+            req.caller = caller;
+            return next();
+        }
+        logger.warn(`Rejected ${req.method} ${req.originalUrl}: ${error}`);
+        return res.status(401).json({ error: "Unauthorized", message: error });
+    }
+
+    return res.status(401).json({ error: "Unauthorized", message: "Send an API key or a request signature" });
+}
+
+// Admin check shared by the API and the dashboard; login asks browsers for Basic credentials
+function checkAdmin(req, res, next, { login = false } = {}) {
+    if (!isIpAllowed(req)) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: IP not allowed`);
+        return res.status(403).json({ error: "Forbidden", message: "IP address not allowed" });
+    }
+
+    if (!ADMIN_TOKEN) {
+        return res.status(403).json({ error: "Forbidden", message: "Admin routes are disabled until ADMIN_TOKEN is set" });
+    }
+
+    const key = presentedKey(req, { basic: login });
+    if (!key || !safeEqual(key, ADMIN_TOKEN)) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl}: invalid admin token`);
+        if (login) {
+            res.set("WWW-Authenticate", 'Basic realm="Admin dashboard", charset="UTF-8"');
+        }
+        return res.status(401).json({ error: "Unauthorized", message: "Admin token required" });
+    }
+
+    req.caller = "admin";
+    next();
+}
+
+/**
+ * Express middleware for admin routes: requires ADMIN_TOKEN, and refuses everything when it is not set
+ */
+export function requireAdmin(req, res, next) {
+    return checkAdmin(req, res, next);
+}
+
+/**
+ * Express middleware for the admin dashboard: like requireAdmin, but browsers are asked to log in
+ * with HTTP Basic authentication (any user name, ADMIN_TOKEN as the password)
+ */
+export function requireAdminLogin(req, res, next) {
+    return checkAdmin(req, res, next, { login: true });
+}
+
+/**
+ * Token the dashboard's forms carry, so another site cannot make a logged-in browser post them
+ */
+export function adminFormToken() {
+    return crypto.createHmac("sha256", String(ADMIN_TOKEN)).update("admin-dashboard-form").digest("hex");
+}
+
+export function isValidAdminFormToken(token) {
+    return !!ADMIN_TOKEN && !!token && safeEqual(token, adminFormToken());
+}
+
+// Which protections are active, for startup checks (never the secrets themselves)
+export function getAuthStatus() {
+    return {
+        apiKeys: Object.keys(API_KEYS),
+        hmacCallers: Object.keys(HMAC_SECRETS),
+        signatureToleranceSeconds,
+        ipAllowlist: IP_ALLOWLIST.length > 0,
+        admin: !ADMIN_TOKEN ? "disabled" : ADMIN_TOKEN.length < MIN_ADMIN_TOKEN_LENGTH ? "weak" : "enabled"
+    };
+}
+
+// The same for the unauthenticated /status: counts and switches only, no caller names or token strength
+export function getPublicAuthStatus() {
+    const { apiKeys, hmacCallers, ipAllowlist, admin } = getAuthStatus();
+    return { apiKeys: apiKeys.length, hmacCallers: hmacCallers.length, signatureToleranceSeconds, ipAllowlist, admin: admin !== "disabled" };
+}
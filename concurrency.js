@@ -0,0 +1,174 @@
+import config from "./config.js";
+import { logger } from "./logger.js";
+import { createCounter, createGauge, timeUpstream } from "./metrics.js";
+
+/**
+ * CONCURRENCY AND RATE LIMITS
+ * ---------------------------
+ * Keyed locks: work for the same key (an ER code, an Alchemy record) runs one at a time, in the
+ * order it arrived, so two requests for a new ER code cannot both miss the mapping and create two events.
+ *
+ * Outbound calls to Google and Alchemy go through upstreamRequest(), which:
+ *   - keeps at most upstream.maxConcurrency calls in flight across all tenants, queueing the rest
+ *   - retries responses that are rate limited (429, or Google's 403 rateLimitExceeded /
+ *     userRateLimitExceeded) after Retry-After, or with exponential backoff and jitter when it is
+ *     not given, up to upstream.rateLimitRetries times
+ * A wait longer than upstream.rateLimitMaxDelaySeconds is not made in the request: the response is
+ * returned, and the error built from it carries rateLimited and retryAfterSeconds for the retry queue.
+ *
+ * mapWithConcurrency() runs a list of tasks (the reservations of a batch) a few at a time.
+ */
+
+const { maxConcurrency, rateLimitRetries, rateLimitBaseDelayMs, rateLimitMaxDelaySeconds } = config.upstream;
+
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+
+// Tail of the queue per lock key; removed when the last holder releases it
+const lockTails = new Map();
+
+// Outbound calls in flight, and callers waiting for a slot
+let activeCalls = 0;
+const waitingCalls = [];
+
+const rateLimitedCalls = createCounter(
+    "upstream_rate_limited_total",
+    "Rate-limited responses from Google and Alchemy, by whether the call was retried",
+    ["upstream", "operation", "retried"]
+);
+
+createGauge("upstream_calls", "Outbound calls in flight and waiting for a concurrency slot", () => [
+    { labels: { state: "active" }, value: activeCalls },
+    { labels: { state: "waiting" }, value: waitingCalls.length }
+]);
+
+/**
+ * Lock key of an ER code. Writes for it in either direction (Alchemy requests, Google changes) take it,
+ * so each sees the mapping the one before it left.
+ */
+export function erCodeLockKey(tenant, erCode) {
+    return `er:${tenant.id}:${erCode}`;
+}
+
+/**
+ * Run task() once every earlier task for the same key has finished. Resolves or rejects with the task.
+ */
+export async function withKeyLock(key, task) {
+    const previous = lockTails.get(key) || Promise.resolve();
+    let release;
+    const tail = previous.then(() => new Promise(resolve => {
+        release = resolve;
+    }));
+    lockTails.set(key, tail);
+
+    await previous;
+    try {
+        return await task();
+    } finally {
+        release();
+        if (lockTails.get(key) === tail) {
+            lockTails.delete(key);
+        }
+    }
+}
+
+/**
+ * Call task(item, index) for every item, at most limit at a time, starting them in order.
+ * Resolves to the results in item order; task() is expected to handle its own errors.
+ */
+export async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+async function acquireSlot() {
+    if (activeCalls < maxConcurrency) {
+        activeCalls++;
+        return;
+    }
+    await new Promise(resolve => waitingCalls.push(resolve));
+}
+
+// Hand the slot to the next waiting call, if there is one
+function releaseSlot() {
+    const next = waitingCalls.shift();
+    if (next) {
+        next();
+    } else {
+        activeCalls--;
+    }
+}
+
+/**
+ * Seconds to wait from a Retry-After header (seconds or an HTTP date); null if absent or unreadable
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value.trim());
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(Math.ceil((at - Date.now()) / 1000), 0);
+}
+
+/**
+ * Whether a response (and its parsed error body, if read) is a rate limit, and how long it asks to wait.
+ * Assign the result to errors built from the response: { rateLimited, retryAfterSeconds }.
+ */
+export function rateLimitDetails(response, data) {
+    const reasons = (data?.error?.errors || []).map(error => error.reason);
+    const rateLimited = response.status === 429 || (response.status === 403 && reasons.some(reason => RATE_LIMIT_REASONS.includes(reason)));
+    return rateLimited ? { rateLimited, retryAfterSeconds: parseRetryAfter(response.headers.get("retry-after")) } : {};
+}
+
+// Read a 403's error body from a copy, leaving the response for the caller. Other statuses are not read.
+async function isRateLimited(response) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+    const data = await response.clone().json().catch(() => null);
+    return !!rateLimitDetails(response, data).rateLimited;
+}
+
+// Delay before retry number attempt (0-based) when the response gives no Retry-After: doubling, with jitter
+function backoffMs(attempt) {
+    const delay = Math.min(rateLimitBaseDelayMs * 2 ** attempt, rateLimitMaxDelaySeconds * 1000);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Make an outbound call to Google or Alchemy within the concurrency limit, retrying rate-limited
+ * responses. request() must return a fetch Response; the final response is returned either way.
+ */
+export async function upstreamRequest(upstream, operation, request) {
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot();
+        let response;
+        try {
+            response = await timeUpstream(upstream, operation, request);
+        } finally {
+            releaseSlot();
+        }
+
+        if (!(await isRateLimited(response))) {
+            return response;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        const delayMs = retryAfter !== null ? retryAfter * 1000 : backoffMs(attempt);
+        if (attempt >= rateLimitRetries || delayMs > rateLimitMaxDelaySeconds * 1000) {
+            rateLimitedCalls.inc({ upstream, operation, retried: "false" });
+            logger.warn(`${upstream} ${operation} call rate limited (HTTP ${response.status}) after ${attempt + 1} attempt(s) - giving up`);
+            return response;
+        }
+
+        rateLimitedCalls.inc({ upstream, operation, retried: "true" });
+        logger.warn(`${upstream} ${operation} call rate limited (HTTP ${response.status}) - retrying in ${Math.round(delayMs)}ms`);
+        await response.arrayBuffer().catch(() => null);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+}
@@ -11,48 +11,157 @@ dotenv.config();
  * 1. Keep this file the same in your code repository
  * 2. Set different environment variables for each deployment
  * 3. The middleware will use the environment variables or fall back to these defaults
+ *
+ * To serve several tenants from one deployment, use tenant profiles (see "tenants" below).
  */
 
+// Parse "caller:secret,caller2:secret2" into { caller: secret }
+function parseCallerSecrets(value) {
+  return Object.fromEntries((value || '')
+    .split(',').map(entry => entry.trim()).filter(entry => entry.includes(':'))
+    .map(entry => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)]));
+}
+
+// Parse a JSON environment variable; undefined when it is not set
+function parseJsonEnv(name) {
+  const value = process.env[name];
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Alchemy API base URL, which the refresh and update URLs default to
+const alchemyBaseUrl = (process.env.ALCHEMY_BASE_URL || "https://core-production.alchemy.cloud/core/api/v2").replace(/\/+$/, '');
+
 const config = {
   // Server configuration
   // -------------------
   // PORT: The port the server will listen on (default: 3000)
   // environment: Development or production mode
+  // trustProxy: Express "trust proxy" setting, so the IP allowlist sees the client address behind a
+  //             load balancer (e.g. TRUST_PROXY=1 for one proxy hop; default: off)
+  // bodyLimit: Largest JSON request body accepted, e.g. for batches (default: '1mb')
   server: {
     port: process.env.PORT || 3000,
-    environment: process.env.NODE_ENV || 'production'
+    environment: process.env.NODE_ENV || 'production',
+    bodyLimit: process.env.BODY_LIMIT || '1mb',
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY || false
+  },
+  
+  // Inbound authentication
+  // ---------------------
+  // apiKeys: Callers and their API keys, e.g. API_KEYS=alchemy-prod:k3y,scheduler:0ther
+  // hmacSecrets: Callers and their request signing secrets, e.g. HMAC_SECRETS=alchemy-prod:s3cret
+  // signatureToleranceSeconds: How old a signed request may be (default: 5 minutes)
+  // ipAllowlist: Comma-separated addresses or IPv4 CIDR ranges allowed to call (default: any)
+  // adminToken: Credential for /admin and mapping management; admin routes are disabled without it
+  // With no API keys, secrets or admin token set, the sync routes accept unauthenticated requests.
+  auth: {
+    apiKeys: parseCallerSecrets(process.env.API_KEYS),
+    hmacSecrets: parseCallerSecrets(process.env.HMAC_SECRETS),
+    signatureToleranceSeconds: parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS || '300', 10),
+    ipAllowlist: (process.env.IP_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    adminToken: process.env.ADMIN_TOKEN
   },
   
   // Alchemy configuration
   // --------------------
-  // refreshUrl: URL for refreshing Alchemy API tokens
-  // updateUrl: URL for updating Alchemy records
+  // refreshUrl: URL for refreshing Alchemy API tokens (default: ALCHEMY_BASE_URL + "/refresh-token")
+  // updateUrl: URL for updating Alchemy records (default: ALCHEMY_BASE_URL + "/update-record")
   // tenantName: The name of the Alchemy tenant (e.g., "productcaseelnlims4uat")
   // refreshToken: Alchemy refresh token (MUST BE SET in environment variables)
+  // recordUrl: Link to a record in the Alchemy web app, for the admin dashboard; {{recordId}} and
+  //            {{tenantName}} are filled in (default: none, record IDs are shown without a link)
   alchemy: {
-    refreshUrl: process.env.ALCHEMY_REFRESH_URL || "https://core-production.alchemy.cloud/core/api/v2/refresh-token",
-    updateUrl: process.env.ALCHEMY_UPDATE_URL || "https://core-production.alchemy.cloud/core/api/v2/update-record",
+    refreshUrl: process.env.ALCHEMY_REFRESH_URL || `${alchemyBaseUrl}/refresh-token`,
+    updateUrl: process.env.ALCHEMY_UPDATE_URL || `${alchemyBaseUrl}/update-record`,
     tenantName: process.env.ALCHEMY_TENANT_NAME || "productcaseelnlims4uat",
     refreshToken: process.env.ALCHEMY_REFRESH_TOKEN,
+    recordUrl: process.env.ALCHEMY_RECORD_URL,
     
     // Field mappings - these must match the field names in your Alchemy script
     // --------------------------------
     // startField: Field name for start time (default: "StartUse")
     // endField: Field name for end time (default: "EndUse")
     // statusField: Field name for event status (default: "EventStatus")
+    // attendeeFields: Comma-separated fields holding the emails or users to invite (default: none)
+    // declinedField: Field that receives the emails of attendees who declined in Google (default: none)
     fields: {
       startField: process.env.ALCHEMY_START_FIELD || "StartUse",
       endField: process.env.ALCHEMY_END_FIELD || "EndUse",
-      statusField: process.env.ALCHEMY_STATUS_FIELD || "EventStatus"
+      statusField: process.env.ALCHEMY_STATUS_FIELD || "EventStatus",
+      attendeeFields: (process.env.ALCHEMY_ATTENDEE_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean),
+      declinedField: process.env.ALCHEMY_DECLINED_FIELD
     },
     
     // Event status values - these must match the values expected in Alchemy
     // ----------------------------------
     // pushed: Status when event is created (default: "Pushed to Calendar")
     // cancelled: Status when event is deleted (default: "Removed From Calendar")
+    // conflict: Status when the booking overlaps another event on its calendar (default: "Calendar Conflict")
     eventStatuses: {
       pushed: process.env.ALCHEMY_STATUS_PUSHED || "Pushed to Calendar",
-      cancelled: process.env.ALCHEMY_STATUS_CANCELLED || "Removed From Calendar"
+      cancelled: process.env.ALCHEMY_STATUS_CANCELLED || "Removed From Calendar",
+      conflict: process.env.ALCHEMY_STATUS_CONFLICT || "Calendar Conflict"
+    },
+    
+    // Record identifiers - how a request or event is matched to its mapping
+    // ----------------------------------
+    // patterns: Comma-separated regular expressions tried against the summary; the first capture
+    //           group is the identifier (default: "^(ER\d+)")
+    // propertyKey: extendedProperties.private key stamped with the identifier (default: "alchemyId")
+    // recordIdPropertyKey: extendedProperties.private key stamped with the record ID (default: "alchemyRecordId")
+    identifiers: {
+      patterns: (process.env.ALCHEMY_IDENTIFIER_PATTERNS || "^(ER\\d+)").split(',').map(pattern => pattern.trim()).filter(Boolean),
+      propertyKey: process.env.ALCHEMY_IDENTIFIER_PROPERTY || "alchemyId",
+      recordIdPropertyKey: process.env.ALCHEMY_RECORD_ID_PROPERTY || "alchemyRecordId"
+    },
+    
+    // All-day bookings
+    // ----------------------------------
+    // format: How all-day Google events are written to the start/end fields: 'date' (yyyy-MM-dd) or
+    //         'datetime' (midnight in Alchemy's timezone, as UTC) (default: 'date')
+    // endDate: 'inclusive' if the end field holds the booking's last day, 'exclusive' if it holds the
+    //          day after, as Google does (default: 'inclusive'). Also applies to date-only values sent to Google.
+    allDay: {
+      format: process.env.ALCHEMY_ALL_DAY_FORMAT || 'date',
+      endDate: process.env.ALCHEMY_ALL_DAY_END || 'inclusive'
+    },
+    
+    // Dates and times
+    // ----------------------------------
+    // timeZone: Timezone Alchemy shows date-times in; values without an offset are read in it
+    //           (default: the Google default timezone)
+    // dateFormats: The date-time formats Alchemy sends, tried in order, each with the zone it is read in:
+    //              JSON like [{ "format": "MMM dd yyyy hh:mm a", "zone": "local" }], where zone is "local"
+    //              (timeZone), "UTC" or an IANA timezone (default: ALCHEMY_DATE_FORMATS in fieldMapping.js).
+    //              ISO 8601 values are always accepted.
+    // dstPolicy: Local times that a DST change skips or repeats: 'compatible', 'earlier', 'later' or
+    //            'reject' (default: 'compatible', see timeZones.js)
+    timeZone: process.env.ALCHEMY_TIMEZONE,
+    dateFormats: parseJsonEnv('ALCHEMY_DATE_FORMATS'),
+    dstPolicy: process.env.ALCHEMY_DST_POLICY || 'compatible',
+    
+    // Field mapping rules between Alchemy fields and Google event properties
+    // ----------------------------------
+    // fieldMapFile: JSON file with an array of rules (see fieldMapping.js and README "Field Mapping")
+    fieldMapFile: process.env.ALCHEMY_FIELD_MAP_FILE,
+    
+    // Record search, used by reconciliation to list the records booked in a time window
+    // ----------------------------------
+    // url: Alchemy search/read endpoint (reconciliation is unavailable until it is set)
+    // method: HTTP method (default: 'POST')
+    // body: JSON request body; {{timeMin}}, {{timeMax}} and {{calendarId}} are filled in (also in the url)
+    // recordsPath: Where the record list is in the response, e.g. "data.records" (default: "records";
+    //              a response that is itself a list is used as is)
+    search: {
+      url: process.env.ALCHEMY_SEARCH_URL,
+      method: process.env.ALCHEMY_SEARCH_METHOD || 'POST',
+      body: process.env.ALCHEMY_SEARCH_BODY || '{"timeMin":"{{timeMin}}","timeMax":"{{timeMax}}"}',
+      recordsPath: process.env.ALCHEMY_SEARCH_RECORDS_PATH || 'records'
     }
   },
   
@@ -63,22 +172,171 @@ const config = {
   // refreshToken: Google OAuth refresh token (MUST BE SET in environment variables)
   // defaultCalendarId: ID of the Google Calendar to use (default: "primary")
   // defaultTimeZone: Timezone for events (default: "America/New_York")
-  // trackingFile: Path to store event tracking information
+  // tokenUrl: Google OAuth token endpoint (default: "https://oauth2.googleapis.com/token")
+  // calendarApiUrl: Google Calendar API base URL (default: "https://www.googleapis.com/calendar/v3")
+  // watch: Push notification settings for Google -> Alchemy sync (see below)
+  // conflicts: Double-booking checks before events are written (see below)
+  // invitations: Attendee notifications and Meet links (see below)
   google: {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
     defaultCalendarId: process.env.GOOGLE_DEFAULT_CALENDAR_ID || "primary", // Calendar to send events to
     defaultTimeZone: process.env.GOOGLE_DEFAULT_TIMEZONE || "America/New_York",
-    trackingFile: process.env.EVENT_TRACKING_FILE || '/tmp/er_events.json'
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || "https://oauth2.googleapis.com/token",
+    calendarApiUrl: (process.env.GOOGLE_CALENDAR_API_URL || "https://www.googleapis.com/calendar/v3").replace(/\/+$/, ''),
+
+    // Push notifications (Google Calendar events.watch channels)
+    // --------------------------------
+    // webhookUrl: Public HTTPS URL of POST /google/notifications (watching is enabled when set)
+    // calendarIds: Comma-separated calendars to watch (default: the default calendar)
+    // channelToken: Shared secret Google echoes back on every notification
+    // ttlSeconds: Requested channel lifetime (default: 7 days, Google's maximum)
+    // renewBeforeSeconds: How long before expiry a channel is replaced (default: 1 hour)
+    // stateFile: Path to store channel details and sync tokens per calendar
+    watch: {
+      webhookUrl: process.env.GOOGLE_WEBHOOK_URL,
+      calendarIds: (process.env.GOOGLE_WATCH_CALENDAR_IDS || process.env.GOOGLE_DEFAULT_CALENDAR_ID || "primary")
+        .split(',').map(id => id.trim()).filter(Boolean),
+      channelToken: process.env.GOOGLE_WATCH_CHANNEL_TOKEN,
+      ttlSeconds: parseInt(process.env.GOOGLE_WATCH_TTL_SECONDS || '604800', 10),
+      renewBeforeSeconds: parseInt(process.env.GOOGLE_WATCH_RENEW_BEFORE_SECONDS || '3600', 10),
+      stateFile: process.env.GOOGLE_WATCH_STATE_FILE || '/tmp/google_watch_state.json'
+    },
+
+    // Conflict detection
+    // --------------------------------
+    // policy: What to do when a booking overlaps another event: 'allow' (no check), 'warn' (write it and
+    //         flag the conflict) or 'reject' (do not write it) (default: 'allow')
+    // calendars: Per-calendar policies, e.g. GOOGLE_CONFLICT_CALENDAR_POLICIES=hplc@group.calendar.google.com=reject
+    conflicts: {
+      policy: process.env.GOOGLE_CONFLICT_POLICY || 'allow',
+      calendars: Object.fromEntries((process.env.GOOGLE_CONFLICT_CALENDAR_POLICIES || '')
+        .split(',').map(entry => entry.trim()).filter(Boolean)
+        .map(entry => [entry.slice(0, entry.lastIndexOf('=')), entry.slice(entry.lastIndexOf('=') + 1)]))
+    },
+
+    // Invitations
+    // --------------------------------
+    // sendUpdates: Who Google emails when an event is created, changed or cancelled: 'all', 'externalOnly'
+    //              (attendees outside the Google Workspace domain) or 'none' (default: 'none')
+    // createMeet: Add a Google Meet link to new events (default: false)
+    invitations: {
+      sendUpdates: process.env.GOOGLE_SEND_UPDATES || 'none',
+      createMeet: process.env.GOOGLE_CREATE_MEET === 'true'
+    }
+  },
+  
+  // Reconciliation
+  // ---------------------------
+  // sourceOfTruth: Which system wins when reconciliation applies fixes: 'alchemy' or 'google' (default: 'alchemy')
+  reconcile: {
+    sourceOfTruth: process.env.RECONCILE_SOURCE_OF_TRUTH || 'alchemy'
+  },
+  
+  // Concurrent edits
+  // ---------------------------
+  // conflictPolicy: What happens when a record changed in Alchemy and its event changed in Google since
+  //                 they were last synced: 'alchemy' (Alchemy's change is written), 'google' (Google's
+  //                 change is kept and written to Alchemy), 'latest' (the later change wins) or 'review'
+  //                 (neither is written; the conflict is listed for an admin to resolve) (default: 'alchemy')
+  sync: {
+    conflictPolicy: process.env.SYNC_CONFLICT_POLICY || 'alchemy'
+  },
+  
+  // Tenant profiles
+  // ---------------------------
+  // file: JSON file with several tenant profiles (see README "Multi-Tenant Deployments")
+  // dir: Directory of JSON files, one tenant profile per file
+  // defaultTenant: Tenant used by requests that name none (default: the only tenant, if there is one)
+  // header: Request header that selects a tenant (the /tenants/:tenantId path prefix works too)
+  // Without a file or directory the settings above form a single tenant called "default".
+  tenants: {
+    file: process.env.TENANTS_FILE,
+    dir: process.env.TENANTS_DIR,
+    defaultTenant: process.env.DEFAULT_TENANT,
+    header: process.env.TENANT_HEADER || 'X-Tenant-Id'
+  },
+  
+  // Mapping storage configuration
+  // ---------------------------
+  // backend: Where ER code -> Google event mappings are kept: 'json' or 'sqlite' (default: 'json')
+  // jsonFile: Path of the JSON mapping file (also the legacy tracking file imported by the SQLite backend)
+  // sqliteFile: Path of the SQLite database (requires the optional better-sqlite3 package)
+  // auditFile: Path of the sync audit trail (JSON lines, see audit.js)
+  // auditMaxBytes: Size at which the audit trail moves to <auditFile>.1, replacing the previous one (default: 10 MB)
+  // Tenants loaded from profiles get their own files next to these, e.g. /tmp/er_events.<tenant>.json
+  storage: {
+    backend: process.env.MAPPING_STORE || 'json',
+    jsonFile: process.env.EVENT_TRACKING_FILE || '/tmp/er_events.json',
+    sqliteFile: process.env.MAPPING_SQLITE_FILE || './data/mappings.db',
+    auditFile: process.env.AUDIT_LOG_FILE || './data/audit.jsonl',
+    auditMaxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024), 10)
+  },
+  
+  // Access token caching
+  // ---------------------------
+  // refreshMarginSeconds: Refresh a cached token this long before it expires (default: 60)
+  // alchemyTtlSeconds: Lifetime assumed for Alchemy tokens that do not carry a JWT expiry (default: 5 minutes)
+  tokens: {
+    refreshMarginSeconds: parseInt(process.env.TOKEN_REFRESH_MARGIN_SECONDS || '60', 10),
+    alchemyTtlSeconds: parseInt(process.env.ALCHEMY_TOKEN_TTL_SECONDS || '300', 10)
+  },
+  
+  // Outbound calls to Google and Alchemy (see concurrency.js)
+  // ---------------------------
+  // maxConcurrency: Calls in flight at once, across all tenants (default: 8)
+  // rateLimitRetries: Retries of a call answered 429 or rateLimitExceeded before it fails (default: 4)
+  // rateLimitBaseDelayMs: Wait before the first retry when there is no Retry-After; doubles every retry (default: 1000)
+  // rateLimitMaxDelaySeconds: Longest wait within a request; longer waits are left to the retry queue (default: 30)
+  upstream: {
+    maxConcurrency: Math.max(parseInt(process.env.UPSTREAM_MAX_CONCURRENCY || '8', 10), 1),
+    rateLimitRetries: parseInt(process.env.UPSTREAM_RATE_LIMIT_RETRIES || '4', 10),
+    rateLimitBaseDelayMs: parseInt(process.env.UPSTREAM_RATE_LIMIT_BASE_DELAY_MS || '1000', 10),
+    rateLimitMaxDelaySeconds: parseInt(process.env.UPSTREAM_RATE_LIMIT_MAX_DELAY_SECONDS || '30', 10)
+  },
+  
+  // Batch sync (POST /google/events/batch)
+  // ---------------------------
+  // maxItems: Most reservations accepted in one batch (default: 500)
+  // concurrency: Reservations of a batch written at once (default: 4)
+  batch: {
+    maxItems: Math.max(parseInt(process.env.BATCH_MAX_ITEMS || '500', 10), 1),
+    concurrency: Math.max(parseInt(process.env.BATCH_CONCURRENCY || '4', 10), 1)
+  },
+  
+  // Retry queue configuration
+  // ---------------------------
+  // file: Path of the JSON file holding failed operations waiting for retry
+  // maxAttempts: Attempts (including the first) before a job is moved to the dead-letter list (default: 8)
+  // baseDelaySeconds: Delay before the first retry; doubles on every attempt (default: 30)
+  // maxDelaySeconds: Longest delay between retries (default: 1 hour)
+  // pollIntervalSeconds: How often the worker looks for due jobs (default: 15)
+  queue: {
+    file: process.env.JOB_QUEUE_FILE || './data/jobs.json',
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '8', 10),
+    baseDelaySeconds: parseInt(process.env.JOB_BASE_DELAY_SECONDS || '30', 10),
+    maxDelaySeconds: parseInt(process.env.JOB_MAX_DELAY_SECONDS || '3600', 10),
+    pollIntervalSeconds: parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '15', 10)
+  },
+  
+  // Readiness checks (GET /health/ready, see health.js)
+  // ---------------------------
+  // timeoutSeconds: Time limit of each check (default: 5)
+  // tokenCheckSeconds: Refresh the access tokens to prove the refresh tokens work at most this often (default: 5 minutes)
+  // cacheSeconds: How long a readiness result is reused (default: 15)
+  health: {
+    timeoutSeconds: parseInt(process.env.HEALTH_CHECK_TIMEOUT_SECONDS || '5', 10),
+    tokenCheckSeconds: parseInt(process.env.HEALTH_TOKEN_CHECK_SECONDS || '300', 10),
+    cacheSeconds: parseInt(process.env.HEALTH_CACHE_SECONDS || '15', 10)
   },
   
-  // Logging configuration
+  // Logging configuration (JSON lines, see logger.js)
   // -------------------
   // level: Detail level of logging (default: 'info')
-  // colorize: Whether to colorize log output (default: true)
+  // colorize: Whether to colorize log output when it goes to a terminal (default: true)
   logging: {
-    level: process.env.LOG_LEVEL || 'info', // 'debug', 'info', 'warn', 'error'
+    level: process.env.LOG_LEVEL || 'info', // 'debug', 'info', 'warn', 'error', 'silent'
     colorize: process.env.LOG_COLORIZE !== 'false'
   }
 };
@@ -88,6 +346,7 @@ const config = {
  * ----------
  * Checks if all required environment variables are set.
  * If any are missing, it will log a warning but the server will still run.
+ * Deployments with tenant profiles check each profile instead (see tenants.js).
  */
 function validateConfig() {
   const requiredVars = [
@@ -115,6 +374,6 @@ function validateConfig() {
   return missingVars.length === 0;
 }
 
-config.isValid = validateConfig();
+config.isValid = config.tenants.file || config.tenants.dir ? true : validateConfig();
 
 export default config;
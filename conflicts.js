@@ -0,0 +1,83 @@
+import { listEventsInRange } from "./googleClient.js";
+import { readEventStamp } from "./identifiers.js";
+import { eventInstant } from "./fieldMapping.js";
+import { getCalendarTimeZone } from "./timeZones.js";
+import { expandOccurrences } from "./recurrence.js";
+
+/**
+ * CONFLICT DETECTION
+ * ------------------
+ * Before an event is written, the target calendar can be checked for other events in the same
+ * time slot. The tenant's google.conflicts settings choose a policy per calendar:
+ *   allow  - no check (default)
+ *   warn   - write the event, report the overlapping events
+ *   reject - do not write the event
+ * Events marked "free" (transparent) never conflict. A recurring booking is checked at each of its
+ * first MAX_CHECKED_OCCURRENCES occurrences.
+ */
+
+export const CONFLICT_POLICIES = ["allow", "warn", "reject"];
+
+const MAX_CHECKED_OCCURRENCES = 100;
+
+/**
+ * Check that every configured policy is known. Throws naming the source on the first bad value.
+ */
+export function validateConflictPolicies(conflicts, source) {
+    const entries = [["default", conflicts.policy], ...Object.entries(conflicts.calendars || {})];
+    for (const [calendarId, policy] of entries) {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new Error(`${source}: conflict policy for ${calendarId} must be one of ${CONFLICT_POLICIES.join(", ")}`);
+        }
+    }
+}
+
+// The conflict policy for one of the tenant's calendars
+export function getConflictPolicy(tenant, calendarId) {
+    const { policy, calendars } = tenant.google.conflicts;
+    return calendars?.[calendarId] || policy;
+}
+
+/**
+ * List the events on a calendar that overlap an event body's time slot, or the slot of any of its
+ * occurrences. The event being updated (ignoreEventId) and events stamped with the same identifier
+ * never conflict with it.
+ */
+export async function findConflicts(tenant, calendarId, eventBody, { ignoreEventId, identifier } = {}) {
+    // All-day bookings block their dates from midnight to midnight in the calendar's timezone
+    const timeZone = await getCalendarTimeZone(tenant, calendarId);
+    const occurrences = expandOccurrences(eventBody, timeZone, { limit: MAX_CHECKED_OCCURRENCES });
+    if (occurrences.length === 0) return [];
+
+    // One listing covers the whole series; each listed event is then compared with the occurrences
+    const timeMin = occurrences[0].start.toISO();
+    const timeMax = occurrences[occurrences.length - 1].end.toISO();
+    const events = await listEventsInRange(tenant, calendarId, timeMin, timeMax);
+    const overlaps = event => {
+        const start = Date.parse(eventInstant(event.start, timeZone));
+        const end = Date.parse(eventInstant(event.end, timeZone));
+        return occurrences.some(occurrence => occurrence.start.toMillis() < end && start < occurrence.end.toMillis());
+    };
+
+    return events
+        .filter(event => event.id !== ignoreEventId && event.transparency !== "transparent")
+        .filter(overlaps)
+        .map(event => ({
+            eventId: event.id,
+            summary: event.summary || null,
+            start: event.start,
+            end: event.end,
+            identifier: readEventStamp(tenant, event).identifier
+        }))
+        .filter(conflict => !identifier || conflict.identifier !== identifier);
+}
+
+/**
+ * Error thrown when a reject policy stops a write; it carries the overlapping events
+ */
+export function conflictError(calendarId, conflicts) {
+    const error = new Error(`Booking overlaps ${conflicts.length} event(s) on calendar ${calendarId}`);
+    error.status = 409;
+    error.conflicts = conflicts;
+    return error;
+}
@@ -0,0 +1,328 @@
+import express from "express";
+import { getMappingStore } from "./mappingStore.js";
+import { getAuditLog } from "./audit.js";
+import { listJobs } from "./jobQueue.js";
+import { getReadiness } from "./health.js";
+import { getTenant, getDefaultTenant, listTenants } from "./tenants.js";
+import { repushToAlchemy, recreateMappedEvents, unlinkMappings } from "./googleMiddleware.js";
+import { adminFormToken, isValidAdminFormToken } from "./auth.js";
+import { validateRequest } from "./validation.js";
+import { logger } from "./logger.js";
+
+const router = express.Router();
+
+/**
+ * ADMIN DASHBOARD
+ * ---------------
+ * Server-rendered pages for admins, so mappings can be looked after from a browser instead of with
+ * curl. A browser logs in with HTTP Basic authentication and ADMIN_TOKEN as the password (see auth.js).
+ *   GET  /dashboard                            credentials, flagged sync conflicts, the retry queue,
+ *                                              recent activity and failures (from the audit
+ *                                              entries kept in memory), and the mappings
+ *                                              (?erCode= / ?calendarId= narrow the list)
+ *   GET  /dashboard/mappings/:erCode           one ER code's mappings, its sync history and actions
+ *   POST /dashboard/mappings/:erCode/:action   run an action on one of its mappings:
+ *     repush    write the event as Google has it to the Alchemy record again
+ *     recreate  replace the event with a fresh copy and cancel the old one
+ *     unlink    forget the mapping, leaving the event and the record alone
+ * ?tenantId= (a form field for actions) picks the tenant; without it the default tenant is shown.
+ * Actions answer with a redirect to the ER code's page, which shows the outcome. A page that cannot be
+ * loaded answers 500 with the error.
+ */
+
+const MAX_MAPPINGS = 200;
+const RECENT_ENTRIES = 25;
+const RECENT_FAILURES = 10;
+
+const ACTIONS = {
+    repush: (tenant, erCode, calendarId) => repushToAlchemy(tenant, erCode, { calendarId }),
+    recreate: (tenant, erCode, calendarId) => recreateMappedEvents(tenant, erCode, { calendarId }),
+    unlink: (tenant, erCode, calendarId) => unlinkMappings(tenant, erCode, { calendarId })
+};
+
+// Marks a string as HTML that is already safe to output
+const SAFE_HTML = Symbol("safe HTML");
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Interpolated values are escaped, except html`` results; lists are joined and null, undefined and false left out
+function render(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (Array.isArray(value)) return value.map(render).join("");
+    if (value[SAFE_HTML] !== undefined) return value[SAFE_HTML];
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return { [SAFE_HTML]: strings.reduce((output, string, index) => output + string + (index < values.length ? render(values[index]) : ""), "") };
+}
+
+const STYLE = html`
+body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #222; }
+header { background: #1f3a5f; color: #fff; padding: 10px 20px; display: flex; gap: 20px; align-items: baseline; }
+header a { color: #fff; }
+main { padding: 10px 20px; }
+table { border-collapse: collapse; margin-bottom: 20px; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+form.inline { display: inline; }
+.ok { color: #17752f; }
+.failing, .error { color: #b3261e; }
+.notice { padding: 8px 12px; background: #eef5ff; border: 1px solid #9ab; }
+.muted { color: #777; }
+`;
+
+// The tenant a request names, or the default tenant (the first one when there is no default)
+function dashboardTenant(tenantId) {
+    if (tenantId) return getTenant(tenantId);
+    return getDefaultTenant() || listTenants()[0] || null;
+}
+
+// Dashboard path for a tenant, with an optional query
+function dashboardPath(tenant, path = "", query = {}) {
+    const params = new URLSearchParams({ tenantId: tenant.id, ...query });
+    return `/dashboard${path}?${params}`;
+}
+
+// Link to an event in Google Calendar: like an event's htmlLink, eid is "<event ID> <calendar ID>"
+// in base64 (just the event ID on the primary calendar, whose ID is not its address)
+function googleEventUrl(calendarId, eventId) {
+    const eid = Buffer.from(calendarId === "primary" ? eventId : `${eventId} ${calendarId}`).toString("base64url");
+    return `https://www.google.com/calendar/event?eid=${eid}`;
+}
+
+// Link to a record in the Alchemy web app, when the tenant has alchemy.recordUrl
+function alchemyRecordUrl(tenant, recordId) {
+    const { recordUrl, tenantName } = tenant.alchemy;
+    if (!recordUrl || !recordId) return null;
+    const values = { recordId, tenantName };
+    return recordUrl.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => encodeURIComponent(values[name] ?? ""));
+}
+
+function link(url, text) {
+    return url ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>` : text;
+}
+
+function erCodeLink(tenant, erCode) {
+    return erCode ? html`<a href="${dashboardPath(tenant, `/mappings/${encodeURIComponent(erCode)}`)}">${erCode}</a>` : "";
+}
+
+function sendPage(res, tenant, title, content, status = 200) {
+    const tenants = listTenants();
+    const switcher = tenants.length > 1 && html`<span>Tenant: ${tenants.map(other => other.id === tenant?.id
+        ? html`<strong>${other.name}</strong> `
+        : html`<a href="${dashboardPath(other)}">${other.name}</a> `)}</span>`;
+
+    // No scripts, no framing and forms only post back here
+    res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'");
+    res.set("Cache-Control", "no-store");
+    res.status(status).type("html").send(render(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title} - Alchemy Google Calendar sync</title><style>${STYLE}</style></head>
+<body>
+<header><strong>Alchemy Google Calendar sync</strong>${tenant && html`<a href="${dashboardPath(tenant)}">Overview</a>`}${switcher}</header>
+<main>
+<h1>${title}</h1>
+${content}
+</main>
+</body>
+</html>
+`));
+}
+
+// A page that failed to load: the error is logged and shown, and the page answers 500
+function sendErrorPage(res, tenant, error) {
+    logger.error(`Error: ${error.message}`);
+    return sendPage(res, tenant, "Something went wrong", html`<p class="failing">The page could not be loaded: ${error.message}</p>`, 500);
+}
+
+// Credential and storage checks of every tenant (see health.js)
+function credentialsSection(report) {
+    const labels = { googleToken: "Google token", alchemyToken: "Alchemy token", mappingStore: "Mapping store", calendars: "Calendars" };
+    const cell = (check, working = "working") => check
+        ? html`<td class="${check.ok ? "ok" : "failing"}">${check.ok ? working : `failing: ${check.error}`}</td>`
+        : html`<td class="muted">-</td>`;
+    return html`
+<h2>Credentials</h2>
+<table>
+<tr><th>Tenant</th>${Object.values(labels).map(label => html`<th>${label}</th>`)}<th>Configuration</th></tr>
+${report.tenants.map(({ id, checks }) => html`<tr><td>${id}</td>${Object.keys(labels).map(name => cell(checks[name]))}${cell(checks.configuration || { ok: true }, "complete")}</tr>`)}
+</table>
+<p class="muted">Checked at ${report.checkedAt}</p>`;
+}
+
+function auditTable(tenant, entries) {
+    if (entries.length === 0) return html`<p class="muted">None.</p>`;
+    return html`
+<table>
+<tr><th>At</th><th>Action</th><th>Direction</th><th>ER code</th><th>Calendar</th><th>Start</th><th>End</th><th>Error</th></tr>
+${entries.map(entry => html`<tr>
+<td>${entry.at}</td>
+<td>${entry.action}${entry.reason && ` (${entry.reason})`}${entry.queued && " (queued)"}</td>
+<td>${entry.source} &rarr; ${entry.target}</td>
+<td>${erCodeLink(tenant, entry.erCode)}</td>
+<td>${entry.calendarId}</td>
+<td>${entry.after?.start}</td>
+<td>${entry.after?.end}</td>
+<td class="error">${entry.error}</td>
+</tr>`)}
+</table>`;
+}
+
+function jobsSection(tenant) {
+    const jobs = listJobs({ tenantId: tenant.id });
+    const dead = jobs.filter(job => job.status === "dead");
+    const pending = jobs.length - dead.length;
+    return html`
+<h2>Retry queue</h2>
+<p>${pending} pending, ${dead.length} dead.</p>
+${dead.length > 0 && html`
+<table>
+<tr><th>Job</th><th>Description</th><th>Attempts</th><th>Last error</th><th>Updated</th></tr>
+${dead.map(job => html`<tr><td>${job.id}</td><td>${job.description}</td><td>${job.attempts}</td><td class="error">${job.lastError}</td><td>${job.updatedAt}</td></tr>`)}
+</table>`}`;
+}
+
+function mappingsTable(tenant, mappings, { actions = false } = {}) {
+    if (mappings.length === 0) return html`<p class="muted">No mappings.</p>`;
+    return html`
+<table>
+<tr><th>ER code</th><th>Calendar</th><th>Google event</th><th>Alchemy record</th><th>Last sync to Google</th><th>Last sync to Alchemy</th><th>Status</th>${actions && html`<th>Actions</th>`}</tr>
+${mappings.map(mapping => html`<tr>
+<td>${erCodeLink(tenant, mapping.erCode)}</td>
+<td>${mapping.calendarId}</td>
+<td>${link(googleEventUrl(mapping.calendarId, mapping.eventId), mapping.eventId)}</td>
+<td>${link(alchemyRecordUrl(tenant, mapping.recordId), mapping.recordId || "")}</td>
+<td>${mapping.lastSyncedToGoogleAt}</td>
+<td>${mapping.lastSyncedToAlchemyAt}</td>
+<td>${mapping.syncConflict ? html`<span class="failing">sync conflict since ${mapping.syncConflict.detectedAt}</span>` : mapping.syncState ? `synced from ${mapping.syncState.origin}` : ""}</td>
+${actions && html`<td>${actionForms(tenant, mapping)}</td>`}
+</tr>`)}
+</table>`;
+}
+
+function actionForms(tenant, mapping) {
+    const labels = { repush: "Re-push to Alchemy", recreate: "Force-recreate event", unlink: "Unlink" };
+    return Object.entries(labels).map(([action, label]) => html`
+<form class="inline" method="post" action="/dashboard/mappings/${encodeURIComponent(mapping.erCode)}/${action}">
+<input type="hidden" name="tenantId" value="${tenant.id}">
+<input type="hidden" name="calendarId" value="${mapping.calendarId}">
+<input type="hidden" name="formToken" value="${adminFormToken()}">
+<button type="submit">${label}</button>
+</form>`);
+}
+
+// One line per result of an action, for the notice shown after it
+function describeResults(results) {
+    return results.map(({ calendarId, success, action, eventId, error, alchemy }) => success
+        ? `${calendarId}: ${action} (event ${eventId}${alchemy?.queued ? ", Alchemy update queued" : ""})`
+        : `${calendarId}: failed - ${error || alchemy?.error}`).join("; ");
+}
+
+// Overview: credentials, conflicts, retry queue, activity and mappings
+router.get("/", validateRequest("dashboard"), async (req, res) => {
+    const tenant = dashboardTenant(req.query.tenantId);
+    if (!tenant) {
+        return sendPage(res, null, "Unknown tenant", html`<p>No tenant ${req.query.tenantId || ""} is configured.</p>`, 404);
+    }
+
+    const { erCode, calendarId } = req.query;
+    try {
+        const store = await getMappingStore(tenant);
+        const auditLog = getAuditLog(tenant);
+        const [report, allMappings, recent, failures] = await Promise.all([
+            getReadiness(),
+            store.list({ erCode, calendarId }),
+            auditLog.query({ limit: RECENT_ENTRIES, recent: true }),
+            auditLog.query({ action: "failed", limit: RECENT_FAILURES, recent: true })
+        ]);
+
+        const mappings = allMappings
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, MAX_MAPPINGS);
+        const conflicts = allMappings.filter(mapping => mapping.syncConflict);
+
+        return sendPage(res, tenant, tenant.name, html`
+${credentialsSection(report)}
+<h2>Sync conflicts</h2>
+${conflicts.length > 0
+    ? html`<p>Flagged for review (policy ${tenant.sync.conflictPolicy}): ${conflicts.map(mapping => html`${erCodeLink(tenant, mapping.erCode)} `)}</p>`
+    : html`<p class="muted">None flagged (policy ${tenant.sync.conflictPolicy}).</p>`}
+${jobsSection(tenant)}
+<h2>Recent failures</h2>
+${auditTable(tenant, failures)}
+<h2>Recent activity</h2>
+${auditTable(tenant, recent)}
+<h2>Mappings</h2>
+<form method="get" action="/dashboard">
+<input type="hidden" name="tenantId" value="${tenant.id}">
+<label>ER code <input name="erCode" value="${erCode || ""}"></label>
+<label>Calendar <input name="calendarId" value="${calendarId || ""}"></label>
+<button type="submit">Filter</button>
+</form>
+<p class="muted">${allMappings.length > mappings.length ? `Showing the ${mappings.length} most recently changed of ${allMappings.length}.` : `${allMappings.length} mappings.`}</p>
+${mappingsTable(tenant, mappings)}`);
+    } catch (error) {
+        return sendErrorPage(res, tenant, error);
+    }
+});
+
+// One ER code: its mappings with the actions, and its sync history
+router.get("/mappings/:erCode", validateRequest("dashboard-mapping"), async (req, res) => {
+    const tenant = dashboardTenant(req.query.tenantId);
+    if (!tenant) {
+        return sendPage(res, null, "Unknown tenant", html`<p>No tenant ${req.query.tenantId || ""} is configured.</p>`, 404);
+    }
+
+    const { erCode } = req.params;
+    try {
+        const store = await getMappingStore(tenant);
+        const [mappings, history] = await Promise.all([
+            store.list({ erCode }),
+            getAuditLog(tenant).query({ erCode, limit: 50 })
+        ]);
+
+        return sendPage(res, tenant, erCode, html`
+${req.query.notice && html`<p class="notice">${req.query.notice}</p>`}
+<h2>Mappings</h2>
+${mappingsTable(tenant, mappings, { actions: true })}
+<h2>Sync history</h2>
+${auditTable(tenant, history)}`);
+    } catch (error) {
+        return sendErrorPage(res, tenant, error);
+    }
+});
+
+// Run an action on one mapping of an ER code and show the ER code's page with the outcome
+router.post("/mappings/:erCode/:action", validateRequest("dashboard-action"), async (req, res) => {
+    if (!isValidAdminFormToken(req.body.formToken)) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl}: invalid form token`);
+        return res.status(403).json({ error: "Forbidden", message: "Invalid form token; reload the dashboard and try again" });
+    }
+
+    const tenant = dashboardTenant(req.body.tenantId);
+    if (!tenant) {
+        return sendPage(res, null, "Unknown tenant", html`<p>No tenant ${req.body.tenantId} is configured.</p>`, 404);
+    }
+
+    const { erCode, action } = req.params;
+    let notice;
+    try {
+        const results = await ACTIONS[action](tenant, erCode, req.body.calendarId);
+        notice = results ? describeResults(results) : `No mapping found for ${erCode}`;
+        logger.info(`Dashboard ${action} of ${erCode}: ${notice}`);
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        notice = `${action} failed: ${error.message}`;
+    }
+    return res.redirect(303, dashboardPath(tenant, `/mappings/${encodeURIComponent(erCode)}`, { notice }));
+});
+
+export default router;
@@ -0,0 +1,441 @@
+import express from "express";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+
+/**
+ * GOOGLE CALENDAR AND ALCHEMY EMULATOR
+ * ------------------------------------
+ * An in-memory fake of the Google and Alchemy endpoints this middleware calls, for tests and for
+ * running the middleware offline. Point the middleware at it with the variables from env():
+ *   GOOGLE_TOKEN_URL          POST /google/token
+ *   GOOGLE_CALENDAR_API_URL   /google/calendar/v3: calendars.get, events insert/get/patch/delete/list/
+ *                             instances/watch and channels.stop (patch honours If-Match)
+ *   ALCHEMY_BASE_URL          PUT /alchemy/core/api/v2/refresh-token and /update-record
+ *   ALCHEMY_SEARCH_URL        POST /alchemy/core/api/v2/search-records (the records given to setRecords)
+ *
+ * Calendars are created on first use. load.peakInFlight shows how many requests were open at once. Access tokens are checked: expireTokens() makes every issued
+ * token answer 401 until the middleware refreshes it. Other scenarios:
+ *   fail({ method, path, status, times, headers, body, delayMs })   answer matching requests with an error
+ *   google.cancelEvent(calendarId, eventId)                          the event is cancelled in Google
+ *   google.deleteEvent(calendarId, eventId)                          the event is gone (404)
+ *   google.updateEvent(calendarId, eventId, changes)                 someone edits the event in Google
+ *
+ * This module imports nothing from the middleware, so it can be started before the middleware's
+ * configuration is read. Run it on its own with `npm run emulator` (EMULATOR_PORT, default 4000).
+ */
+
+const ALCHEMY_API_PATH = "/alchemy/core/api/v2";
+const CALENDAR_API_PATH = "/google/calendar/v3";
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Google's PATCH semantics: nested objects are merged, arrays replaced and null clears a field.
+// Patching an empty object drops the null fields of an inserted event.
+function patchObject(target, changes) {
+    const patched = { ...target };
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+            delete patched[key];
+        } else if (isPlainObject(value)) {
+            patched[key] = patchObject(isPlainObject(patched[key]) ? patched[key] : {}, value);
+        } else {
+            patched[key] = value;
+        }
+    }
+    return patched;
+}
+
+function googleError(res, status, message) {
+    return res.status(status).json({ error: { code: status, message, errors: [{ message }] } });
+}
+
+// Start of an event time as milliseconds: a date-time, or midnight UTC of an all-day date
+function timeValue(time) {
+    return Date.parse(time?.dateTime || time?.date);
+}
+
+/**
+ * Start the emulator. Resolves to the emulator object described above, with url and close().
+ *   port: Port to listen on (default: any free port)
+ *   alchemyTenants: Alchemy tenant names the refresh endpoint returns tokens for
+ *   defaultTimeZone: Timezone of calendars created on first use
+ */
+export async function startEmulator({ port = 0, host = "127.0.0.1", alchemyTenants = ["productcaseelnlims4uat"], defaultTimeZone = "America/New_York" } = {}) {
+    const state = {};
+    const failures = [];
+    const requests = [];
+    const load = { inFlight: 0, peakInFlight: 0 };
+    let sequence = 0;
+
+    function reset() {
+        Object.assign(state, {
+            calendars: new Map(),
+            channels: new Map(),
+            googleTokens: new Set(),
+            alchemyTokens: new Set(),
+            records: new Map(),
+            searchRecords: [],
+            updates: []
+        });
+        failures.length = 0;
+        load.peakInFlight = load.inFlight;
+        requests.length = 0;
+    }
+    reset();
+
+    function getCalendar(calendarId) {
+        if (!state.calendars.has(calendarId)) {
+            state.calendars.set(calendarId, { id: calendarId, summary: calendarId, timeZone: defaultTimeZone, events: new Map(), instances: new Map() });
+        }
+        return state.calendars.get(calendarId);
+    }
+
+    // Stamp a stored event as changed: new etag, updated time and position in the change log
+    function touch(event) {
+        event.sequenceNumber = ++sequence;
+        event.etag = `"${Date.now()}${sequence}"`;
+        event.updated = new Date().toISOString();
+        return event;
+    }
+
+    // The event as Google returns it, without the change log position
+    function publicEvent(event) {
+        const { sequenceNumber, ...visible } = event;
+        return structuredClone(visible);
+    }
+
+    function insertEvent(calendarId, body, { conferenceDataVersion } = {}) {
+        const id = body.id || crypto.randomUUID().replace(/-/g, "");
+        const event = {
+            kind: "calendar#event",
+            ...patchObject({}, structuredClone(body)),
+            id,
+            status: "confirmed",
+            iCalUID: `${id}@google.com`,
+            created: new Date().toISOString(),
+            htmlLink: `https://www.google.com/calendar/event?eid=${id}`
+        };
+        if (event.attendees) {
+            event.attendees = event.attendees.map(attendee => ({ responseStatus: "needsAction", ...attendee }));
+        }
+        if (event.conferenceData?.createRequest && conferenceDataVersion === "1") {
+            const meetId = crypto.randomUUID().slice(0, 12);
+            event.conferenceData = {
+                ...event.conferenceData,
+                conferenceId: meetId,
+                entryPoints: [{ entryPointType: "video", uri: `https://meet.google.com/${meetId}` }],
+                createRequest: { ...event.conferenceData.createRequest, status: { statusCode: "success" } }
+            };
+            event.hangoutLink = `https://meet.google.com/${meetId}`;
+        }
+        getCalendar(calendarId).events.set(id, touch(event));
+        return event;
+    }
+
+    function findEvent(calendarId, eventId) {
+        return getCalendar(calendarId).events.get(eventId) || null;
+    }
+
+    const google = {
+        addCalendar(calendarId, { timeZone, summary } = {}) {
+            const calendar = getCalendar(calendarId);
+            Object.assign(calendar, { ...(timeZone ? { timeZone } : {}), ...(summary ? { summary } : {}) });
+            return calendar;
+        },
+        getEvent(calendarId, eventId) {
+            const event = findEvent(calendarId, eventId);
+            return event && publicEvent(event);
+        },
+        listEvents(calendarId) {
+            return [...getCalendar(calendarId).events.values()].map(publicEvent);
+        },
+        insertEvent(calendarId, body) {
+            return publicEvent(insertEvent(calendarId, body));
+        },
+        updateEvent(calendarId, eventId, changes) {
+            const event = findEvent(calendarId, eventId);
+            if (!event) throw new Error(`No event ${eventId} on calendar ${calendarId}`);
+            const updated = touch(patchObject(event, changes));
+            getCalendar(calendarId).events.set(eventId, updated);
+            return publicEvent(updated);
+        },
+        cancelEvent(calendarId, eventId) {
+            return google.updateEvent(calendarId, eventId, { status: "cancelled" });
+        },
+        deleteEvent(calendarId, eventId) {
+            return getCalendar(calendarId).events.delete(eventId);
+        },
+        setInstances(calendarId, eventId, instances) {
+            getCalendar(calendarId).instances.set(eventId, structuredClone(instances));
+        },
+        get channels() {
+            return [...state.channels.values()];
+        }
+    };
+
+    const alchemy = {
+        getRecord(recordId) {
+            return state.records.get(String(recordId)) || null;
+        },
+        setRecords(records) {
+            state.searchRecords = structuredClone(records);
+        },
+        get updates() {
+            return state.updates;
+        }
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Log every request, then apply the first matching failure scenario
+    app.use(async (req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body, headers: { ...req.headers } });
+        load.inFlight++;
+        load.peakInFlight = Math.max(load.peakInFlight, load.inFlight);
+        res.on("close", () => load.inFlight--);
+
+        const failure = failures.find(rule => rule.times > 0
+            && (!rule.method || rule.method === req.method)
+            && (!rule.path || (rule.path instanceof RegExp ? rule.path.test(req.path) : req.path.includes(rule.path))));
+        if (!failure) return next();
+
+        failure.times--;
+        if (failure.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+        }
+        if (!failure.status) return next();
+        res.set(failure.headers || {});
+        res.status(failure.status).json(failure.body || { error: { code: failure.status, message: `Emulated ${failure.status} response` } });
+    });
+
+    // Google OAuth token endpoint
+    app.post("/google/token", (req, res) => {
+        if (req.body.grant_type !== "refresh_token" || !req.body.refresh_token) {
+            return res.status(400).json({ error: "invalid_grant", error_description: "Bad Request" });
+        }
+        const accessToken = `google-${crypto.randomUUID()}`;
+        state.googleTokens.add(accessToken);
+        res.json({ access_token: accessToken, expires_in: 3599, token_type: "Bearer" });
+    });
+
+    // Every Calendar API call needs a token issued by /google/token
+    app.use(CALENDAR_API_PATH, (req, res, next) => {
+        const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+        if (!state.googleTokens.has(token)) {
+            return googleError(res, 401, "Invalid Credentials");
+        }
+        next();
+    });
+
+    const calendarApi = express.Router();
+
+    calendarApi.get("/calendars/:calendarId", (req, res) => {
+        const { id, summary, timeZone } = getCalendar(req.params.calendarId);
+        res.json({ kind: "calendar#calendar", id, summary, timeZone });
+    });
+
+    calendarApi.get("/calendars/:calendarId/events", (req, res) => {
+        const calendar = getCalendar(req.params.calendarId);
+        const { syncToken, pageToken, showDeleted, privateExtendedProperty, timeMin, timeMax, singleEvents } = req.query;
+        let events = [...calendar.events.values()];
+
+        if (syncToken) {
+            const since = Number(/^sync-(\d+)$/.exec(syncToken)?.[1]);
+            if (!Number.isInteger(since) || since > sequence) {
+                return googleError(res, 410, "Sync token is no longer valid, a full sync is required.");
+            }
+            events = events.filter(event => event.sequenceNumber > since);
+        } else if (showDeleted !== "true") {
+            events = events.filter(event => event.status !== "cancelled");
+        }
+
+        if (singleEvents === "true") {
+            events = events.flatMap(event => calendar.instances.get(event.id) || [event]);
+        }
+        if (privateExtendedProperty) {
+            const [key, value] = privateExtendedProperty.split(/=(.*)/s);
+            events = events.filter(event => event.extendedProperties?.private?.[key] === value);
+        }
+        if (timeMin) {
+            events = events.filter(event => timeValue(event.end) > Date.parse(timeMin));
+        }
+        if (timeMax) {
+            events = events.filter(event => timeValue(event.start) < Date.parse(timeMax));
+        }
+
+        const offset = Number(pageToken || 0);
+        const pageSize = Number(req.query.maxResults || 250);
+        const page = events.slice(offset, offset + pageSize);
+        const more = offset + pageSize < events.length;
+        res.json({
+            kind: "calendar#events",
+            timeZone: calendar.timeZone,
+            items: page.map(publicEvent),
+            ...(more ? { nextPageToken: String(offset + pageSize) } : { nextSyncToken: `sync-${sequence}` })
+        });
+    });
+
+    calendarApi.post("/calendars/:calendarId/events", (req, res) => {
+        res.json(publicEvent(insertEvent(req.params.calendarId, req.body, req.query)));
+    });
+
+    calendarApi.post("/calendars/:calendarId/events/watch", (req, res) => {
+        const { id, address, token, params } = req.body;
+        const channel = {
+            kind: "api#channel",
+            id,
+            resourceId: crypto.randomUUID(),
+            resourceUri: `${CALENDAR_API_PATH}/calendars/${req.params.calendarId}/events`,
+            token,
+            address,
+            expiration: String(Date.now() + Number(params?.ttl || 604800) * 1000)
+        };
+        state.channels.set(id, channel);
+        res.json(channel);
+    });
+
+    calendarApi.get("/calendars/:calendarId/events/:eventId/instances", (req, res) => {
+        const instances = getCalendar(req.params.calendarId).instances.get(req.params.eventId);
+        if (!instances) return googleError(res, 404, "Not Found");
+        res.json({ kind: "calendar#events", items: structuredClone(instances) });
+    });
+
+    calendarApi.get("/calendars/:calendarId/events/:eventId", (req, res) => {
+        const event = findEvent(req.params.calendarId, req.params.eventId);
+        if (!event) return googleError(res, 404, "Not Found");
+        res.json(publicEvent(event));
+    });
+
+    calendarApi.patch("/calendars/:calendarId/events/:eventId", (req, res) => {
+        const event = findEvent(req.params.calendarId, req.params.eventId);
+        if (!event) return googleError(res, 404, "Not Found");
+        // A conditional update fails once the event changed since the caller read it
+        const ifMatch = req.get("If-Match");
+        if (ifMatch && ifMatch !== "*" && ifMatch !== event.etag) return googleError(res, 412, "Precondition Failed");
+        res.json(google.updateEvent(req.params.calendarId, req.params.eventId, req.body));
+    });
+
+    calendarApi.delete("/calendars/:calendarId/events/:eventId", (req, res) => {
+        const event = findEvent(req.params.calendarId, req.params.eventId);
+        if (!event) return googleError(res, 404, "Not Found");
+        if (event.status === "cancelled") return googleError(res, 410, "Resource has been deleted");
+        google.cancelEvent(req.params.calendarId, req.params.eventId);
+        res.status(204).end();
+    });
+
+    calendarApi.post("/channels/stop", (req, res) => {
+        state.channels.delete(req.body.id);
+        res.status(204).end();
+    });
+
+    app.use(CALENDAR_API_PATH, calendarApi);
+
+    // Alchemy token refresh: one access token per tenant the refresh token can reach
+    app.put(`${ALCHEMY_API_PATH}/refresh-token`, (req, res) => {
+        if (!req.body.refreshToken) {
+            return res.status(401).json({ message: "Invalid refresh token" });
+        }
+        const tokens = alchemyTenants.map(tenant => {
+            const accessToken = `alchemy-${crypto.randomUUID()}`;
+            state.alchemyTokens.add(accessToken);
+            return { tenant, accessToken };
+        });
+        res.json({ tokens });
+    });
+
+    // Alchemy calls other than the refresh need a token it issued
+    app.use(ALCHEMY_API_PATH, (req, res, next) => {
+        const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+        if (!state.alchemyTokens.has(token)) {
+            return res.status(401).json({ message: "Unauthorized" });
+        }
+        next();
+    });
+
+    // Alchemy record update: each field's first row value is kept per record
+    app.put(`${ALCHEMY_API_PATH}/update-record`, (req, res) => {
+        const { recordId, fields } = req.body;
+        if (!recordId || !Array.isArray(fields)) {
+            return res.status(400).json({ message: "recordId and fields are required" });
+        }
+        state.updates.push(structuredClone(req.body));
+        const record = state.records.get(String(recordId)) || {};
+        for (const field of fields) {
+            record[field.identifier] = field.rows?.[0]?.values?.[0]?.value;
+        }
+        state.records.set(String(recordId), record);
+        res.json({ recordId, updated: true });
+    });
+
+    app.post(`${ALCHEMY_API_PATH}/search-records`, (req, res) => {
+        res.json({ records: structuredClone(state.searchRecords) });
+    });
+
+    app.use((req, res) => googleError(res, 404, `Emulator has no route for ${req.method} ${req.path}`));
+
+    const server = await new Promise((resolve, reject) => {
+        const listening = app.listen(port, host, () => resolve(listening)).on("error", reject);
+    });
+    const url = `http://${host}:${server.address().port}`;
+
+    return {
+        url,
+        google,
+        alchemy,
+        requests,
+
+        // Requests being answered now, and the most answered at once since the last reset()
+        load,
+
+        // Environment variables that point the middleware at the emulator
+        env() {
+            return {
+                GOOGLE_TOKEN_URL: `${url}/google/token`,
+                GOOGLE_CALENDAR_API_URL: `${url}${CALENDAR_API_PATH}`,
+                ALCHEMY_BASE_URL: `${url}${ALCHEMY_API_PATH}`,
+                ALCHEMY_SEARCH_URL: `${url}${ALCHEMY_API_PATH}/search-records`
+            };
+        },
+
+        // Answer the next `times` matching requests (method, and a path substring or RegExp) with status.
+        // Without a status the requests are only delayed by delayMs.
+        fail({ method, path, status, times = 1, headers, body, delayMs } = {}) {
+            failures.push({ method, path, status, times, headers, body, delayMs });
+        },
+
+        // Every access token issued so far answers 401
+        expireTokens() {
+            state.googleTokens.clear();
+            state.alchemyTokens.clear();
+        },
+
+        // Requests whose method matches and whose path contains pathPart
+        requestsTo(method, pathPart = "") {
+            return requests.filter(request => request.method === method && request.path.includes(pathPart));
+        },
+
+        reset,
+
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+// Standalone: node emulator.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const emulator = await startEmulator({
+        port: Number(process.env.EMULATOR_PORT || 4000),
+        alchemyTenants: (process.env.ALCHEMY_TENANT_NAME || "productcaseelnlims4uat").split(",")
+    });
+    console.log(`Google Calendar and Alchemy emulator listening on ${emulator.url}`);
+    console.log("Point the middleware at it with:");
+    Object.entries(emulator.env()).forEach(([name, value]) => console.log(`  ${name}=${value}`));
+}
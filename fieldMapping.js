@@ -0,0 +1,398 @@
+import { DateTime } from "luxon";
+import { logger } from "./logger.js";
+import { alchemyTimeZone, isValidTimeZone, resolveLocalTime } from "./timeZones.js";
+
+/**
+ * FIELD MAPPING
+ * -------------
+ * Declarative rules that copy values between Alchemy fields and Google event properties, so new
+ * Alchemy record types can be wired up from configuration. A tenant's rules come from
+ * alchemy.fieldMap (an array) or the JSON file named by alchemy.fieldMapFile.
+ *
+ * A rule looks like:
+ *   { alchemy: "Instrument", google: "location", direction: "both", transform: ... }
+ *
+ * - alchemy: Alchemy field identifier (the request body key on the way to Google)
+ * - google: Event property path, e.g. "summary", "colorId", "extendedProperties.private.sampleId"
+ * - direction: "both" (default), "toGoogle" or "toAlchemy"
+ * - transform (optional):
+ *     "date" or { type: "date", format, zone } Alchemy date <-> event date-time (format: luxon tokens;
+ *                                            zone: "local" (default), "UTC" or an IANA zone, see below)
+ *     { type: "lookup", table, default }     Value table, reversed on the way to Alchemy
+ *     { type: "template", template }         "{{ERCode}} - {{Instrument}}", rendered from the source
+ *                                            record; one direction only, and no source field needed
+ *     "attendees"                            "a@x.com, b@y.com" <-> [{ email }]
+ *
+ * Start/end times and the event status keep their built-in handling through the startField,
+ * endField and statusField settings; rules add to it or override it.
+ */
+
+const DIRECTIONS = ["both", "toGoogle", "toAlchemy"];
+const TRANSFORMS = ["date", "lookup", "template", "attendees"];
+
+// Date formats Alchemy sends and the zone each is read in, tried in order before falling back to ISO.
+// "local" is the zone Alchemy shows times in (alchemy.timeZone).
+export const ALCHEMY_DATE_FORMATS = [
+    { format: "MMM dd yyyy hh:mm a", zone: "local" },           // Feb 28 2025 02:00 PM
+    { format: "yyyy-MM-dd'T'HH:mm:ss'Z'", zone: "UTC" },        // 2025-02-28T14:00:00Z
+    { format: "yyyy-MM-dd'T'HH:mm:ss.SSS'Z'", zone: "UTC" },    // 2025-02-28T14:00:00.000Z
+];
+
+// An ISO 8601 value that carries its own offset
+const ISO_OFFSET_PATTERN = /T.*(Z|[+-]\d{2}(:?\d{2})?)$/i;
+
+const ALCHEMY_OUTPUT_FORMAT = "yyyy-MM-dd'T'HH:mm:ss'Z'";
+
+// Date-only values Alchemy sends for all-day bookings
+const ALCHEMY_DATE_ONLY_FORMATS = [
+    "yyyy-MM-dd",   // 2025-02-28
+    "MMM dd yyyy",  // Feb 28 2025
+    "MMM d yyyy",   // Feb 3 2025
+    "MM/dd/yyyy",   // 02/28/2025
+];
+
+const ALCHEMY_DATE_OUTPUT_FORMAT = "yyyy-MM-dd";
+
+/**
+ * The tenant's settings for reading Alchemy date-times: { formats, localZone, dstPolicy }.
+ * timeZone (e.g. a request's own timezone) overrides the zone local times are read in.
+ */
+export function alchemyDateSettings(tenant, timeZone) {
+    const { dateFormats, dstPolicy } = tenant.alchemy;
+    return { formats: dateFormats || ALCHEMY_DATE_FORMATS, localZone: timeZone || alchemyTimeZone(tenant), dstPolicy };
+}
+
+// The zone a format is read and written in: its own setting, UTC for formats ending in a literal 'Z',
+// otherwise the local zone
+function formatZone(format, zone, localZone) {
+    const resolved = zone || (format.endsWith("'Z'") ? "UTC" : "local");
+    return resolved === "local" ? localZone : resolved;
+}
+
+// Whether a luxon format parses a UTC offset itself (an unquoted Z token)
+function formatHasOffset(format) {
+    return /Z/.test(format.replace(/'[^']*'/g, ""));
+}
+
+/**
+ * Read an Alchemy date-time. The settings' formats (or the one given) are tried in order, each in
+ * its own zone, then ISO 8601: values with an offset keep it, values without one are local times.
+ * Local times skipped or repeated by a DST change follow the DST policy (see timeZones.js).
+ * Resolves to { dateTime } (ISO, in outputZone or the local zone) or { error: { code, message } } with
+ * code invalid_date, nonexistent_local_time or ambiguous_local_time.
+ */
+export function parseAlchemyDate(value, { formats = ALCHEMY_DATE_FORMATS, localZone = "UTC", dstPolicy } = {}, { format, zone, outputZone } = {}) {
+    const text = value === undefined || value === null ? "" : String(value).trim();
+    if (!text) {
+        return { error: { code: "invalid_date", message: "No date given" } };
+    }
+
+    const output = dateTime => ({ dateTime: dateTime.setZone(outputZone || localZone).toISO() });
+
+    for (const candidate of format ? [{ format, zone }] : formats) {
+        if (formatHasOffset(candidate.format)) {
+            const date = DateTime.fromFormat(text, candidate.format, { setZone: true });
+            if (date.isValid) return output(date);
+            continue;
+        }
+
+        // Read the wall-clock fields, then place them in the format's zone
+        const wall = DateTime.fromFormat(text, candidate.format, { zone: "UTC" });
+        if (wall.isValid) {
+            const resolved = resolveLocalTime(wall, formatZone(candidate.format, candidate.zone, localZone), dstPolicy);
+            return resolved.error ? resolved : output(resolved.dateTime);
+        }
+    }
+
+    if (!format) {
+        if (ISO_OFFSET_PATTERN.test(text)) {
+            const date = DateTime.fromISO(text, { setZone: true });
+            if (date.isValid) return output(date);
+        } else {
+            const wall = DateTime.fromISO(text, { zone: "UTC" });
+            if (wall.isValid) {
+                const resolved = resolveLocalTime(wall, localZone, dstPolicy);
+                return resolved.error ? resolved : output(resolved.dateTime);
+            }
+        }
+    }
+
+    const expected = format ? `"${format}"` : `one of ${formats.map(candidate => `"${candidate.format}"`).join(", ")} or ISO 8601`;
+    return { error: { code: "invalid_date", message: `"${text}" is not a date-time (expected ${expected})` } };
+}
+
+/**
+ * Convert a date-time to Alchemy format; null if it cannot be parsed. Values without an offset are
+ * read in timeZone. The default format is UTC; other formats are written in zone ("local" = localZone).
+ */
+export function convertToAlchemyFormat(dateString, format = ALCHEMY_OUTPUT_FORMAT, { timeZone = "UTC", zone, localZone = "UTC" } = {}) {
+    try {
+        let date = DateTime.fromISO(dateString, { zone: timeZone });
+
+        if (!date.isValid) {
+            throw new Error(`Invalid date format received: ${dateString}`);
+        }
+
+        return date.setZone(formatZone(format, zone, localZone)).toFormat(format);
+    } catch (error) {
+        logger.error(`Date conversion error: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Read a date-only Alchemy value as an ISO date (yyyy-MM-dd); null if it is not date-only
+ */
+export function parseAlchemyDateOnly(dateString) {
+    if (!dateString) return null;
+
+    for (const format of ALCHEMY_DATE_ONLY_FORMATS) {
+        const date = DateTime.fromFormat(String(dateString).trim(), format, { zone: "UTC" });
+        if (date.isValid) return date.toISODate();
+    }
+    return null;
+}
+
+/**
+ * The instant a Google event start/end ({ dateTime } or all-day { date }) stands for; all-day
+ * dates are midnight in the given timezone. Null if it has neither.
+ */
+export function eventInstant(time, timeZone) {
+    if (time?.dateTime) return DateTime.fromISO(time.dateTime, { setZone: true }).toISO();
+    if (time?.date) return DateTime.fromISO(time.date, { zone: time.timeZone || timeZone }).toISO();
+    return null;
+}
+
+/**
+ * Google all-day dates for a booking from startDate to endDate (ISO dates). Google's end date is
+ * exclusive; with endDate "inclusive" the Alchemy end date is the booking's last day, so a day is added.
+ * Null if the end is before the start.
+ */
+export function toGoogleAllDay(startDate, endDate, { endDate: endConvention = "inclusive" } = {}) {
+    const start = DateTime.fromISO(startDate);
+    let end = DateTime.fromISO(endDate);
+    if (!start.isValid || !end.isValid) return null;
+
+    if (endConvention === "inclusive") {
+        end = end.plus({ days: 1 });
+    }
+    // A same-day booking under the exclusive convention still lasts one day
+    if (end.equals(start)) {
+        end = start.plus({ days: 1 });
+    }
+    return end < start ? null : { start: start.toISODate(), end: end.toISODate() };
+}
+
+/**
+ * Alchemy start/end values for a Google all-day event (exclusive end date), following the tenant's
+ * all-day convention:
+ *   format "date"      yyyy-MM-dd values
+ *   format "datetime"  midnight in the timezone, as an Alchemy UTC date-time (an inclusive end is
+ *                      the last second of the booking's last day)
+ *   endDate "inclusive" the booking's last day, "exclusive" the day after it (as Google stores it)
+ */
+export function fromGoogleAllDay(startDate, endDate, { format = "date", endDate: endConvention = "inclusive" } = {}, timeZone) {
+    const start = DateTime.fromISO(startDate, { zone: timeZone });
+    const end = DateTime.fromISO(endDate, { zone: timeZone });
+    if (!start.isValid || !end.isValid) return null;
+
+    if (format === "datetime") {
+        const last = endConvention === "inclusive" ? end.minus({ seconds: 1 }) : end;
+        return [start.toUTC().toFormat(ALCHEMY_OUTPUT_FORMAT), last.toUTC().toFormat(ALCHEMY_OUTPUT_FORMAT)];
+    }
+
+    const last = endConvention === "inclusive" ? end.minus({ days: 1 }) : end;
+    return [start.toFormat(ALCHEMY_DATE_OUTPUT_FORMAT), last.toFormat(ALCHEMY_DATE_OUTPUT_FORMAT)];
+}
+
+/**
+ * One entry of an Alchemy update-record fields[] payload
+ */
+export function alchemyField(identifier, value, row = 0) {
+    return { identifier, rows: [{ row, values: [{ value }] }] };
+}
+
+/**
+ * Move a fields[] payload to another row (e.g. one occurrence of a recurring reservation)
+ */
+export function fieldsForRow(fields, row) {
+    return fields.map(field => ({ ...field, rows: (field.rows || []).map(entry => ({ ...entry, row })) }));
+}
+
+// The value at a dotted property path, e.g. "extendedProperties.private.sampleId"
+export function getPath(source, path) {
+    return path.split(".").reduce((current, part) => current?.[part], source);
+}
+
+function setPath(target, path, value) {
+    const parts = path.split(".");
+    const last = parts.pop();
+    let current = target;
+    for (const part of parts) {
+        current[part] = current[part] && typeof current[part] === "object" ? current[part] : {};
+        current = current[part];
+    }
+    current[last] = value;
+}
+
+// Replace {{name}} placeholders with values from the record (missing values become "")
+function renderTemplate(template, record) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = getPath(record, path);
+        return value === undefined || value === null ? "" : String(value);
+    });
+}
+
+/**
+ * Validate and normalize a list of rules. Throws on the first invalid rule, naming its source.
+ */
+export function compileFieldMap(rules, source = "field map") {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${source} must be an array of field mapping rules`);
+    }
+
+    return rules.map((rule, index) => {
+        const where = `${source} rule ${index + 1}`;
+        const direction = rule.direction || "both";
+        const transform = typeof rule.transform === "string" ? { type: rule.transform } : rule.transform || null;
+
+        if (!DIRECTIONS.includes(direction)) {
+            throw new Error(`${where}: direction must be one of ${DIRECTIONS.join(", ")}`);
+        }
+        if (transform && !TRANSFORMS.includes(transform.type)) {
+            throw new Error(`${where}: transform must be one of ${TRANSFORMS.join(", ")}`);
+        }
+
+        const isTemplate = transform?.type === "template";
+        if (isTemplate && (direction === "both" || typeof transform.template !== "string")) {
+            throw new Error(`${where}: template rules need a template string and a single direction`);
+        }
+        // Templates have no source field, so they only name the side they write
+        const needsGoogle = !(isTemplate && direction === "toAlchemy");
+        const needsAlchemy = !(isTemplate && direction === "toGoogle");
+        if ((needsGoogle && !rule.google) || (needsAlchemy && !rule.alchemy)) {
+            throw new Error(`${where}: needs both "alchemy" and "google" (template rules only the side they write)`);
+        }
+        if (transform?.type === "lookup" && (!transform.table || typeof transform.table !== "object")) {
+            throw new Error(`${where}: lookup rules need a table`);
+        }
+        if (transform?.type === "date" && transform.zone && transform.zone !== "local" && !isValidTimeZone(transform.zone)) {
+            throw new Error(`${where}: date zone must be "local", "UTC" or an IANA timezone`);
+        }
+
+        return { alchemy: rule.alchemy, google: rule.google, direction, transform };
+    });
+}
+
+// Convert one source value on its way to Google; undefined skips the property, { error } reports it
+function toGoogleValue(rule, value, { dates, timeZone }) {
+    switch (rule.transform?.type) {
+        case "date": {
+            const { dateTime, error } = parseAlchemyDate(value, dates, { ...rule.transform, outputZone: timeZone });
+            return error ? { error } : dateTime;
+        }
+        case "lookup": {
+            const { table, default: fallback } = rule.transform;
+            return Object.hasOwn(table, value) ? table[value] : fallback;
+        }
+        case "attendees":
+            return (Array.isArray(value) ? value : String(value).split(/[,;]/))
+                .map(email => String(email).trim())
+                .filter(Boolean)
+                .map(email => ({ email }));
+        default:
+            return value;
+    }
+}
+
+// Convert one event value on its way to Alchemy; undefined skips the field
+function toAlchemyValue(rule, value, dates) {
+    switch (rule.transform?.type) {
+        case "date":
+            return convertToAlchemyFormat(value, rule.transform.format, { zone: rule.transform.zone, localZone: dates?.localZone });
+        case "lookup": {
+            const { table, default: fallback } = rule.transform;
+            const entry = Object.entries(table).find(([, googleValue]) => googleValue === value);
+            return entry ? entry[0] : fallback;
+        }
+        case "attendees":
+            return (value || []).map(attendee => attendee.email).filter(Boolean).join(", ");
+        default:
+            return value;
+    }
+}
+
+/**
+ * Apply the rules that map to Google to an event body built from an Alchemy record. dates are the
+ * settings for reading Alchemy dates (alchemyDateSettings); timeZone is the zone dates are written in.
+ * Returns field errors ({ path, code, message }, as in validation.js) for values that could not be
+ * converted (e.g. unparseable dates); empty when all went well.
+ */
+export function applyToGoogle(rules, record, event, { dates, timeZone }) {
+    const errors = [];
+
+    for (const rule of rules) {
+        if (rule.direction === "toAlchemy") continue;
+
+        let value;
+        if (rule.transform?.type === "template") {
+            value = renderTemplate(rule.transform.template, record);
+        } else {
+            const source = getPath(record, rule.alchemy);
+            if (source === undefined || source === null || source === "") continue;
+
+            value = toGoogleValue(rule, source, { dates, timeZone });
+            if (value?.error) {
+                errors.push({
+                    path: `body.${rule.alchemy}`,
+                    code: value.error.code,
+                    message: `Could not convert ${rule.alchemy} value for ${rule.google}: ${value.error.message}`
+                });
+                continue;
+            }
+        }
+
+        if (value === undefined) continue;
+
+        // Google only accepts string values in extendedProperties
+        setPath(event, rule.google, rule.google.startsWith("extendedProperties.") ? String(value) : value);
+    }
+
+    return errors;
+}
+
+/**
+ * Build Alchemy fields[] entries from a Google event for the rules that map to Alchemy. dates are the
+ * tenant's Alchemy date settings (alchemyDateSettings), used by date rules.
+ */
+export function buildMappedFields(rules, event, dates) {
+    const fields = [];
+
+    for (const rule of rules) {
+        if (rule.direction === "toGoogle") continue;
+
+        let value;
+        if (rule.transform?.type === "template") {
+            value = renderTemplate(rule.transform.template, event);
+        } else {
+            const source = getPath(event, rule.google);
+            if (source === undefined || source === null) continue;
+            value = toAlchemyValue(rule, source, dates);
+        }
+
+        if (value !== undefined && value !== null) {
+            fields.push(alchemyField(rule.alchemy, value));
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Combine fields[] lists; a later entry for the same identifier replaces an earlier one
+ */
+export function mergeFields(...lists) {
+    const byIdentifier = new Map();
+    lists.flat().forEach(field => byIdentifier.set(field.identifier, field));
+    return [...byIdentifier.values()];
+}
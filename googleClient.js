@@ -0,0 +1,214 @@
+import fetch from "node-fetch";
+import { createTokenManager, fetchWithToken } from "./tokenManager.js";
+import { logger, correlationHeaders } from "./logger.js";
+import { upstreamRequest, rateLimitDetails } from "./concurrency.js";
+
+// Token managers per tenant, created on first use
+const tokenManagers = new Map();
+
+// Request a new Google access token with the tenant's refresh token
+async function requestGoogleAccessToken(tenant) {
+    const { clientId, clientSecret, refreshToken } = tenant.google;
+    const response = await upstreamRequest("google", "token", () => fetch(tenant.google.tokenUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", ...correlationHeaders() },
+        body: new URLSearchParams({
+            client_id: clientId,
+            client_secret: clientSecret,
+            refresh_token: refreshToken,
+            grant_type: "refresh_token"
+        })
+    }));
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(`Google Token Error: ${JSON.stringify(data)}`);
+        error.status = response.status;
+        throw Object.assign(error, rateLimitDetails(response, data));
+    }
+
+    return { accessToken: data.access_token, expiresIn: data.expires_in || 3600 };
+}
+
+// The tenant's Google token manager
+export function getGoogleTokens(tenant) {
+    if (!tokenManagers.has(tenant.id)) {
+        tokenManagers.set(tenant.id, createTokenManager(`Google (${tenant.id})`, () => requestGoogleAccessToken(tenant), {
+            tenant: tenant.id,
+            provider: "google"
+        }));
+    }
+    return tokenManagers.get(tenant.id);
+}
+
+// Get Google access token (cached until shortly before it expires); null if none can be obtained
+export async function getGoogleAccessToken(tenant) {
+    try {
+        return await getGoogleTokens(tenant).getToken();
+    } catch (error) {
+        logger.error(`Error getting Google token for tenant ${tenant.id}: ${error.message}`);
+        return null;
+    }
+}
+
+// Fetch a Google API URL with the cached access token, refreshing and retrying once on 401.
+// headers are sent as well (e.g. If-Match for a conditional update).
+export async function googleFetch(tenant, url, { method = "GET", body, headers } = {}) {
+    return fetchWithToken(getGoogleTokens(tenant), accessToken => upstreamRequest("google", "calendar", () => fetch(url, {
+        method,
+        headers: {
+            "Authorization": `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+            ...correlationHeaders(),
+            ...headers
+        },
+        body
+    })));
+}
+
+// URL of a Calendar API path (e.g. "/calendars/primary/events") on the tenant's Calendar API base URL
+export function calendarApiUrl(tenant, path) {
+    return `${tenant.google.calendarApiUrl}${path}`;
+}
+
+// Build the error for a failed Calendar API response; it carries the HTTP status and any rate limit
+// (see concurrency.js) for retry decisions
+export function calendarApiError(response, data) {
+    const error = new Error(`Google Calendar Error: ${data.error?.message || JSON.stringify(data)}`);
+    error.status = response.status;
+    return Object.assign(error, rateLimitDetails(response, data));
+}
+
+// Call the Calendar API; errors carry the HTTP status so callers can react to 404/410
+async function calendarRequest(tenant, path, { method = "GET", query, body } = {}) {
+    const url = new URL(calendarApiUrl(tenant, path));
+    Object.entries(query || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+
+    const response = await googleFetch(tenant, url.toString(), {
+        method,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    // channels.stop and events.delete answer with an empty body
+    if (response.status === 204) {
+        return null;
+    }
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw calendarApiError(response, data);
+    }
+
+    return data;
+}
+
+// List events, following pagination. Pass either syncToken (incremental) or nothing (full listing).
+// Resolves to { items, nextSyncToken }; a 410 error means the sync token has expired.
+export async function listEvents(tenant, calendarId, { syncToken } = {}) {
+    const items = [];
+    let pageToken;
+    let nextSyncToken;
+
+    do {
+        const data = await calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events`, {
+            query: {
+                syncToken,
+                pageToken,
+                showDeleted: syncToken ? undefined : "true",
+                maxResults: 250
+            }
+        });
+
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken;
+        nextSyncToken = data.nextSyncToken;
+    } while (pageToken);
+
+    return { items, nextSyncToken };
+}
+
+// List the live events that overlap [timeMin, timeMax), with recurring events expanded into instances.
+// seriesOnly lists recurring events as their series instead; showDeleted keeps cancelled events.
+export async function listEventsInRange(tenant, calendarId, timeMin, timeMax, { seriesOnly = false, showDeleted = false } = {}) {
+    const items = [];
+    let pageToken;
+
+    do {
+        const data = await calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events`, {
+            query: {
+                timeMin,
+                timeMax,
+                singleEvents: seriesOnly ? undefined : "true",
+                showDeleted: showDeleted ? "true" : undefined,
+                pageToken,
+                maxResults: 250
+            }
+        });
+
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return showDeleted ? items : items.filter(event => event.status !== "cancelled");
+}
+
+// List every occurrence of a recurring event, including cancelled ones
+export async function listInstances(tenant, calendarId, eventId) {
+    const items = [];
+    let pageToken;
+
+    do {
+        const data = await calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}/instances`, {
+            query: { showDeleted: "true", pageToken, maxResults: 250 }
+        });
+
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return items;
+}
+
+// Get one event (cancelled events too); a 404/410 error means it was deleted
+export async function getEvent(tenant, calendarId, eventId) {
+    return calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`);
+}
+
+// Get a calendar's metadata; fails if the tenant's account cannot read the calendar
+export async function getCalendar(tenant, calendarId) {
+    return calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}`);
+}
+
+// Find live events whose extendedProperties.private[key] equals value
+export async function findEventsByPrivateProperty(tenant, calendarId, key, value) {
+    const data = await calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events`, {
+        query: { privateExtendedProperty: `${key}=${value}`, maxResults: 10 }
+    });
+    return (data.items || []).filter(event => event.status !== "cancelled");
+}
+
+// Open an events.watch notification channel for a calendar
+export async function watchEvents(tenant, calendarId, { id, address, token, ttlSeconds }) {
+    return calendarRequest(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/watch`, {
+        method: "POST",
+        body: {
+            id,
+            type: "web_hook",
+            address,
+            token,
+            params: { ttl: String(ttlSeconds) }
+        }
+    });
+}
+
+// Close a notification channel so Google stops posting to it
+export async function stopChannel(tenant, { id, resourceId }) {
+    return calendarRequest(tenant, "/channels/stop", {
+        method: "POST",
+        body: { id, resourceId }
+    });
+}
@@ -1,183 +1,81 @@
 import express from "express";
-import fetch from "node-fetch";
+import crypto from "crypto";
+import { googleFetch, calendarApiUrl, calendarApiError, findEventsByPrivateProperty, listEventsInRange } from "./googleClient.js";
+import { getMappingStore } from "./mappingStore.js";
+import { buildEventFields, buildStatusFields, updateAlchemyRecordOrQueue } from "./alchemyMiddleware.js";
+import { enqueueJob, isRetryableError, registerJobHandler, supersedeJobs } from "./jobQueue.js";
 import { DateTime } from "luxon";
-import fs from "fs";
+import { alchemyDateSettings, applyToGoogle, eventInstant, parseAlchemyDate, parseAlchemyDateOnly, toGoogleAllDay } from "./fieldMapping.js";
+import { getCalendarTimeZone, inTimeZone } from "./timeZones.js";
+import { resolveIdentifier, describeIdentifierSources, stampEvent } from "./identifiers.js";
+import { getConflictPolicy, findConflicts, conflictError } from "./conflicts.js";
+import { requireAdmin } from "./auth.js";
+import { validateRequest, validateValue, sendError } from "./validation.js";
+import { getRouteSchema, pickTime, timeAliases } from "./schemas.js";
+import { normalizeRecurrence, seriesRecurrence } from "./recurrence.js";
+import { collectAttendees, keepResponses } from "./attendees.js";
+import { recordAudit, auditTimes } from "./audit.js";
+import { erCodeLockKey, mapWithConcurrency, withKeyLock } from "./concurrency.js";
+import { matchesSyncState, syncSnapshot, syncStateFor } from "./syncState.js";
+import { alchemySide, chooseWinner, flagSyncConflict, googleChangedSinceSync, googleJobKey, googleSide } from "./syncConflicts.js";
+import { logger } from "./logger.js";
 import config from "./config.js";
 
 const router = express.Router();
 
-// Get Google configuration from config.js
-const {
-  clientId: GOOGLE_CLIENT_ID,
-  clientSecret: GOOGLE_CLIENT_SECRET,
-  refreshToken: GOOGLE_REFRESH_TOKEN,
-  defaultTimeZone,
-  trackingFile: TRACKING_FILE
-} = config.google;
-
-// Get Alchemy field mappings
-const { startField, endField } = config.alchemy.fields;
-
-// Global in-memory tracking
-const eventMappings = {};
-
-console.log(`Using tracking file at: ${TRACKING_FILE}`);
-
-// Load previously saved mappings
-function loadMappings() {
-    try {
-        if (fs.existsSync(TRACKING_FILE)) {
-            const data = fs.readFileSync(TRACKING_FILE, 'utf8');
-            const parsed = JSON.parse(data);
-            Object.assign(eventMappings, parsed);
-            console.log(`Loaded ${Object.keys(parsed).length} event mappings`);
-            return true;
-        }
-        return false;
-    } catch (error) {
-        console.error(`Error loading mappings: ${error.message}`);
-        return false;
-    }
-}
-
-// Save mappings to disk
-function saveMappings() {
-    try {
-        fs.writeFileSync(TRACKING_FILE, JSON.stringify(eventMappings, null, 2), 'utf8');
-        return true;
-    } catch (error) {
-        console.error(`Error saving mappings: ${error.message}`);
-        return false;
-    }
-}
-
-// Extract ER code from summary
-function extractERCode(summary) {
-    if (!summary) return null;
-    
-    const match = summary.match(/^(ER\d+)/);
-    if (match && match[1]) {
-        const erCode = match[1];
-        console.log(`Found ER code: ${erCode}`);
-        return erCode;
-    }
-    
-    return null;
-}
-
-// Convert date formats
-function convertAlchemyDate(dateString, timeZone) {
-    try {
-        if (!dateString) return null;
-        
-        // Try different formats
-        let date;
-        const formats = [
-            "MMM dd yyyy hh:mm a",   // Feb 28 2025 02:00 PM
-            "yyyy-MM-dd'T'HH:mm:ss'Z'", // 2025-02-28T14:00:00Z
-            "yyyy-MM-dd'T'HH:mm:ss.SSS'Z'", // 2025-02-28T14:00:00.000Z
-        ];
-        
-        for (let format of formats) {
-            date = DateTime.fromFormat(dateString, format, { zone: "UTC" });
-            if (date.isValid) break;
-        }
-        
-        if (!date || !date.isValid) {
-            date = DateTime.fromISO(dateString, { zone: "UTC" });
-        }
-
-        if (!date.isValid) {
-            return null;
-        }
-        
-        return date.setZone(timeZone).toISO();
-    } catch (error) {
-        console.error(`Date conversion error: ${error.message}`);
-        
-        if (dateString.includes('T') && (dateString.includes('Z') || dateString.includes('+'))) {
-            return dateString;
-        }
-        return null;
+// Query string of an event write: who Google notifies (the tenant's policy unless the request
+// names one), and whether a Meet conference is to be created
+function writeQuery(tenant, eventBody, sendUpdates) {
+    const params = new URLSearchParams({ sendUpdates: sendUpdates || tenant.google.invitations.sendUpdates });
+    if (eventBody?.conferenceData) {
+        params.set("conferenceDataVersion", "1");
     }
+    return `?${params}`;
 }
 
-// Get Google access token
-async function getGoogleAccessToken() {
+// Create a new Google Calendar event. mappingChanges are stored on the new mapping as well.
+async function createEvent(tenant, calendarId, eventBody, erCode, recordId, { mappingChanges = {}, sendUpdates } = {}) {
     try {
-        const response = await fetch("https://oauth2.googleapis.com/token", {
-            method: "POST",
-            headers: { "Content-Type": "application/x-www-form-urlencoded" },
-            body: new URLSearchParams({
-                client_id: GOOGLE_CLIENT_ID,
-                client_secret: GOOGLE_CLIENT_SECRET,
-                refresh_token: GOOGLE_REFRESH_TOKEN,
-                grant_type: "refresh_token"
-            })
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(`Google Token Error: ${JSON.stringify(data)}`);
-        }
+        logger.info(`Creating new event for ${erCode}`);
         
-        return data.access_token;
-    } catch (error) {
-        console.error(`Error getting Google token: ${error.message}`);
-        return null;
-    }
-}
-
-// Ensure we have our mappings loaded
-loadMappings();
-
-// Create a new Google Calendar event
-async function createEvent(accessToken, calendarId, eventBody, erCode) {
-    try {
-        console.log(`Creating new event for ER code: ${erCode}`);
-        
-        const response = await fetch(
-            `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events`,
-            {
-                method: "POST",
-                headers: {
-                    "Authorization": `Bearer ${accessToken}`,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(eventBody)
-            }
+        const response = await googleFetch(
+            tenant,
+            calendarApiUrl(tenant, `/calendars/${encodeURIComponent(calendarId)}/events${writeQuery(tenant, eventBody, sendUpdates)}`),
+            { method: "POST", body: JSON.stringify(eventBody) }
         );
         
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(`Google Calendar Error: ${data.error?.message || JSON.stringify(data)}`);
+            throw calendarApiError(response, data);
         }
         
         // Store the mapping of ER code to event ID
-        eventMappings[erCode] = data.id;
-        saveMappings();
+        const store = await getMappingStore(tenant);
+        await store.upsert(calendarId, erCode, {
+            ...mappingChanges,
+            eventId: data.id,
+            recordId: recordId || undefined,
+            etag: data.etag,
+            syncState: syncStateFor(tenant, "alchemy", data),
+            syncConflict: null,
+            lastSyncedToGoogleAt: new Date().toISOString()
+        });
         
         return data;
     } catch (error) {
-        console.error(`Error creating event: ${error.message}`);
+        logger.error(`Error creating event: ${error.message}`);
         throw error;
     }
 }
 
 // Check if an event exists and is not cancelled
-async function checkEventExists(accessToken, calendarId, eventId) {
+export async function checkEventExists(tenant, calendarId, eventId) {
     try {
-        const response = await fetch(
-            `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events/${eventId}`,
-            {
-                method: "GET",
-                headers: {
-                    "Authorization": `Bearer ${accessToken}`,
-                    "Content-Type": "application/json"
-                }
-            }
+        const response = await googleFetch(
+            tenant,
+            calendarApiUrl(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`),
+            { method: "GET" }
         );
         
         if (response.status === 404) {
@@ -185,243 +83,1112 @@ async function checkEventExists(accessToken, calendarId, eventId) {
         }
         
         if (!response.ok) {
-            return { exists: false, reason: "api_error" };
+            const data = await response.json().catch(() => ({}));
+            return { exists: false, reason: "api_error", error: calendarApiError(response, data) };
         }
         
         const data = await response.json();
         
         // Check if the event is cancelled
         if (data.status === "cancelled") {
-            console.log(`Event ${eventId} is cancelled - will create new`);
+            logger.info(`Event ${eventId} is cancelled - will create new`);
             return { exists: false, reason: "cancelled", data };
         }
         
         return { exists: true, data };
     } catch (error) {
-        return { exists: false, reason: "error", message: error.message };
+        return { exists: false, reason: "error", message: error.message, error };
     }
 }
 
-// Update an existing Google Calendar event
-async function updateEvent(accessToken, calendarId, eventId, eventBody) {
+// How often an update is tried again when the event changed in Google between reading and writing it
+const IF_MATCH_ATTEMPTS = 3;
+
+// Update an existing Google Calendar event. current is the event as already listed, if it was.
+// Nothing is sent when Google already has the values, or they repeat the values last synced to the
+// mapping (see syncState.js): the result is then { skipped: "unchanged" | "echo", event }.
+// When the event also changed in Google since then, the conflict policy (see syncConflicts.js)
+// decides: result.conflict is { winner }, and the event is left alone unless Alchemy wins.
+// The update is conditional on the event's etag; if it changed meanwhile, the event is read again.
+async function updateEvent(tenant, calendarId, eventId, eventBody, { sendUpdates, current: listed, mapping, changedAt, conflictPolicy } = {}) {
     try {
-        // First check if the event exists and is active
-        const checkResult = await checkEventExists(accessToken, calendarId, eventId);
-        
-        if (!checkResult.exists) {
-            return { deleted: true, reason: checkResult.reason };
+        for (let attempt = 1; ; attempt++) {
+            // First check if the event exists and is active
+            let checkResult;
+            if (!listed) {
+                checkResult = await checkEventExists(tenant, calendarId, eventId);
+            } else if (listed.status === "cancelled") {
+                checkResult = { exists: false, reason: "cancelled", data: listed };
+            } else {
+                checkResult = { exists: true, data: listed };
+            }
+            
+            if (!checkResult.exists) {
+                // A lookup that failed (rate limit, outage) says nothing about the event; recreating it would duplicate it
+                if (checkResult.error) throw checkResult.error;
+                return { deleted: true, reason: checkResult.reason };
+            }
+            
+            const current = checkResult.data;
+            const incoming = syncSnapshot(tenant, eventBody);
+            if (matchesSyncState(syncSnapshot(tenant, current), incoming, { partial: true })) {
+                return { skipped: "unchanged", event: current };
+            }
+            // Values that were synced already mean the record has not changed since; a newer Google edit stands
+            if (matchesSyncState(mapping?.syncState?.values, incoming, { partial: true })) {
+                return { skipped: "echo", event: current };
+            }
+            
+            // Both sides changed since the last sync
+            let conflict;
+            if (mapping && googleChangedSinceSync(tenant, mapping, current)) {
+                conflict = { winner: chooseWinner(tenant, { alchemyAt: changedAt, googleAt: current.updated }, conflictPolicy) };
+                logger.warn(`${mapping.erCode} on ${calendarId} changed in Alchemy and in Google since it was last synced (sync conflict, ${conflict.winner === "review" ? "flagged for review" : `${conflict.winner} wins`})`);
+                if (conflict.winner !== "alchemy") {
+                    return { conflict, event: current };
+                }
+            }
+            
+            // Keep the attendees' RSVP answers, and the Meet conference the event already has
+            let patch = eventBody;
+            if (patch.attendees) {
+                patch = { ...patch, attendees: keepResponses(patch.attendees, current.attendees) };
+            }
+            if (patch.conferenceData && current.conferenceData) {
+                const { conferenceData, ...rest } = patch;
+                patch = rest;
+            }
+            
+            logger.info(`Updating event: ${eventId}`);
+            
+            const response = await googleFetch(
+                tenant,
+                calendarApiUrl(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}${writeQuery(tenant, patch, sendUpdates)}`),
+                { method: "PATCH", body: JSON.stringify(patch), headers: current.etag ? { "If-Match": current.etag } : undefined }
+            );
+            
+            // Handle 404/410 (event was deleted)
+            if (response.status === 404 || response.status === 410) {
+                return { deleted: true, reason: "not_found_during_update" };
+            }
+            
+            // Someone edited the event since it was read: read it again and decide anew
+            if (response.status === 412 && attempt < IF_MATCH_ATTEMPTS) {
+                logger.info(`Event ${eventId} changed in Google while it was being updated - reading it again`);
+                await response.arrayBuffer().catch(() => null);
+                listed = undefined;
+                continue;
+            }
+            
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw calendarApiError(response, data);
+            }
+            
+            return { event: data, previous: current, conflict };
         }
+    } catch (error) {
+        logger.error(`Error updating event: ${error.message}`);
+        if (error.status === 404 || error.status === 410) {
+            return { deleted: true, reason: "error_404" };
+        }
+        throw error;
+    }
+}
+
+// Cancel a Google Calendar event (Google keeps it with status "cancelled")
+export async function cancelEvent(tenant, calendarId, eventId, { sendUpdates } = {}) {
+    try {
+        logger.info(`Cancelling event: ${eventId}`);
         
-        console.log(`Updating event: ${eventId}`);
-        
-        const response = await fetch(
-            `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events/${eventId}`,
-            {
-                method: "PATCH",
-                headers: {
-                    "Authorization": `Bearer ${accessToken}`,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(eventBody)
-            }
+        const response = await googleFetch(
+            tenant,
+            calendarApiUrl(tenant, `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}${writeQuery(tenant, null, sendUpdates)}`),
+            { method: "DELETE" }
         );
         
-        // Handle 404 (event was deleted)
-        if (response.status === 404) {
-            return { deleted: true, reason: "not_found_during_update" };
+        // 404/410 mean the event is already gone, which is the outcome we want
+        if (response.status === 404 || response.status === 410) {
+            return { alreadyGone: true };
         }
         
-        const data = await response.json();
-        
         if (!response.ok) {
-            throw new Error(`Google Calendar Error: ${data.error?.message || JSON.stringify(data)}`);
+            const data = await response.json();
+            throw calendarApiError(response, data);
         }
         
-        return data;
+        return { alreadyGone: false };
     } catch (error) {
-        console.error(`Error updating event: ${error.message}`);
-        if (error.message.includes('404')) {
-            return { deleted: true, reason: "error_404" };
-        }
+        logger.error(`Error cancelling event: ${error.message}`);
         throw error;
     }
 }
 
-// Create or update event route
-router.post("/create-event", async (req, res) => {
-    // Refresh our event mappings
-    loadMappings();
+// Create or update the event for an ER code on one calendar, recreating it if it was deleted, and
+// leaving it alone when nothing changed (action "unchanged").
+// Overlapping events are returned as conflicts, or stop the write when the calendar's policy is reject.
+// instanceRecordIds lists the child records of a recurring series' occurrences, if it has them;
+// sendUpdates overrides the tenant's notification policy. source names the system the change came
+// from in the audit trail. knownEvents (see listBatchEvents) saves looking the event up. Writes for
+// the same ER code run one at a time, in order, so concurrent requests for a new ER code create one event.
+// When the event changed in Google too, the tenant's sync conflict policy (or conflictPolicy) decides,
+// using changedAt as the time of Alchemy's change: the result's syncConflict says which side won, and
+// its action is "kept" (Google's values were written to Alchemy) or "flagged" (held for review).
+export async function syncEventToCalendar(tenant, calendarId, erCode, recordId, eventBody, options = {}) {
+    return withKeyLock(erCodeLockKey(tenant, erCode), () => writeEventToCalendar(tenant, calendarId, erCode, recordId, eventBody, options));
+}
+
+async function writeEventToCalendar(tenant, calendarId, erCode, recordId, eventBody, options = {}) {
+    const { instanceRecordIds, sendUpdates, source = "alchemy", knownEvents, changedAt = new Date().toISOString(), conflictPolicy } = options;
+    const store = await getMappingStore(tenant);
+    const existing = await store.get(calendarId, erCode);
+    let existingEventId = existing?.eventId;
+    
+    // Timed events are written in the calendar's own timezone unless the request named one
+    eventBody = inTimeZone(eventBody, await getCalendarTimeZone(tenant, calendarId));
+    
+    // A series whose record no longer recurs becomes a single event again
+    const recurrence = seriesRecurrence(existing?.recurrence, eventBody.recurrence, instanceRecordIds);
+    if (existing?.recurrence && !eventBody.recurrence) {
+        eventBody = { ...eventBody, recurrence: [] };
+    }
+    
+    // Without a mapping, look for an event stamped with this identifier before creating a duplicate
+    if (!existingEventId) {
+        const [stamped] = await findEventsByPrivateProperty(tenant, calendarId, tenant.alchemy.identifiers.propertyKey, erCode);
+        if (stamped) {
+            logger.info(`Relinking ${erCode} to stamped event ${stamped.id}`);
+            await store.upsert(calendarId, erCode, { eventId: stamped.id, recordId: recordId || undefined });
+            existingEventId = stamped.id;
+        }
+    }
+    
+    // Look for double bookings before writing
+    let conflicts = [];
+    const policy = getConflictPolicy(tenant, calendarId);
+    if (policy !== "allow") {
+        conflicts = await findConflicts(tenant, calendarId, eventBody, { ignoreEventId: existingEventId, identifier: erCode });
+        if (conflicts.length > 0) {
+            logger.warn(`${erCode} overlaps ${conflicts.length} event(s) on calendar ${calendarId} (policy: ${policy})`);
+            if (policy === "reject") {
+                throw conflictError(calendarId, conflicts);
+            }
+        }
+    }
+    
+    const audit = (action, event, before) => recordAudit(tenant, {
+        action, source, target: "google", erCode, calendarId, eventId: event.id, recordId, before, after: auditTimes(event)
+    });
+    
+    if (!existingEventId) {
+        const event = await createEvent(tenant, calendarId, eventBody, erCode, recordId, { mappingChanges: { recurrence }, sendUpdates });
+        logger.info(`Successfully created new event: ${event.id}`);
+        await audit("created", event, null);
+        return { action: "created", event, conflicts };
+    }
+    
+    // Try to update the existing event. A listed event is used once: a later write may have changed it.
+    const listed = knownEvents?.get(calendarId)?.get(existingEventId);
+    knownEvents?.get(calendarId)?.delete(existingEventId);
+    // Repeats of the last synced values are only dropped, and conflicts only checked, for Alchemy's own
+    // requests; reconciliation applies its own source of truth
+    const result = await updateEvent(tenant, calendarId, existingEventId, eventBody, {
+        sendUpdates,
+        current: listed,
+        mapping: source === "alchemy" ? existing : undefined,
+        changedAt,
+        conflictPolicy
+    });
+    
+    // If event was deleted or cancelled, create a new one
+    if (result && result.deleted) {
+        logger.info(`Event ${existingEventId} cannot be updated (${result.reason}), creating new one`);
+        const event = await createEvent(tenant, calendarId, eventBody, erCode, recordId, { mappingChanges: { recurrence }, sendUpdates });
+        await audit("recreated", event);
+        return { action: "recreated", event, conflicts };
+    }
+    
+    if (result.skipped) {
+        logger.info(`${erCode} on ${calendarId} is ${result.skipped === "echo" ? "unchanged since it was last synced" : "already up to date"} - not updating`);
+        await recordAudit(tenant, {
+            action: "skipped", reason: result.skipped, source, target: "google", erCode, calendarId, eventId: result.event.id, recordId
+        });
+        // Both sides of a flagged conflict now agree
+        if (result.skipped === "unchanged" && existing?.syncConflict) {
+            await store.upsert(calendarId, erCode, { etag: result.event.etag, syncState: syncStateFor(tenant, "alchemy", result.event), syncConflict: null });
+        }
+        return { action: "unchanged", event: result.event, conflicts };
+    }
+    
+    if (result.conflict && result.conflict.winner !== "alchemy") {
+        await recordAudit(tenant, {
+            action: "skipped", reason: "conflict", source, target: "google", erCode, calendarId, eventId: result.event.id, recordId
+        });
+        if (result.conflict.winner === "google") {
+            const alchemy = await writeGoogleSide(tenant, store, existing, result.event, { recordId, reason: "conflict" });
+            return { action: "kept", event: result.event, conflicts, syncConflict: { winner: "google", alchemy } };
+        }
+        await flagSyncConflict(store, existing, {
+            alchemy: alchemySide({ eventBody, recordId, instanceRecordIds, changedAt }),
+            google: googleSide(tenant, result.event)
+        });
+        return { action: "flagged", event: result.event, conflicts, syncConflict: { winner: null, flagged: true } };
+    }
+    
+    await store.upsert(calendarId, erCode, {
+        recordId: recordId || undefined,
+        etag: result.event.etag,
+        recurrence,
+        syncState: syncStateFor(tenant, "alchemy", result.event),
+        syncConflict: null,
+        lastSyncedToGoogleAt: new Date().toISOString()
+    });
+    
+    logger.info(`Successfully updated event: ${existingEventId}`);
+    await recordAudit(tenant, {
+        action: "updated", reason: result.conflict ? "conflict" : undefined, source, target: "google", erCode, calendarId,
+        eventId: result.event.id, recordId, before: auditTimes(result.previous), after: auditTimes(result.event)
+    });
+    return { action: "updated", event: result.event, conflicts, syncConflict: result.conflict };
+}
+
+// Write an event's values from Google to its Alchemy record, as the watcher would, and take them as
+// the last synced values. Used when Google's side of a sync conflict wins, and to re-push an event
+// from the dashboard (source "admin"). Resolves to the Alchemy outcome.
+async function writeGoogleSide(tenant, store, mapping, event, { recordId, source = "google", reason } = {}) {
+    const alchemyRecordId = mapping.recordId || recordId;
+    if (!alchemyRecordId) {
+        return { updated: false, error: "No Alchemy record ID known for this ER code" };
+    }
+    const cancelled = event.status === "cancelled";
+    const fields = cancelled ? buildStatusFields(tenant) : buildEventFields(tenant, event);
+    if (!fields) {
+        return { updated: false, error: `Event ${event.id} has no start/end time to sync`, recordId: alchemyRecordId };
+    }
     
+    const { data, ...outcome } = await updateAlchemyRecordOrQueue(tenant, { recordId: alchemyRecordId, fields });
+    await recordAudit(tenant, {
+        action: outcome.updated ? (cancelled ? "cancelled" : "updated") : "failed", reason,
+        source, target: "alchemy", erCode: mapping.erCode, calendarId: mapping.calendarId, eventId: event.id, recordId: alchemyRecordId,
+        after: cancelled ? null : auditTimes(event), error: outcome.error, queued: outcome.queued, jobId: outcome.jobId
+    });
+    if (outcome.updated || outcome.queued) {
+        await store.upsert(mapping.calendarId, mapping.erCode, {
+            etag: event.etag,
+            syncState: syncStateFor(tenant, "google", event),
+            syncConflict: null,
+            lastSyncedToAlchemyAt: outcome.updated ? new Date().toISOString() : undefined
+        });
+    }
+    return { ...outcome, recordId: alchemyRecordId };
+}
+
+// Set the Alchemy status field to the conflict status so the lab can resolve the double booking
+async function reportConflict(tenant, recordId) {
+    if (!recordId) {
+        return { updated: false, error: "No Alchemy record ID known for this ER code" };
+    }
+    const { data, ...outcome } = await updateAlchemyRecordOrQueue(tenant, {
+        recordId,
+        fields: buildStatusFields(tenant, tenant.alchemy.eventStatuses.conflict)
+    });
+    return { ...outcome, recordId };
+}
+
+// Retry a failed create/update; conflicts found on the retry are reported to Alchemy as well
+registerJobHandler("google.syncEvent", async ({ calendarId, erCode, recordId, eventBody, instanceRecordIds, sendUpdates, changedAt }, tenant) => {
     try {
-        // Get basic event details
-        const summary = req.body.summary || "";
-        const description = req.body.description || "";
-        const location = req.body.location || "";
-        const calendarId = req.body.calendarId || config.google.defaultCalendarId || "primary";
-        const timeZone = req.body.timeZone || defaultTimeZone;
-        
-        // Get start and end times - support configured field names
-        let startTime, endTime;
-        
-        if (req.body.start && req.body.start.dateTime) {
-            startTime = req.body.start.dateTime;
-        } else if (req.body[startField]) {
-            startTime = req.body[startField];
-        } else if (req.body.start_time) {
-            startTime = req.body.start_time;
-        } else if (req.body.startTime) {
-            startTime = req.body.startTime;
-        } else if (req.body.start) {
-            startTime = req.body.start;
-        }
-        
-        if (req.body.end && req.body.end.dateTime) {
-            endTime = req.body.end.dateTime;
-        } else if (req.body[endField]) {
-            endTime = req.body[endField];
-        } else if (req.body.end_time) {
-            endTime = req.body.end_time;
-        } else if (req.body.endTime) {
-            endTime = req.body.endTime;
-        } else if (req.body.end) {
-            endTime = req.body.end;
-        }
-        
-        if (!startTime || !endTime) {
-            return res.status(400).json({ 
-                error: "Missing start or end time",
-                message: `Expected fields: ${startField}, ${endField} or other time formats`
+        const { conflicts } = await syncEventToCalendar(tenant, calendarId, erCode, recordId, eventBody, { instanceRecordIds, sendUpdates, changedAt });
+        if (conflicts.length > 0) await reportConflict(tenant, recordId);
+    } catch (error) {
+        if (error.conflicts) await reportConflict(tenant, recordId);
+        await recordAudit(tenant, {
+            action: "failed", source: "alchemy", target: "google", erCode, calendarId, recordId, after: auditTimes(eventBody), error: error.message
+        });
+        throw error;
+    }
+});
+
+// Calendars a create-event request targets; calendarIds fans one record out to several calendars
+export function resolveCalendarIds(tenant, body) {
+    if (Array.isArray(body.calendarIds) && body.calendarIds.length > 0) {
+        return [...new Set(body.calendarIds)];
+    }
+    return [body.calendarId || tenant.google.defaultCalendarId || "primary"];
+}
+
+// Cancel the mapped events for an ER code, drop their mappings and mark the Alchemy record cancelled.
+// Without calendarIds every calendar the ER code is mapped on is cancelled. With deferAlchemy the record
+// is not marked, and alchemy.deferred names it for the caller to mark. Runs under the ER code's lock.
+function cancelERCode(tenant, erCode, options = {}) {
+    return withKeyLock(erCodeLockKey(tenant, erCode), () => cancelMappedEvents(tenant, erCode, options));
+}
+
+async function cancelMappedEvents(tenant, erCode, { calendarIds, recordId, sendUpdates, deferAlchemy = false } = {}) {
+    const store = await getMappingStore(tenant);
+    const mappings = (await store.list({ erCode }))
+        .filter(mapping => !calendarIds || calendarIds.includes(mapping.calendarId));
+    
+    if (mappings.length === 0) {
+        return { status: 404, body: { success: false, message: `No mapping found for ${erCode}` } };
+    }
+    
+    const results = [];
+    for (const mapping of mappings) {
+        try {
+            const { alreadyGone } = await cancelEvent(tenant, mapping.calendarId, mapping.eventId, { sendUpdates });
+            await store.remove(mapping.calendarId, erCode);
+            results.push({ calendarId: mapping.calendarId, eventId: mapping.eventId, success: true, alreadyGone });
+            await recordAudit(tenant, {
+                action: "cancelled", source: "alchemy", target: "google", erCode, calendarId: mapping.calendarId, eventId: mapping.eventId, recordId: mapping.recordId || recordId
+            });
+        } catch (error) {
+            results.push({ calendarId: mapping.calendarId, eventId: mapping.eventId, success: false, error: error.message });
+            await recordAudit(tenant, {
+                action: "failed", source: "alchemy", target: "google", erCode, calendarId: mapping.calendarId, eventId: mapping.eventId, recordId: mapping.recordId || recordId, error: error.message
             });
         }
+    }
+    
+    const cancelled = results.filter(result => result.success);
+    if (cancelled.length === 0) {
+        return { status: 500, body: { success: false, erCode, results } };
+    }
+    
+    // Tell Alchemy the reservation is gone, using the same status the Google -> Alchemy path writes.
+    // If the ER code is still on other calendars the reservation itself is not withdrawn.
+    const alchemyRecordId = recordId || mappings.find(mapping => mapping.recordId)?.recordId;
+    const remaining = await store.list({ erCode });
+    let alchemy;
+    if (remaining.length > 0) {
+        alchemy = { updated: false, skipped: true, remainingCalendars: remaining.map(mapping => mapping.calendarId) };
+    } else if (!alchemyRecordId) {
+        alchemy = { updated: false, error: "No Alchemy record ID known for this ER code" };
+    } else if (mappings.every(mapping => mapping.syncState?.values.status === "cancelled")) {
+        // The events were cancelled in Google and Alchemy was told so; this request is the echo
+        alchemy = { updated: false, skipped: true, reason: "echo", recordId: alchemyRecordId };
+    } else if (deferAlchemy) {
+        alchemy = { updated: false, deferred: true, recordId: alchemyRecordId };
+    } else {
+        const { data, ...outcome } = await updateAlchemyRecordOrQueue(tenant, { recordId: alchemyRecordId, fields: buildStatusFields(tenant) });
+        alchemy = { ...outcome, recordId: alchemyRecordId };
+    }
+    
+    const success = cancelled.length === results.length && (alchemy.updated || alchemy.skipped || alchemy.queued || alchemy.deferred);
+    logger.info(`Cancelled ${erCode} on ${cancelled.length} calendar(s)`);
+    return {
+        status: success ? 200 : 207,
+        body: { success, action: "cancelled", erCode, results, alchemy }
+    };
+}
+
+// Timed event start/end. The null date clears an all-day date when an event becomes timed again.
+// Without a timeZone the event takes its calendar's (see syncEventToCalendar).
+function timedEventTimes(startISO, endISO, timeZone) {
+    return {
+        start: { dateTime: startISO, timeZone, date: null },
+        end: { dateTime: endISO, timeZone, date: null }
+    };
+}
+
+// All-day event start/end (Google's end date is exclusive). The null dateTime clears the time when a
+// timed event becomes all-day.
+function allDayEventTimes(range) {
+    return {
+        start: { date: range.start, dateTime: null },
+        end: { date: range.end, dateTime: null }
+    };
+}
+
+// Structured error for a start or end value that could not be read
+function timeError(which, value, { code, message }) {
+    const errors = {
+        invalid_date: "Invalid date format",
+        nonexistent_local_time: "Local time does not exist",
+        ambiguous_local_time: "Ambiguous local time"
+    };
+    return { code, error: errors[code], message: `${which} "${value}": ${message}` };
+}
+
+// Read a start and an end value as date-times in timeZone: { start, end } or { error }
+function readTimedValues(dates, startTime, endTime, timeZone) {
+    const start = parseAlchemyDate(startTime, dates, { outputZone: timeZone });
+    if (start.error) return { error: timeError("Start", startTime, start.error) };
+    const end = parseAlchemyDate(endTime, dates, { outputZone: timeZone });
+    if (end.error) return { error: timeError("End", endTime, end.error) };
+    return { start: start.dateTime, end: end.dateTime };
+}
+
+// Google event times for a request's start/end values: { start, end } or { error }. Date-only values
+// (or allDay: true) make an all-day event, using the tenant's end date convention; Google-style
+// start.date/end.date are taken as they are. Date-times are read with the tenant's Alchemy date settings.
+function buildEventTimes(tenant, body, startTime, endTime, dates, timeZone) {
+    if (body.start?.date && body.end?.date && !body.start.dateTime && !body.end.dateTime) {
+        return allDayEventTimes({ start: body.start.date, end: body.end.date });
+    }
+    
+    const startDate = parseAlchemyDateOnly(startTime);
+    const endDate = parseAlchemyDateOnly(endTime);
+    
+    if (body.allDay === true || (startDate && endDate)) {
+        // Date-time values of an allDay request count by their date where Alchemy shows them
+        const dateOf = (which, value, date) => {
+            if (date) return { date };
+            const { dateTime, error } = parseAlchemyDate(value, dates);
+            return error ? { error: timeError(which, value, error) } : { date: DateTime.fromISO(dateTime, { setZone: true }).toISODate() };
+        };
+        const first = dateOf("Start", startTime, startDate);
+        if (first.error) return first;
+        const last = dateOf("End", endTime, endDate);
+        if (last.error) return last;
         
-        // Extract ER code from summary
-        const erCode = extractERCode(summary);
-        if (!erCode) {
-            return res.status(400).json({ error: "No ER code found in summary" });
+        const range = toGoogleAllDay(first.date, last.date, tenant.alchemy.allDay);
+        if (!range) {
+            return { error: { code: "invalid_date", error: "Invalid date format", message: `End date ${last.date} is before start date ${first.date}` } };
         }
-        
-        // Convert times to ISO format
-        const startISO = convertAlchemyDate(startTime, timeZone);
-        const endISO = convertAlchemyDate(endTime, timeZone);
-        
-        if (!startISO || !endISO) {
-            return res.status(400).json({ error: "Invalid date format" });
+        return allDayEventTimes(range);
+    }
+    
+    const { start, end, error } = readTimedValues(dates, startTime, endTime, timeZone);
+    return error ? { error } : timedEventTimes(start, end, timeZone);
+}
+
+/**
+ * Build the Google event body for an Alchemy record (a create-event request body): field mapping,
+ * identifier, start/end times, recurrence, attendees, Meet link and the identifier stamp. Returns
+ * { erCode, recordId, eventBody, instanceRecordIds }, or { erCode, recordId, error } with a structured
+ * error ({ code, error, message | details }) when the record cannot be written.
+ */
+export function buildEventBody(tenant, body) {
+    // A request's own timezone applies to the event and to its local date-times
+    const timeZone = body.timeZone;
+    const dates = alchemyDateSettings(tenant, timeZone);
+    const { fieldMap } = tenant.alchemy;
+    
+    // Basic event details, then whatever the tenant's field mapping adds or overrides
+    const mapped = {
+        summary: body.summary || "",
+        description: body.description || "",
+        location: body.location || ""
+    };
+    const mappingErrors = applyToGoogle(fieldMap, body, mapped, { dates, timeZone });
+    
+    // Identifier the mappings are keyed by, and the Alchemy record ID used when pushing Google-side changes back
+    const { identifier: erCode, recordId } = resolveIdentifier(tenant, body, mapped);
+    
+    if (mappingErrors.length > 0) {
+        return { erCode, recordId, error: { code: "invalid_field_value", error: "Invalid field values", details: mappingErrors } };
+    }
+    
+    // Start and end times, read from the first alias that is set (see timeAliases for the precedence)
+    const startTime = pickTime(tenant, body, "start");
+    const endTime = pickTime(tenant, body, "end");
+    
+    // Times set by a field mapping rule take precedence
+    const mappedStart = mapped.start?.dateTime;
+    const mappedEnd = mapped.end?.dateTime;
+    
+    if ((!startTime && !mappedStart) || (!endTime && !mappedEnd)) {
+        return { erCode, recordId, error: {
+            code: "missing_time",
+            error: "Missing start or end time",
+            message: `Expected one of: ${[...timeAliases(tenant, "start"), ...timeAliases(tenant, "end")].join(", ")}`
+        } };
+    }
+    
+    if (!erCode) {
+        return { erCode, recordId, error: { code: "missing_identifier", error: "No identifier found", message: describeIdentifierSources(tenant) } };
+    }
+    
+    // Convert times to Google event times; fields set by a mapping rule stay date-times
+    let times;
+    if (mappedStart || mappedEnd) {
+        const read = readTimedValues(dates, mappedStart || startTime, mappedEnd || endTime, timeZone);
+        times = read.error ? read : timedEventTimes(read.start, read.end, timeZone);
+    } else {
+        times = buildEventTimes(tenant, body, startTime, endTime, dates, timeZone);
+    }
+    
+    if (times.error) {
+        return { erCode, recordId, error: times.error };
+    }
+    
+    // Recurring reservations become one recurring event (see recurrence.js)
+    const { rules, error: recurrenceError } = normalizeRecurrence(mapped.recurrence ?? body.recurrence);
+    if (recurrenceError) {
+        return { erCode, recordId, error: { code: "invalid_recurrence", error: "Invalid recurrence rule", message: recurrenceError } };
+    }
+    delete mapped.recurrence;
+    
+    // People to invite (see attendees.js); addresses that are not emails would make Google refuse the event
+    const { attendees, invalid } = collectAttendees(tenant, body, mapped);
+    if (invalid.length > 0) {
+        logger.warn(`Skipping attendees of ${erCode} that are not email addresses: ${invalid.join(", ")}`);
+    }
+    if (attendees.length > 0) {
+        mapped.attendees = attendees;
+    } else {
+        delete mapped.attendees;
+    }
+    
+    // New events get a Meet link when the tenant or the request asks for one
+    if (body.createMeet ?? tenant.google.invitations.createMeet) {
+        mapped.conferenceData = { createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: "hangoutsMeet" } } };
+    }
+    
+    // Prepare event data, stamped so the event can be matched to the record after it is renamed
+    const eventBody = stampEvent(tenant, {
+        ...mapped,
+        start: { ...mapped.start, ...times.start },
+        end: { ...mapped.end, ...times.end },
+        reminders: body.reminders || { useDefault: true },
+        ...(rules ? { recurrence: rules } : {})
+    }, erCode, recordId);
+    
+    return { erCode, recordId, eventBody, instanceRecordIds: rules ? body.instanceRecordIds : undefined };
+}
+
+// Sync a built event to each target calendar independently so one failure does not block the others.
+// Temporary failures (including a token outage) are queued for retry instead of being lost.
+// changedAt is when the record changed in Alchemy (see syncConflicts.js); retries keep it.
+async function syncToCalendars(tenant, calendarIds, { erCode, recordId, eventBody, instanceRecordIds, sendUpdates, knownEvents, changedAt }) {
+    const results = [];
+    for (const calendarId of calendarIds) {
+        try {
+            const { action, event, conflicts, syncConflict } = await syncEventToCalendar(tenant, calendarId, erCode, recordId, eventBody, {
+                instanceRecordIds, sendUpdates, knownEvents, changedAt
+            });
+            await supersedeJobs(googleJobKey(tenant, calendarId, erCode));
+            const result = { calendarId, success: true, action, event };
+            if (conflicts.length > 0) result.conflicts = conflicts;
+            if (syncConflict) result.syncConflict = syncConflict;
+            results.push(result);
+        } catch (error) {
+            logger.error(`Error syncing ${erCode} to calendar ${calendarId}: ${error.message}`);
+            const result = { calendarId, success: false, error: error.message };
+            if (error.conflicts) {
+                Object.assign(result, { rejected: true, conflicts: error.conflicts });
+            } else if (isRetryableError(error)) {
+                const job = await enqueueJob("google.syncEvent", { calendarId, erCode, recordId, eventBody, instanceRecordIds, sendUpdates, changedAt }, {
+                    tenantId: tenant.id,
+                    key: googleJobKey(tenant, calendarId, erCode),
+                    description: `Google sync for ${erCode} on ${calendarId}`,
+                    error
+                });
+                Object.assign(result, { queued: true, jobId: job.id });
+            }
+            results.push(result);
+            await recordAudit(tenant, {
+                action: "failed", source: "alchemy", target: "google", erCode, calendarId, recordId,
+                after: auditTimes(eventBody), error: error.message, queued: result.queued, jobId: result.jobId
+            });
         }
+    }
+    return results;
+}
+
+// Create or update event route
+router.post("/create-event", validateRequest("create-event"), async (req, res) => {
+    const tenant = req.tenant;
+    
+    try {
+        const { erCode, recordId, eventBody, instanceRecordIds, error } = buildEventBody(tenant, req.body);
+        const { sendUpdates, changedAt = new Date().toISOString() } = req.body;
         
-        // Prepare event data
-        const eventBody = {
-            summary: summary,
-            description: description,
-            location: location,
-            start: { dateTime: startISO, timeZone },
-            end: { dateTime: endISO, timeZone },
-            reminders: req.body.reminders || { useDefault: true }
-        };
+        // Withdrawn reservations cancel the event instead of writing it
+        if (req.body.status === "cancelled") {
+            if (!erCode) {
+                return sendError(res, 400, "missing_identifier", "No identifier found", { message: describeIdentifierSources(tenant) });
+            }
+            const explicitCalendars = req.body.calendarIds || req.body.calendarId;
+            const { status, body } = await cancelERCode(tenant, erCode, {
+                calendarIds: explicitCalendars ? resolveCalendarIds(tenant, req.body) : undefined,
+                recordId,
+                sendUpdates
+            });
+            return res.status(status).json(body);
+        }
         
-        // Get Google access token
-        const accessToken = await getGoogleAccessToken();
-        if (!accessToken) {
-            return res.status(500).json({ error: "Failed to obtain Google access token" });
+        if (error) {
+            const { code, error: message, ...details } = error;
+            return sendError(res, 400, code, message, details);
         }
         
-        // Check if we have a mapping for this ER code
-        const existingEventId = eventMappings[erCode];
+        const results = await syncToCalendars(tenant, resolveCalendarIds(tenant, req.body), { erCode, recordId, eventBody, instanceRecordIds, sendUpdates, changedAt });
         
-        let result;
+        // Overlapping bookings are flagged in Alchemy's status field
+        const conflicted = results.some(result => result.conflicts);
+        const alchemy = conflicted ? await reportConflict(tenant, recordId) : undefined;
         
-        if (existingEventId) {
-            // Try to update the existing event
-            result = await updateEvent(accessToken, calendarId, existingEventId, eventBody);
-            
-            // If event was deleted or cancelled, create a new one
-            if (result && result.deleted) {
-                console.log(`Event ${existingEventId} cannot be updated (${result.reason}), creating new one`);
-                delete eventMappings[erCode];
-                saveMappings();
-                
-                result = await createEvent(accessToken, calendarId, eventBody, erCode);
-                
-                return res.status(200).json({
-                    success: true,
-                    action: "recreated",
-                    event: result,
+        // Single-calendar requests keep the original response shape
+        if (!Array.isArray(req.body.calendarIds)) {
+            const [result] = results;
+            if (result.queued) {
+                return res.status(202).json({
+                    success: false,
+                    queued: true,
+                    jobId: result.jobId,
+                    error: result.error,
                     erCode: erCode
                 });
             }
-            
-            console.log(`Successfully updated event: ${existingEventId}`);
-            return res.status(200).json({
-                success: true,
-                action: "updated",
-                event: result,
-                erCode: erCode
-            });
-        } else {
-            // Create a new event
-            result = await createEvent(accessToken, calendarId, eventBody, erCode);
-            
-            console.log(`Successfully created new event: ${result.id}`);
+            if (result.rejected) {
+                return res.status(409).json({
+                    success: false,
+                    error: result.error,
+                    conflicts: result.conflicts,
+                    erCode: erCode,
+                    alchemy
+                });
+            }
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
             return res.status(200).json({
                 success: true,
-                action: "created",
-                event: result,
-                erCode: erCode
+                action: result.action,
+                event: result.event,
+                erCode: erCode,
+                conflicts: result.conflicts,
+                syncConflict: result.syncConflict,
+                alchemy
             });
         }
+        
+        const succeeded = results.filter(result => result.success).length;
+        const queued = results.filter(result => result.queued).length;
+        const rejected = results.filter(result => result.rejected).length;
+        let status = 207;
+        if (succeeded === results.length) status = 200;
+        else if (queued === results.length) status = 202;
+        else if (rejected === results.length) status = 409;
+        else if (succeeded + queued === 0) status = 500;
+        
+        return res.status(status).json({
+            success: succeeded === results.length,
+            erCode: erCode,
+            results,
+            alchemy
+        });
     } catch (error) {
-        console.error(`Error: ${error.message}`);
+        logger.error(`Error: ${error.message}`);
         return res.status(500).json({ error: error.message });
     }
 });
 
-// Get all tracked events
-router.get("/tracked-events", (req, res) => {
-    // Refresh our knowledge of tracked events
-    loadMappings();
+// Widen a batch's listing by a day each way, so all-day events and timezone differences are covered
+const BATCH_LISTING_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+// List each calendar a batch writes to once, over the batch's time span, so events that are already
+// on the calendar need no lookup of their own. Resolves to Map(calendarId -> Map(eventId -> event)).
+// Events moved further than the margin, and those of a calendar that cannot be listed, are looked up one by one.
+async function listBatchEvents(tenant, items) {
+    const spans = new Map();
+    for (const { calendarIds, eventBody } of items) {
+        const start = Date.parse(eventInstant(eventBody.start, "UTC"));
+        const end = Date.parse(eventInstant(eventBody.end, "UTC"));
+        if (Number.isNaN(start) || Number.isNaN(end)) continue;
+        for (const calendarId of calendarIds) {
+            const span = spans.get(calendarId);
+            spans.set(calendarId, { min: Math.min(start, span?.min ?? start), max: Math.max(end, span?.max ?? end) });
+        }
+    }
+    
+    const known = new Map();
+    await Promise.all([...spans].map(async ([calendarId, { min, max }]) => {
+        try {
+            const events = await listEventsInRange(
+                tenant,
+                calendarId,
+                new Date(min - BATCH_LISTING_MARGIN_MS).toISOString(),
+                new Date(max + BATCH_LISTING_MARGIN_MS).toISOString(),
+                { seriesOnly: true, showDeleted: true }
+            );
+            known.set(calendarId, new Map(events.map(event => [event.id, event])));
+        } catch (error) {
+            logger.warn(`Could not list calendar ${calendarId} for a batch - looking its events up one by one: ${error.message}`);
+        }
+    }));
+    return known;
+}
+
+// The outcome of one reservation on one calendar, as the batch route reports it
+function batchResult(result) {
+    let action = result.action;
+    if (!result.success) {
+        action = result.rejected ? "rejected" : result.queued ? "queued" : "failed";
+    }
+    return {
+        calendarId: result.calendarId,
+        action,
+        eventId: result.event?.id,
+        error: result.error,
+        conflicts: result.conflicts,
+        syncConflict: result.syncConflict,
+        jobId: result.jobId
+    };
+}
+
+// Sync one reservation of a batch as create-event would, without touching Alchemy. Resolves to
+// { results, status }: one result per calendar, and the status its record is to be given, if any.
+async function syncBatchItem(tenant, item, { writeBack, knownEvents }) {
+    const { index, body, erCode, recordId, eventBody, instanceRecordIds, sendUpdates, changedAt, error } = item;
+    const about = { index, erCode: erCode || null, recordId: recordId || null };
+    const failed = (code, message, details = {}) => ({ results: [{ ...about, action: "failed", code, error: message, ...details }] });
     
-    return res.status(200).json({
-        mappings: eventMappings,
-        count: Object.keys(eventMappings).length,
-        trackingFile: TRACKING_FILE
+    try {
+        if (body.status === "cancelled") {
+            if (!erCode) {
+                return failed("missing_identifier", "No identifier found", { message: describeIdentifierSources(tenant) });
+            }
+            const explicitCalendars = body.calendarIds || body.calendarId;
+            const { status, body: outcome } = await cancelERCode(tenant, erCode, {
+                calendarIds: explicitCalendars ? resolveCalendarIds(tenant, body) : undefined,
+                recordId,
+                sendUpdates,
+                deferAlchemy: true
+            });
+            if (status === 404) {
+                return failed("not_found", outcome.message);
+            }
+            return {
+                results: outcome.results.map(result => ({
+                    ...about,
+                    calendarId: result.calendarId,
+                    action: result.success ? "cancelled" : "failed",
+                    eventId: result.eventId,
+                    error: result.error
+                })),
+                status: outcome.alchemy.deferred ? { recordId: outcome.alchemy.recordId, value: tenant.alchemy.eventStatuses.cancelled } : undefined
+            };
+        }
+        
+        if (error) {
+            const { code, error: message, ...details } = error;
+            return failed(code, message, details);
+        }
+        
+        const results = await syncToCalendars(tenant, resolveCalendarIds(tenant, body), { erCode, recordId, eventBody, instanceRecordIds, sendUpdates, knownEvents, changedAt });
+        
+        // Overlapping bookings are flagged in Alchemy as create-event does; records on all their calendars are marked pushed
+        let value;
+        if (results.some(result => result.conflicts)) {
+            value = tenant.alchemy.eventStatuses.conflict;
+        } else if (writeBack && results.every(result => result.success && result.action !== "flagged")) {
+            value = tenant.alchemy.eventStatuses.pushed;
+        }
+        return {
+            results: results.map(result => ({ ...about, ...batchResult(result) })),
+            status: value && recordId ? { recordId, value } : undefined
+        };
+    } catch (error) {
+        logger.error(`Error syncing ${erCode} in a batch: ${error.message}`);
+        return failed(undefined, error.message);
+    }
+}
+
+// Write the statuses a batch leaves to Alchemy once the Google writes are done, a few records at a
+// time. A record named by several reservations gets the status of the last.
+async function writeBatchStatuses(tenant, statuses) {
+    const byRecord = new Map(statuses.map(status => [status.recordId, status.value]));
+    const results = await mapWithConcurrency([...byRecord], config.batch.concurrency, async ([recordId, value]) => {
+        try {
+            const { data, ...outcome } = await updateAlchemyRecordOrQueue(tenant, { recordId, fields: buildStatusFields(tenant, value) });
+            return { recordId, status: value, ...outcome };
+        } catch (error) {
+            logger.error(`Error writing the status of record ${recordId}: ${error.message}`);
+            return { recordId, status: value, updated: false, error: error.message };
+        }
     });
+    return {
+        updated: results.filter(result => result.updated).length,
+        queued: results.filter(result => result.queued).length,
+        failed: results.filter(result => !result.updated && !result.queued).length,
+        results
+    };
+}
+
+// Sync a batch of reservations. Each is handled as create-event handles it, a few at a time, with
+// one result per reservation and calendar; the statuses for Alchemy are written back at the end.
+router.post("/events/batch", validateRequest("batch-events"), async (req, res) => {
+    const tenant = req.tenant;
+    const { reservations, writeBack = true } = req.body;
+    
+    try {
+        // A reservation that does not match the create-event schema fails on its own
+        const reservationSchema = getRouteSchema("create-event", tenant).body;
+        const receivedAt = new Date().toISOString();
+        const items = reservations.map((body, index) => {
+            const sendUpdates = body.sendUpdates || req.body.sendUpdates;
+            const changedAt = body.changedAt || receivedAt;
+            const errors = validateValue(reservationSchema, body, `body.reservations[${index}]`);
+            if (errors.length > 0) {
+                return { index, body, sendUpdates, error: { code: "invalid_request", error: "Invalid request", details: errors } };
+            }
+            return { index, body, sendUpdates, changedAt, ...buildEventBody(tenant, body) };
+        });
+        
+        const writes = items.filter(item => item.eventBody && item.body.status !== "cancelled");
+        const knownEvents = await listBatchEvents(tenant, writes.map(item => ({ calendarIds: resolveCalendarIds(tenant, item.body), eventBody: item.eventBody })));
+        
+        const outcomes = await mapWithConcurrency(items, config.batch.concurrency, item => syncBatchItem(tenant, item, { writeBack, knownEvents }));
+        const results = outcomes.flatMap(outcome => outcome.results);
+        const alchemy = await writeBatchStatuses(tenant, outcomes.map(outcome => outcome.status).filter(Boolean));
+        
+        const summary = {};
+        for (const { action } of results) {
+            summary[action] = (summary[action] || 0) + 1;
+        }
+        const success = results.every(result => ["created", "updated", "recreated", "unchanged", "kept", "cancelled"].includes(result.action)) && alchemy.failed === 0;
+        logger.info(`Batch of ${reservations.length} reservation(s): ${Object.entries(summary).map(([action, count]) => `${count} ${action}`).join(", ")}`);
+        
+        return res.status(success ? 200 : 207).json({
+            success,
+            count: reservations.length,
+            summary,
+            results,
+            alchemy
+        });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Cancel the Google event for an ER code (all calendars, or one with ?calendarId=) and notify Alchemy
+router.delete("/events/:erCode", validateRequest("cancel-event"), async (req, res) => {
+    try {
+        const { calendarId, recordId, sendUpdates } = req.query;
+        const { status, body } = await cancelERCode(req.tenant, req.params.erCode, {
+            calendarIds: calendarId ? [calendarId] : undefined,
+            recordId,
+            sendUpdates
+        });
+        return res.status(status).json(body);
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
 });
 
-// Clear all tracked events
-router.delete("/tracked-events", (req, res) => {
-    // Clear the in-memory mappings
-    Object.keys(eventMappings).forEach(key => {
-        delete eventMappings[key];
+// Properties a force-recreated event copies from the event it replaces
+const RECREATED_EVENT_FIELDS = ["summary", "description", "location", "start", "end", "recurrence", "reminders",
+    "extendedProperties", "colorId", "transparency", "visibility"];
+
+// Run an admin action on each of an ER code's mappings (one calendar's with calendarId) under the
+// ER code's lock. Resolves to one result per mapping, or null when the ER code has none.
+function forEachMapping(tenant, erCode, calendarId, action) {
+    return withKeyLock(erCodeLockKey(tenant, erCode), async () => {
+        const store = await getMappingStore(tenant);
+        const mappings = await store.list({ erCode, calendarId });
+        if (mappings.length === 0) return null;
+        
+        const results = [];
+        for (const mapping of mappings) {
+            try {
+                results.push({ calendarId: mapping.calendarId, ...await action(store, mapping) });
+            } catch (error) {
+                logger.error(`Error on ${erCode} on ${mapping.calendarId}: ${error.message}`);
+                results.push({ calendarId: mapping.calendarId, success: false, eventId: mapping.eventId, error: error.message });
+            }
+        }
+        return results;
     });
-    
-    // Save the empty mappings
-    saveMappings();
-    
-    return res.status(200).json({
-        success: true,
-        message: "All event mappings cleared"
+}
+
+/**
+ * Write an ER code's events as Google has them now to its Alchemy record again (a cancelled or
+ * deleted event as the cancelled status), e.g. after Alchemy lost an update. Any flagged sync
+ * conflict is settled for Google. Resolves to one result per mapping, or null when there is none.
+ */
+export function repushToAlchemy(tenant, erCode, { calendarId } = {}) {
+    return forEachMapping(tenant, erCode, calendarId, async (store, mapping) => {
+        const { exists, data, error } = await checkEventExists(tenant, mapping.calendarId, mapping.eventId);
+        if (error) throw error;
+        
+        const event = exists ? data : { ...data, id: mapping.eventId, status: "cancelled" };
+        const alchemy = await writeGoogleSide(tenant, store, mapping, event, { source: "admin" });
+        return { success: !!(alchemy.updated || alchemy.queued), action: "repushed", eventId: mapping.eventId, alchemy };
+    });
+}
+
+/**
+ * Replace an ER code's events with fresh copies: each is created again from the event as it is now
+ * and the old one is cancelled, e.g. when an event was moved to another owner or cannot be edited.
+ * Attendees are invited to the copy. Resolves to one result per mapping, or null when there is none.
+ */
+export function recreateMappedEvents(tenant, erCode, { calendarId } = {}) {
+    return forEachMapping(tenant, erCode, calendarId, async (store, mapping) => {
+        const { exists, data, error } = await checkEventExists(tenant, mapping.calendarId, mapping.eventId);
+        if (error) throw error;
+        if (!data) {
+            throw new Error(`Event ${mapping.eventId} is gone from Google; send the record from Alchemy again to recreate it`);
+        }
+        
+        const copy = Object.fromEntries(RECREATED_EVENT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+        if (data.attendees) {
+            copy.attendees = data.attendees.map(({ email, displayName, optional }) => ({ email, displayName, optional }));
+        }
+        const event = await createEvent(tenant, mapping.calendarId, copy, erCode, mapping.recordId);
+        if (exists) {
+            await cancelEvent(tenant, mapping.calendarId, mapping.eventId);
+        }
+        
+        await recordAudit(tenant, {
+            action: "recreated", source: "admin", target: "google", erCode, calendarId: mapping.calendarId,
+            eventId: event.id, recordId: mapping.recordId, before: auditTimes(data), after: auditTimes(event)
+        });
+        return { success: true, action: "recreated", eventId: event.id, previousEventId: mapping.eventId };
+    });
+}
+
+/**
+ * Forget an ER code's mappings under the ER code's lock, leaving the events and the Alchemy record alone;
+ * the next write from Alchemy links the ER code again. Resolves to one result per mapping, or null when there is none.
+ */
+export function unlinkMappings(tenant, erCode, { calendarId } = {}) {
+    return forEachMapping(tenant, erCode, calendarId, async (store, mapping) => {
+        await store.remove(mapping.calendarId, erCode);
+        await recordAudit(tenant, {
+            action: "unlinked", source: "admin", target: "google", erCode, calendarId: mapping.calendarId,
+            eventId: mapping.eventId, recordId: mapping.recordId
+        });
+        return { success: true, action: "unlinked", eventId: mapping.eventId };
     });
+}
+
+// Mapping management is an admin operation
+// Get all tracked events (optionally ?calendarId= and/or ?erCode=)
+router.get("/tracked-events", requireAdmin, validateRequest("list-tracked-events"), async (req, res) => {
+    try {
+        const store = await getMappingStore(req.tenant);
+        const { calendarId, erCode } = req.query;
+        const mappings = await store.list({ calendarId, erCode });
+        
+        return res.status(200).json({
+            mappings,
+            count: mappings.length,
+            storage: { tenant: req.tenant.id, backend: store.backend, location: store.location }
+        });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
 });
 
-// Manual management of tracked events
-router.delete("/tracked-events/:erCode", (req, res) => {
-    const erCode = req.params.erCode;
-    
-    if (eventMappings[erCode]) {
-        const eventId = eventMappings[erCode];
-        delete eventMappings[erCode];
-        saveMappings();
+// Clear all tracked events (or only one calendar's with ?calendarId=)
+router.delete("/tracked-events", requireAdmin, validateRequest("clear-tracked-events"), async (req, res) => {
+    try {
+        const store = await getMappingStore(req.tenant);
+        const { calendarId } = req.query;
+        const count = await store.clear({ calendarId });
         
         return res.status(200).json({
             success: true,
-            message: `Removed mapping for ${erCode}`,
-            removedEventId: eventId
+            message: calendarId ? `Event mappings cleared for calendar ${calendarId}` : "All event mappings cleared",
+            removedCount: count
+        });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Manual management of tracked events - removes the ER code from every calendar unless ?calendarId= is given
+router.delete("/tracked-events/:erCode", requireAdmin, validateRequest("remove-tracked-event"), async (req, res) => {
+    const erCode = req.params.erCode;
+    try {
+        const results = await unlinkMappings(req.tenant, erCode, { calendarId: req.query.calendarId });
+        
+        if (results) {
+            const success = results.every(result => result.success);
+            return res.status(success ? 200 : 207).json({
+                success,
+                message: `Removed mapping for ${erCode}`,
+                removed: results.filter(result => result.success).map(({ calendarId, eventId }) => ({ calendarId, eventId })),
+                ...(success ? {} : { failed: results.filter(result => !result.success) })
+            });
+        }
+        
+        return res.status(404).json({
+            success: false,
+            message: `No mapping found for ${erCode}`
         });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
     }
+});
+
+// The flagged sync conflict of a mapping as the admin routes show it
+function describeSyncConflict({ calendarId, erCode, eventId, recordId, syncConflict }) {
+    return { calendarId, erCode, eventId, recordId, ...syncConflict };
+}
+
+// List the sync conflicts flagged for review (optionally ?calendarId= and/or ?erCode=)
+router.get("/sync-conflicts", requireAdmin, validateRequest("list-sync-conflicts"), async (req, res) => {
+    const { calendarId, erCode } = req.query;
     
-    return res.status(404).json({
-        success: false,
-        message: `No mapping found for ${erCode}`
-    });
+    try {
+        const store = await getMappingStore(req.tenant);
+        const conflicts = (await store.list({ calendarId, erCode }))
+            .filter(mapping => mapping.syncConflict)
+            .map(describeSyncConflict);
+        
+        return res.status(200).json({ conflicts, count: conflicts.length, policy: req.tenant.sync.conflictPolicy });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Resolve an ER code's flagged sync conflicts (every calendar unless calendarId is given): winner
+// "alchemy" writes Alchemy's held-back change to Google, "google" writes the event as it is now to Alchemy
+router.post("/sync-conflicts/:erCode/resolve", requireAdmin, validateRequest("resolve-sync-conflict"), async (req, res) => {
+    const tenant = req.tenant;
+    const { erCode } = req.params;
+    const { winner, calendarId } = req.body;
+    
+    try {
+        const store = await getMappingStore(tenant);
+        const flagged = (await store.list({ erCode, calendarId })).filter(mapping => mapping.syncConflict);
+        if (flagged.length === 0) {
+            return res.status(404).json({ success: false, message: `No sync conflict flagged for ${erCode}` });
+        }
+        
+        const results = [];
+        for (const mapping of flagged) {
+            const { alchemy } = mapping.syncConflict;
+            try {
+                if (winner === "alchemy") {
+                    const { action, event } = await syncEventToCalendar(tenant, mapping.calendarId, erCode, alchemy.recordId || mapping.recordId, alchemy.eventBody, {
+                        instanceRecordIds: alchemy.instanceRecordIds,
+                        changedAt: alchemy.changedAt,
+                        conflictPolicy: "alchemy"
+                    });
+                    results.push({ calendarId: mapping.calendarId, success: true, action, eventId: event.id });
+                    continue;
+                }
+                
+                const outcome = await withKeyLock(erCodeLockKey(tenant, erCode), async () => {
+                    const { exists, data, error } = await checkEventExists(tenant, mapping.calendarId, mapping.eventId);
+                    if (error) throw error;
+                    return writeGoogleSide(tenant, store, mapping, exists ? data : { ...data, id: mapping.eventId, status: "cancelled" }, { reason: "conflict" });
+                });
+                results.push({ calendarId: mapping.calendarId, success: !!(outcome.updated || outcome.queued), action: "kept", eventId: mapping.eventId, alchemy: outcome });
+            } catch (error) {
+                logger.error(`Error resolving the sync conflict of ${erCode} on ${mapping.calendarId}: ${error.message}`);
+                results.push({ calendarId: mapping.calendarId, success: false, error: error.message });
+            }
+        }
+        
+        const success = results.every(result => result.success);
+        return res.status(success ? 200 : 207).json({ success, erCode, winner, results });
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
 });
 
 export default router;
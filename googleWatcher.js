@@ -0,0 +1,422 @@
+import express from "express";
+import crypto from "crypto";
+import { readJsonFile, createJsonWriter } from "./jsonFile.js";
+import { getEvent, listEvents, watchEvents, stopChannel } from "./googleClient.js";
+import { extractRecordId, readEventStamp } from "./identifiers.js";
+import { getMappingStore } from "./mappingStore.js";
+import { listTenants } from "./tenants.js";
+import { buildEventFields, buildStatusFields, updateAlchemyRecordOrQueue } from "./alchemyMiddleware.js";
+import { fieldsForRow } from "./fieldMapping.js";
+import { findOccurrenceIndex, occurrenceTarget, recordException } from "./recurrence.js";
+import { validateRequest } from "./validation.js";
+import { isRetryableError } from "./jobQueue.js";
+import { logger } from "./logger.js";
+import { recordAudit, auditTimes } from "./audit.js";
+import { matchesSyncState, syncSnapshot, syncStateFor } from "./syncState.js";
+import { checkGoogleChange } from "./syncConflicts.js";
+import { erCodeLockKey, withKeyLock } from "./concurrency.js";
+
+const router = express.Router();
+
+// Watch state per tenant:
+//   { tenant, state: { [calendarId]: { syncToken, channel: { id, resourceId, expiration } } },
+//     writer, renewalTimers, syncQueues }
+// syncQueues holds a promise chain per calendar so overlapping notifications sync one at a time.
+const watchers = new Map();
+
+// The tenant's watch state, loaded from its state file on first use
+function getWatcher(tenant) {
+    if (!watchers.has(tenant.id)) {
+        const { stateFile } = tenant.google.watch;
+        const watcher = {
+            tenant,
+            state: {},
+            writer: createJsonWriter(stateFile, `watch state for tenant ${tenant.id}`),
+            renewalTimers: {},
+            syncQueues: {}
+        };
+
+        try {
+            Object.assign(watcher.state, readJsonFile(stateFile, {}));
+        } catch (error) {
+            logger.error(`Error loading watch state for tenant ${tenant.id}: ${error.message}`);
+        }
+
+        watchers.set(tenant.id, watcher);
+    }
+    return watchers.get(tenant.id);
+}
+
+// Save a tenant's watch state to disk
+function saveWatchState(watcher) {
+    return watcher.writer.write(watcher.state);
+}
+
+// Look up the tenant and calendar a notification channel belongs to
+function findChannel(channelId) {
+    for (const tenant of listTenants().filter(isWatchEnabled)) {
+        const watcher = getWatcher(tenant);
+        const calendarId = Object.keys(watcher.state).find(id => watcher.state[id].channel?.id === channelId);
+        if (calendarId) return { watcher, calendarId };
+    }
+    return null;
+}
+
+// Translate a changed Google event into an Alchemy update-record payload
+function buildAlchemyUpdate(tenant, event, mapping) {
+    const erCode = mapping.erCode;
+    const recordId = mapping.recordId || readEventStamp(tenant, event).recordId || extractRecordId(event.description);
+    if (!recordId) {
+        logger.warn(`Event ${event.id} (${erCode}) changed but has no Alchemy record ID`);
+        return null;
+    }
+
+    if (event.status === "cancelled") {
+        return { recordId, fields: buildStatusFields(tenant) };
+    }
+
+    const hasTime = time => time?.dateTime || time?.date;
+    if (!hasTime(event.start) || !hasTime(event.end)) {
+        logger.warn(`Event ${event.id} (${erCode}) has no start/end time to sync`);
+        return null;
+    }
+
+    const fields = buildEventFields(tenant, event);
+    return fields ? { recordId, fields } : null;
+}
+
+// Find the mapping for a changed event by its ID. An event stamped with an identifier that has no
+// mapping on this calendar (e.g. after the mapping store was reset) is linked again, unless it was
+// cancelled: that is the echo of a cancellation from Alchemy, whose mapping was removed.
+async function findMapping(store, tenant, calendarId, event) {
+    const mapping = await store.findByEventId(event.id, calendarId);
+    if (mapping) return mapping;
+
+    const { identifier, recordId } = readEventStamp(tenant, event);
+    if (!identifier || event.status === "cancelled" || await store.get(calendarId, identifier)) return null;
+
+    logger.info(`Relinking ${identifier} to stamped event ${event.id}`);
+    return store.upsert(calendarId, identifier, { eventId: event.id, recordId: recordId || undefined });
+}
+
+// The ER code a changed event may belong to, found without writing anything: its mapping's, or the
+// identifier it is stamped with (findMapping decides under the ER code's lock). Resolves to
+// { erCode, seen: the mapping's updatedAt } or null.
+async function lookUpERCode(store, tenant, calendarId, event) {
+    const mapping = await store.findByEventId(event.id, calendarId);
+    if (mapping) return { erCode: mapping.erCode, seen: mapping.updatedAt };
+    const { identifier } = readEventStamp(tenant, event);
+    return identifier ? { erCode: identifier, seen: null } : null;
+}
+
+// The event as Google has it now; a deleted one comes back cancelled
+async function rereadEvent(tenant, calendarId, event) {
+    try {
+        return await getEvent(tenant, calendarId, event.id);
+    } catch (error) {
+        if (error.status === 404 || error.status === 410) return { ...event, status: "cancelled" };
+        throw error;
+    }
+}
+
+// Push a moved or cancelled occurrence of a recurring series to its own Alchemy target: the
+// occurrence's child record, or its row of the series' record. Resolves to true once pushed or queued.
+async function pushOccurrenceChange(tenant, store, calendarId, event, mapping) {
+    const index = await findOccurrenceIndex(tenant, calendarId, event);
+    if (index === -1) {
+        logger.warn(`Occurrence ${event.id} of ${mapping.erCode} is not part of series ${event.recurringEventId}`);
+        return false;
+    }
+
+    const seriesRecordId = mapping.recordId || readEventStamp(tenant, event).recordId;
+    const target = occurrenceTarget(mapping, index, seriesRecordId);
+    if (!target.recordId) {
+        logger.warn(`Occurrence ${event.id} (${mapping.erCode}) changed but has no Alchemy record ID`);
+        return false;
+    }
+
+    const fields = event.status === "cancelled" ? buildStatusFields(tenant) : buildEventFields(tenant, event);
+    if (!fields) {
+        logger.warn(`Occurrence ${event.id} (${mapping.erCode}) has no start/end time to sync`);
+        return false;
+    }
+
+    const result = await updateAlchemyRecordOrQueue(tenant, { recordId: target.recordId, fields: fieldsForRow(fields, target.row) });
+    await recordAudit(tenant, {
+        action: result.updated ? (event.status === "cancelled" ? "cancelled" : "updated") : "failed",
+        source: "google", target: "alchemy", erCode: mapping.erCode, calendarId, eventId: event.id, recordId: target.recordId,
+        occurrence: index, before: null, after: auditTimes(event), error: result.error, queued: result.queued, jobId: result.jobId
+    });
+    if (!result.updated && !result.queued) {
+        logger.error(`Error pushing occurrence ${index} of ${mapping.erCode} to Alchemy: ${result.error}`);
+        return false;
+    }
+
+    await store.upsert(calendarId, mapping.erCode, {
+        recurrence: recordException(mapping.recurrence, event, target),
+        lastSyncedToAlchemyAt: result.updated ? new Date().toISOString() : undefined
+    });
+    logger.info(`Pushed ${event.status === "cancelled" ? "cancellation" : "time change"} for occurrence ${index} of ${mapping.erCode} to Alchemy (record ${target.recordId}, row ${target.row})`);
+    return true;
+}
+
+// Fetch a full listing only to obtain a fresh sync token (no Alchemy updates are sent)
+async function resetSyncToken(watcher, calendarId) {
+    const { nextSyncToken } = await listEvents(watcher.tenant, calendarId);
+    watcher.state[calendarId] = { ...watcher.state[calendarId], syncToken: nextSyncToken };
+    saveWatchState(watcher);
+    logger.info(`Established sync token for calendar ${calendarId}`);
+}
+
+// Push one change from the feed to Alchemy. Resolves to true once pushed or queued. seen is the
+// mapping's updatedAt when the change was read: if a write changed the mapping since, the listed
+// event may predate that write, so the event is read again.
+async function pushChange(tenant, store, calendarId, event, series, seen) {
+    const mapping = await findMapping(store, tenant, calendarId, series);
+    if (!mapping) return false;
+    if (mapping.updatedAt !== seen) {
+        event = await rereadEvent(tenant, calendarId, event);
+    }
+
+    if (event.recurringEventId) {
+        try {
+            return await pushOccurrenceChange(tenant, store, calendarId, event, mapping);
+        } catch (error) {
+            // Keep the sync token so the batch is read again if the series lookup may succeed later
+            if (isRetryableError(error)) throw error;
+            logger.error(`Error pushing occurrence ${event.id} of ${mapping.erCode}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Writes from Alchemy, and changes pushed already, come back in the change feed
+    if (matchesSyncState(mapping.syncState?.values, syncSnapshot(tenant, event))) {
+        logger.debug(`${mapping.erCode} on ${calendarId} has not changed since it was last synced - not pushing`);
+        await recordAudit(tenant, {
+            action: "skipped", reason: "echo", source: "google", target: "alchemy", erCode: mapping.erCode, calendarId,
+            eventId: event.id, recordId: mapping.recordId
+        });
+        return false;
+    }
+
+    // An Alchemy change Google has not seen yet, or a conflict flagged for review, may hold this one back
+    const check = await checkGoogleChange(tenant, store, mapping, event);
+    if (!check.write) {
+        await recordAudit(tenant, {
+            action: "skipped", reason: "conflict", source: "google", target: "alchemy", erCode: mapping.erCode, calendarId,
+            eventId: event.id, recordId: mapping.recordId
+        });
+        return false;
+    }
+
+    const payload = buildAlchemyUpdate(tenant, event, mapping);
+    if (!payload) return false;
+
+    // Failures are queued for retry, so the sync token can still advance
+    const result = await updateAlchemyRecordOrQueue(tenant, payload);
+    await recordAudit(tenant, {
+        action: result.updated ? (event.status === "cancelled" ? "cancelled" : "updated") : "failed",
+        source: "google", target: "alchemy", erCode: mapping.erCode, calendarId, eventId: event.id, recordId: payload.recordId,
+        after: event.status === "cancelled" ? null : auditTimes(event), error: result.error, queued: result.queued, jobId: result.jobId
+    });
+    if (!result.updated) {
+        logger.error(`Error pushing ${mapping.erCode} to Alchemy${result.queued ? " (queued for retry)" : ""}: ${result.error}`);
+        // The retry will write these values, so their echo is dropped all the same
+        if (result.queued) {
+            await store.upsert(calendarId, mapping.erCode, { syncState: syncStateFor(tenant, "google", event) });
+        }
+        return false;
+    }
+
+    await store.upsert(calendarId, mapping.erCode, {
+        recordId: payload.recordId,
+        etag: event.etag,
+        syncState: syncStateFor(tenant, "google", event),
+        lastSyncedToAlchemyAt: new Date().toISOString()
+    });
+    logger.info(`Pushed ${event.status === "cancelled" ? "cancellation" : "time change"} for ${mapping.erCode} to Alchemy`);
+    return true;
+}
+
+// Pull changes since the stored sync token and push tracked events to Alchemy
+async function syncCalendar(watcher, calendarId) {
+    const { tenant } = watcher;
+    const syncToken = watcher.state[calendarId]?.syncToken;
+    if (!syncToken) {
+        await resetSyncToken(watcher, calendarId);
+        return { pushed: 0 };
+    }
+
+    let changes;
+    try {
+        changes = await listEvents(tenant, calendarId, { syncToken });
+    } catch (error) {
+        // Google expires sync tokens at will; start over from a full listing
+        if (error.status === 410) {
+            logger.warn(`Sync token for calendar ${calendarId} expired - resetting`);
+            await resetSyncToken(watcher, calendarId);
+            return { pushed: 0 };
+        }
+        throw error;
+    }
+
+    const store = await getMappingStore(tenant);
+    let pushed = 0;
+    for (const event of changes.items) {
+        // Only events this middleware created are linked to Alchemy records. A changed occurrence
+        // of a recurring event belongs to the series' mapping.
+        const series = event.recurringEventId ? { ...event, id: event.recurringEventId } : event;
+        const found = await lookUpERCode(store, tenant, calendarId, series);
+        if (!found) continue;
+
+        // Alchemy writes for the same ER code wait, so neither works on a stale mapping
+        const { erCode, seen } = found;
+        if (await withKeyLock(erCodeLockKey(tenant, erCode), () => pushChange(tenant, store, calendarId, event, series, seen))) pushed++;
+    }
+
+    // Every change in this batch has been pushed or queued
+    watcher.state[calendarId] = { ...watcher.state[calendarId], syncToken: changes.nextSyncToken };
+    saveWatchState(watcher);
+
+    return { pushed };
+}
+
+// Queue a sync so notifications for the same calendar never run concurrently
+function queueSync(watcher, calendarId) {
+    const previous = watcher.syncQueues[calendarId] || Promise.resolve();
+    const next = previous
+        .then(() => syncCalendar(watcher, calendarId))
+        .catch(error => logger.error(`Error syncing calendar ${calendarId} for tenant ${watcher.tenant.id}: ${error.message}`));
+    watcher.syncQueues[calendarId] = next;
+    return next;
+}
+
+// Schedule a channel replacement shortly before it expires
+function scheduleRenewal(watcher, calendarId) {
+    const { renewBeforeSeconds } = watcher.tenant.google.watch;
+    clearTimeout(watcher.renewalTimers[calendarId]);
+
+    const expiration = Number(watcher.state[calendarId]?.channel?.expiration || 0);
+    const delay = Math.max(expiration - renewBeforeSeconds * 1000 - Date.now(), 0);
+
+    // setTimeout overflows above ~24.8 days, so re-check in steps
+    const timer = setTimeout(() => {
+        ensureChannel(watcher, calendarId).catch(error =>
+            logger.error(`Error renewing channel for calendar ${calendarId}: ${error.message}`)
+        );
+    }, Math.min(delay, 2 ** 31 - 1));
+    timer.unref();
+    watcher.renewalTimers[calendarId] = timer;
+}
+
+// Open a channel for the calendar unless a live one already exists, then stop the old one
+async function ensureChannel(watcher, calendarId) {
+    const { tenant } = watcher;
+    const { webhookUrl, channelToken, ttlSeconds, renewBeforeSeconds } = tenant.google.watch;
+    const current = watcher.state[calendarId]?.channel;
+    const renewAt = Number(current?.expiration || 0) - renewBeforeSeconds * 1000;
+
+    if (current && current.address === webhookUrl && renewAt > Date.now()) {
+        scheduleRenewal(watcher, calendarId);
+        return current;
+    }
+
+    const data = await watchEvents(tenant, calendarId, {
+        id: crypto.randomUUID(),
+        address: webhookUrl,
+        token: channelToken,
+        ttlSeconds
+    });
+
+    const channel = {
+        id: data.id,
+        resourceId: data.resourceId,
+        expiration: Number(data.expiration),
+        address: webhookUrl
+    };
+    watcher.state[calendarId] = { ...watcher.state[calendarId], channel };
+    saveWatchState(watcher);
+    logger.info(`Watching calendar ${calendarId} for tenant ${tenant.id} (channel ${channel.id}, expires ${new Date(channel.expiration).toISOString()})`);
+
+    if (current) {
+        try {
+            await stopChannel(tenant, current);
+        } catch (error) {
+            // An expired channel is already gone on Google's side
+            logger.warn(`Could not stop old channel ${current.id}: ${error.message}`);
+        }
+    }
+
+    scheduleRenewal(watcher, calendarId);
+    return channel;
+}
+
+// Whether push notifications are configured for a tenant
+export function isWatchEnabled(tenant) {
+    return !!tenant.google.watch.webhookUrl;
+}
+
+// Subscribe to every configured calendar of every tenant and make sure each has a sync token
+export async function startWatching() {
+    for (const tenant of listTenants()) {
+        if (!isWatchEnabled(tenant)) {
+            logger.info(`Google push notifications disabled for tenant ${tenant.id} (no webhook URL set)`);
+            continue;
+        }
+
+        const watcher = getWatcher(tenant);
+        for (const calendarId of tenant.google.watch.calendarIds) {
+            try {
+                if (!watcher.state[calendarId]?.syncToken) {
+                    await queueSync(watcher, calendarId);
+                }
+                await ensureChannel(watcher, calendarId);
+            } catch (error) {
+                logger.error(`Error starting watch for calendar ${calendarId} (tenant ${tenant.id}): ${error.message}`);
+            }
+        }
+    }
+}
+
+// Summary of a tenant's watched calendars for /status
+export function getWatchStatus(tenant) {
+    const { state } = getWatcher(tenant);
+    return tenant.google.watch.calendarIds.map(calendarId => ({
+        calendarId,
+        hasSyncToken: !!state[calendarId]?.syncToken,
+        channelExpiration: state[calendarId]?.channel?.expiration
+            ? new Date(state[calendarId].channel.expiration).toISOString()
+            : null
+    }));
+}
+
+// Receive push notifications from Google Calendar. The channel ID identifies the tenant and calendar,
+// so every tenant can share this URL.
+router.post("/notifications", validateRequest("google-notification"), (req, res) => {
+    const channelId = req.get("X-Goog-Channel-ID");
+    const resourceState = req.get("X-Goog-Resource-State");
+
+    const channel = findChannel(channelId);
+    if (!channel) {
+        // Not one of ours (e.g. a channel replaced during renewal) - acknowledge so Google stops retrying
+        logger.warn(`Notification for unknown channel ${channelId}`);
+        return res.status(200).end();
+    }
+
+    const { watcher, calendarId } = channel;
+    const { channelToken } = watcher.tenant.google.watch;
+    if (channelToken && req.get("X-Goog-Channel-Token") !== channelToken) {
+        logger.warn(`Rejected notification with invalid channel token (channel ${channelId})`);
+        return res.status(403).json({ error: "Invalid channel token" });
+    }
+
+    // Acknowledge immediately; Google retries notifications that are slow to answer
+    res.status(200).end();
+
+    // The initial "sync" message only confirms the channel was created
+    if (resourceState === "sync") return;
+
+    queueSync(watcher, calendarId);
+});
+
+export default router;
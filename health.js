@@ -0,0 +1,123 @@
+import express from "express";
+import config from "./config.js";
+import { getGoogleTokens, getCalendar } from "./googleClient.js";
+import { getAlchemyTokens } from "./alchemyMiddleware.js";
+import { getMappingStore } from "./mappingStore.js";
+import { isWatchEnabled } from "./googleWatcher.js";
+import { listTenants } from "./tenants.js";
+import { logger } from "./logger.js";
+
+const router = express.Router();
+
+/**
+ * READINESS CHECKS
+ * ----------------
+ * GET /health/ready verifies, for every tenant, that:
+ *   googleToken    the Google refresh token still yields an access token
+ *   alchemyToken   the Alchemy refresh token still yields an access token
+ *   mappingStore   the tracking store can be read
+ *   calendars      the default calendar and the watched calendars can be read
+ * It answers 200 when every check passes and 503 otherwise, so a platform health check takes an
+ * instance with revoked credentials out of service. GET /health/live only shows the process is up.
+ *
+ * Tokens are refreshed by the check at most every tokenCheckSeconds, and a result is reused for
+ * cacheSeconds, so frequent probes do not hammer Google and Alchemy.
+ */
+
+const { timeoutSeconds, tokenCheckSeconds, cacheSeconds } = config.health;
+
+// The latest readiness report: { at (ms), report (a promise while checks run) }
+let latest = null;
+
+// Run one check with a time limit. Resolves to { ok, durationMs, ...details } or { ok: false, durationMs, error }.
+async function runCheck(check) {
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutSeconds}s`)), timeoutSeconds * 1000);
+    });
+
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { ok: true, durationMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function checkTenant(tenant) {
+    const { defaultCalendarId, watch } = tenant.google;
+    const calendarIds = [...new Set([defaultCalendarId, ...(isWatchEnabled(tenant) ? watch.calendarIds : [])])].filter(Boolean);
+
+    const [googleToken, alchemyToken, mappingStore, calendars] = await Promise.all([
+        runCheck(async () => {
+            await getGoogleTokens(tenant).verify(tokenCheckSeconds);
+        }),
+        runCheck(async () => {
+            await getAlchemyTokens(tenant).verify(tokenCheckSeconds);
+        }),
+        runCheck(async () => {
+            const store = await getMappingStore(tenant);
+            await store.get(defaultCalendarId, "__readiness_check__");
+            return { backend: store.backend };
+        }),
+        runCheck(async () => {
+            await Promise.all(calendarIds.map(calendarId => getCalendar(tenant, calendarId).catch(error => {
+                throw new Error(`${calendarId}: ${error.message}`);
+            })));
+            return { calendarIds };
+        })
+    ]);
+
+    const checks = { googleToken, alchemyToken, mappingStore, calendars };
+    if (tenant.missing.length > 0) {
+        checks.configuration = { ok: false, error: `Missing settings: ${tenant.missing.join(", ")}` };
+    }
+
+    const failed = Object.entries(checks).filter(([, check]) => !check.ok);
+    failed.forEach(([name, check]) => logger.warn(`Readiness check ${name} failed for tenant ${tenant.id}: ${check.error}`));
+
+    return { id: tenant.id, ready: failed.length === 0, checks };
+}
+
+async function buildReport() {
+    const tenants = await Promise.all(listTenants().map(checkTenant));
+    const ready = tenants.every(tenant => tenant.ready);
+    return { status: ready ? "ready" : "not_ready", ready, checkedAt: new Date().toISOString(), tenants };
+}
+
+/**
+ * The readiness report, reused for cacheSeconds. Concurrent callers share one run of the checks;
+ * a run that throws is not reused.
+ */
+export function getReadiness() {
+    if (!latest || Date.now() - latest.at >= cacheSeconds * 1000) {
+        const run = { at: Date.now(), report: buildReport() };
+        run.report.catch(() => {
+            if (latest === run) latest = null;
+        });
+        latest = run;
+    }
+    return latest.report;
+}
+
+// Deep check of credentials, storage and calendar access. A check that throws instead of
+// reporting its failure makes the instance not ready as well.
+router.get("/ready", async (req, res) => {
+    try {
+        const report = await getReadiness();
+        res.status(report.ready ? 200 : 503).json(report);
+    } catch (error) {
+        logger.error(`Readiness check failed: ${error.message}`);
+        res.status(503).json({ status: "not_ready", ready: false, checkedAt: new Date().toISOString(), error: error.message });
+    }
+});
+
+// The process is up and answering
+router.get("/live", (req, res) => {
+    res.status(200).json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+export default router;
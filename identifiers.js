@@ -0,0 +1,103 @@
+import { logger } from "./logger.js";
+
+/**
+ * IDENTIFIERS
+ * -----------
+ * Every synced record is tracked under an identifier (historically the ER code), which is the
+ * erCode key of its mappings. It is taken, in order, from:
+ *   1. an explicit externalId in the request
+ *   2. the first configured pattern that matches the summary (default: ^(ER\d+))
+ *   3. the Alchemy record ID (recordId in the request, or "RecordID: <id>" in the description)
+ *
+ * Events are stamped with the identifier and record ID in extendedProperties.private, so an event
+ * can still be matched to its record after someone renames it or edits its description.
+ */
+
+/**
+ * Compile identifier patterns; the first capture group (or the whole match) is the identifier
+ */
+export function compileIdentifierPatterns(patterns, source = "identifier patterns") {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+        throw new Error(`${source} must be a non-empty list of regular expressions`);
+    }
+
+    return patterns.map(pattern => {
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`${source}: invalid pattern ${pattern} - ${error.message}`);
+        }
+    });
+}
+
+// Extract the identifier from a summary using the tenant's patterns
+export function matchIdentifier(tenant, summary) {
+    if (!summary) return null;
+
+    for (const pattern of tenant.alchemy.identifiers.patterns) {
+        const match = summary.match(pattern);
+        if (match) {
+            return match[1] || match[0];
+        }
+    }
+
+    return null;
+}
+
+// Extract the Alchemy record ID from an event description ("... RecordID: 50982")
+export function extractRecordId(description) {
+    if (!description) return null;
+
+    const match = description.match(/RecordID:\s*(\d+)/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Resolve the identifier and record ID for a request body, given the summary and description
+ * after field mapping. identifier is null when none of the sources yields one.
+ */
+export function resolveIdentifier(tenant, body, { summary, description }) {
+    const recordId = body.recordId ? String(body.recordId) : extractRecordId(description);
+
+    let identifier = body.externalId ? String(body.externalId) : matchIdentifier(tenant, summary);
+    if (!identifier && recordId) {
+        identifier = recordId;
+    }
+
+    if (identifier) {
+        logger.debug(`Found identifier: ${identifier}`);
+    }
+    return { identifier, recordId };
+}
+
+// Explain a failed resolveIdentifier() to the caller
+export function describeIdentifierSources(tenant) {
+    const patterns = tenant.alchemy.identifiers.patterns.map(pattern => pattern.source).join(", ");
+    return `Send externalId or recordId, or a summary matching one of: ${patterns}`;
+}
+
+/**
+ * Add the identifier and record ID to an event body's extendedProperties.private
+ */
+export function stampEvent(tenant, eventBody, identifier, recordId) {
+    const { propertyKey, recordIdPropertyKey } = tenant.alchemy.identifiers;
+    const stamp = { [propertyKey]: identifier };
+    if (recordId) {
+        stamp[recordIdPropertyKey] = String(recordId);
+    }
+
+    return {
+        ...eventBody,
+        extendedProperties: {
+            ...eventBody.extendedProperties,
+            private: { ...eventBody.extendedProperties?.private, ...stamp }
+        }
+    };
+}
+
+// Read the stamped identifier and record ID back from a Google event
+export function readEventStamp(tenant, event) {
+    const { propertyKey, recordIdPropertyKey } = tenant.alchemy.identifiers;
+    const stamp = event.extendedProperties?.private || {};
+    return { identifier: stamp[propertyKey] || null, recordId: stamp[recordIdPropertyKey] || null };
+}
@@ -0,0 +1,267 @@
+import crypto from "crypto";
+import config from "./config.js";
+import { readJsonFile, createJsonWriter } from "./jsonFile.js";
+import { getTenant, getDefaultTenant } from "./tenants.js";
+import { logger, getCorrelationId, withLogContext } from "./logger.js";
+import { createGauge } from "./metrics.js";
+
+/**
+ * RETRY QUEUE
+ * -----------
+ * Outbound operations that fail with a temporary error (network failure, 408, 429 or 5xx)
+ * are saved here and retried with exponential backoff. Jobs that keep failing, or fail
+ * with a permanent error, are moved to the dead-letter list for an admin to inspect.
+ *
+ * Each job type has a handler registered by the module that owns the operation:
+ *   registerJobHandler("alchemy.updateRecord", (payload, tenant) => ...)
+ *
+ * A job looks like:
+ *   { id, type, tenantId, key, payload, description, status: "pending" | "dead", attempts,
+ *     nextAttemptAt, lastError, correlationId, createdAt, updatedAt }
+ * Retries log under the correlation ID of the request that queued the job.
+ *
+ * The optional key identifies what a job writes (e.g. one ER code on one calendar).
+ * A newer job or a successful direct write for the same key supersedes pending jobs,
+ * so a retry can never overwrite fresher data with a stale payload.
+ */
+
+const {
+  file: QUEUE_FILE,
+  maxAttempts,
+  baseDelaySeconds,
+  maxDelaySeconds,
+  pollIntervalSeconds
+} = config.queue;
+
+const jobs = new Map();
+const handlers = {};
+const writer = createJsonWriter(QUEUE_FILE, "job queue");
+
+let workerTimer = null;
+let processing = false;
+
+// Load previously saved jobs
+try {
+    (readJsonFile(QUEUE_FILE, []) || []).forEach(job => jobs.set(job.id, job));
+    if (jobs.size > 0) {
+        logger.info(`Loaded ${jobs.size} queued jobs from ${QUEUE_FILE}`);
+    }
+} catch (error) {
+    logger.error(`Error loading job queue: ${error.message}`);
+}
+
+// Save jobs to disk
+function saveJobs() {
+    return writer.write([...jobs.values()]);
+}
+
+// Delay before the given attempt number is retried: base * 2^(attempts - 1), capped
+function backoffSeconds(attempts) {
+    return Math.min(baseDelaySeconds * 2 ** (attempts - 1), maxDelaySeconds);
+}
+
+// Delay before a retry: the backoff, or longer if the failed call was rate limited with a Retry-After
+function retryDelaySeconds(attempts, error) {
+    return Math.max(backoffSeconds(attempts), error?.retryAfterSeconds || 0);
+}
+
+// Error codes of connections that were refused, dropped or timed out
+const TRANSPORT_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"];
+
+/**
+ * Whether an error is worth retrying: a network failure (node-fetch's FetchError or AbortError, or a
+ * connection error code), or a 408, 429, 5xx or rate-limit 403 response, which are temporary on the
+ * upstream side. Anything else, such as an unreadable response or a bug, fails right away.
+ */
+export function isRetryableError(error) {
+    if (error.rateLimited) return true;
+    if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+    return error.name === "FetchError" || error.name === "AbortError" || TRANSPORT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Register the function that performs jobs of a type. It receives the job payload and the
+ * tenant the job belongs to, and should throw (with error.status for HTTP failures) when the attempt fails.
+ */
+export function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+// Remove pending jobs with the given key without saving
+function dropPendingJobs(key) {
+    let count = 0;
+    for (const [id, job] of jobs) {
+        if (job.key === key && job.status === "pending") {
+            jobs.delete(id);
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Discard pending jobs for a key, e.g. after the same write succeeded directly
+ */
+export async function supersedeJobs(key) {
+    if (dropPendingJobs(key) > 0) {
+        await saveJobs();
+    }
+}
+
+/**
+ * Persist a failed operation for retry. The failed first try counts as attempt 1.
+ */
+export async function enqueueJob(type, payload, { tenantId, key, description, error } = {}) {
+    if (key) dropPendingJobs(key);
+
+    const now = new Date();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        tenantId: tenantId || null,
+        key: key || null,
+        payload,
+        description: description || type,
+        status: "pending",
+        attempts: 1,
+        nextAttemptAt: new Date(now.getTime() + retryDelaySeconds(1, error) * 1000).toISOString(),
+        lastError: error?.message || null,
+        correlationId: getCorrelationId(),
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    jobs.set(job.id, job);
+    await saveJobs();
+    logger.info(`Queued ${job.description} for retry (job ${job.id})`);
+    return job;
+}
+
+// Run one job and reschedule, dead-letter or drop it
+async function runJob(job) {
+    const handler = handlers[job.type];
+    const now = new Date();
+
+    try {
+        if (!handler) {
+            throw Object.assign(new Error(`No handler registered for job type ${job.type}`), { status: 400 });
+        }
+
+        // Jobs queued before tenants existed belong to the default tenant
+        const tenant = job.tenantId ? getTenant(job.tenantId) : getDefaultTenant();
+        if (!tenant) {
+            throw Object.assign(new Error(`Unknown tenant ${job.tenantId || "(none)"}`), { status: 400 });
+        }
+
+        await withLogContext({ correlationId: job.correlationId || job.id, tenantId: tenant.id }, () => handler(job.payload, tenant));
+        jobs.delete(job.id);
+        logger.info(`Job ${job.id} (${job.description}) succeeded after ${job.attempts + 1} attempts`);
+    } catch (error) {
+        job.attempts++;
+        job.lastError = error.message;
+        job.updatedAt = now.toISOString();
+
+        if (job.attempts >= maxAttempts || !isRetryableError(error)) {
+            job.status = "dead";
+            job.nextAttemptAt = null;
+            logger.error(`Job ${job.id} (${job.description}) moved to dead-letter list: ${error.message}`);
+        } else {
+            job.nextAttemptAt = new Date(now.getTime() + retryDelaySeconds(job.attempts, error) * 1000).toISOString();
+            logger.warn(`Job ${job.id} (${job.description}) failed attempt ${job.attempts}, retrying at ${job.nextAttemptAt}`);
+        }
+    }
+
+    await saveJobs();
+}
+
+/**
+ * Run every pending job whose retry time has come, one at a time
+ */
+export async function processDueJobs() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        const now = Date.now();
+        const due = [...jobs.values()]
+            .filter(job => job.status === "pending" && Date.parse(job.nextAttemptAt) <= now)
+            .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+
+        for (const job of due) {
+            // The job may have been discarded while an earlier one ran
+            if (jobs.get(job.id) === job) {
+                await runJob(job);
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Start polling for due jobs
+ */
+export function startJobWorker() {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(() => {
+        processDueJobs().catch(error => logger.error(`Error processing job queue: ${error.message}`));
+    }, pollIntervalSeconds * 1000);
+    workerTimer.unref();
+}
+
+/**
+ * List jobs, optionally only those with the given status ("pending" or "dead") or tenant
+ */
+export function listJobs({ status, tenantId } = {}) {
+    return [...jobs.values()]
+        .filter(job => !status || job.status === status)
+        .filter(job => !tenantId || job.tenantId === tenantId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Make a job due immediately with a fresh attempt budget (also revives dead jobs)
+ */
+export async function retryJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    job.status = "pending";
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    job.updatedAt = job.nextAttemptAt;
+    await saveJobs();
+
+    processDueJobs().catch(error => logger.error(`Error processing job queue: ${error.message}`));
+    return job;
+}
+
+/**
+ * Drop a job without running it
+ */
+export async function discardJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    jobs.delete(id);
+    await saveJobs();
+    return job;
+}
+
+// Counts by status for /status and /metrics
+export function getQueueStatus() {
+    const all = [...jobs.values()];
+    return {
+        pending: all.filter(job => job.status === "pending").length,
+        dead: all.filter(job => job.status === "dead").length
+    };
+}
+
+// Queue depth for /metrics
+createGauge("job_queue_jobs", "Jobs in the retry queue", () =>
+    Object.entries(getQueueStatus()).map(([status, value]) => ({ labels: { status }, value })));
@@ -0,0 +1,44 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+/**
+ * Read and parse a JSON file, returning fallback when it does not exist
+ */
+export function readJsonFile(file, fallback = null) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Create a writer that saves snapshots of a JSON document to file.
+ * Writes are serialized and swapped in with a rename, so readers never see a partial file
+ * and a slow write can never land after a newer one.
+ */
+export function createJsonWriter(file, label = "data") {
+    let writeChain = Promise.resolve();
+
+    return {
+        write(data) {
+            const snapshot = JSON.stringify(data, null, 2);
+
+            writeChain = writeChain.then(async () => {
+                const tempFile = `${file}.${process.pid}.tmp`;
+                try {
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.writeFile(tempFile, snapshot, 'utf8');
+                    await fs.promises.rename(tempFile, file);
+                } catch (error) {
+                    logger.error(`Error saving ${label}: ${error.message}`);
+                }
+            });
+
+            return writeChain;
+        },
+
+        // Resolves once every pending write has finished
+        flush() {
+            return writeChain;
+        }
+    };
+}
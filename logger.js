@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import config from "./config.js";
+
+/**
+ * LOGGING
+ * -------
+ * One JSON object per line: { time, level, message, correlationId, tenantId, ...fields }.
+ * info and debug go to stdout, warn and error to stderr. LOG_LEVEL drops the levels below it (silent drops all);
+ * with LOG_COLORIZE (the default) lines are coloured by level when the output is a terminal.
+ *
+ * Every request runs in a log context holding its correlation ID (taken from X-Correlation-ID or
+ * X-Request-ID, or generated) and, once selected, its tenant. Work started by the request (Google
+ * and Alchemy calls, watcher syncs, queued retries) logs under the same ID, and outbound calls
+ * send it on as X-Correlation-ID.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const COLORS = { debug: "\x1b[90m", warn: "\x1b[33m", error: "\x1b[31m" };
+const RESET = "\x1b[0m";
+
+export const CORRELATION_HEADER = "X-Correlation-ID";
+const INCOMING_HEADERS = [CORRELATION_HEADER, "X-Request-ID"];
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const minimumLevel = LEVELS[config.logging.level] ?? LEVELS.info;
+const contextStorage = new AsyncLocalStorage();
+
+// Errors are logged as { message, status, stack } instead of {}
+function serialize(value) {
+    if (value instanceof Error) {
+        return { message: value.message, status: value.status, stack: minimumLevel <= LEVELS.debug ? value.stack : undefined };
+    }
+    return value;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minimumLevel) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...contextStorage.getStore(),
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serialize(value)]))
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    const line = JSON.stringify(entry);
+    stream.write(config.logging.colorize && stream.isTTY && COLORS[level] ? `${COLORS[level]}${line}${RESET}\n` : `${line}\n`);
+}
+
+export const logger = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields)
+};
+
+/**
+ * The current context's correlation ID, or null outside a request or job
+ */
+export function getCorrelationId() {
+    return contextStorage.getStore()?.correlationId || null;
+}
+
+/**
+ * Run fn in a log context extending the current one (e.g. a queued job with its original correlation ID)
+ */
+export function withLogContext(values, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...values }, fn);
+}
+
+/**
+ * Add values (e.g. the tenant) to the current log context
+ */
+export function addLogContext(values) {
+    const store = contextStorage.getStore();
+    if (store) Object.assign(store, values);
+}
+
+/**
+ * Headers that pass the correlation ID on to Google and Alchemy
+ */
+export function correlationHeaders() {
+    const correlationId = getCorrelationId();
+    return correlationId ? { [CORRELATION_HEADER]: correlationId } : {};
+}
+
+/**
+ * Express middleware that gives each request a correlation ID (echoed in the response header)
+ * and logs the request once it has been answered
+ */
+export function requestContext(req, res, next) {
+    const incoming = INCOMING_HEADERS.map(header => req.get(header)).find(Boolean);
+    const correlationId = CORRELATION_ID_PATTERN.test(incoming || "") ? incoming : crypto.randomUUID();
+    req.correlationId = correlationId;
+    res.set(CORRELATION_HEADER, correlationId);
+
+    const startedAt = process.hrtime.bigint();
+    contextStorage.run({ correlationId }, () => {
+        res.on("finish", () => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+            write(level, `${req.method} ${req.originalUrl} ${res.statusCode}`, {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                caller: req.caller
+            });
+        });
+        next();
+    });
+}
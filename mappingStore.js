@@ -0,0 +1,382 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import { readJsonFile, createJsonWriter } from "./jsonFile.js";
+import { logger } from "./logger.js";
+
+/**
+ * MAPPING STORE
+ * -------------
+ * Keeps the relationship between ER codes and Google Calendar events.
+ * Mappings are keyed by (calendarId, erCode), so one ER code can be tracked on several calendars.
+ * Each tenant has its own store, configured by its storage settings.
+ *
+ * Every backend exposes the same async interface:
+ *   get(calendarId, erCode), findByEventId(eventId, calendarId?), list({ calendarId, erCode, recordId }),
+ *   upsert(calendarId, erCode, changes), remove(calendarId, erCode), clear({ calendarId }), close()
+ *
+ * A mapping record looks like:
+ *   { calendarId, erCode, eventId, recordId, etag, recurrence, syncState, syncConflict,
+ *     lastSyncedToGoogleAt, lastSyncedToAlchemyAt, createdAt, updatedAt }
+ * recurrence is null for single events; for a recurring series it holds the rule and the
+ * occurrences changed in Google (see recurrence.js). syncState holds the values last synced and
+ * the side they came from (see syncState.js). syncConflict is set while concurrent edits wait for
+ * an admin to resolve them (see syncConflicts.js).
+ */
+
+const MAPPING_FIELDS = [
+    "eventId",
+    "recordId",
+    "etag",
+    "recurrence",
+    "syncState",
+    "syncConflict",
+    "lastSyncedToGoogleAt",
+    "lastSyncedToAlchemyAt"
+];
+
+// Key used by the JSON backend
+function mappingKey(calendarId, erCode) {
+    return `${calendarId}|${erCode}`;
+}
+
+// Whether a mapping passes a list()/clear() filter
+function matchesFilter(mapping, { calendarId, erCode, recordId } = {}) {
+    return (!calendarId || mapping.calendarId === calendarId)
+        && (!erCode || mapping.erCode === erCode)
+        && (!recordId || String(mapping.recordId) === String(recordId));
+}
+
+// Build a full mapping record from an existing one plus changes (undefined values keep the existing field)
+function mergeMapping(calendarId, erCode, existing, changes) {
+    const now = new Date().toISOString();
+    const merged = { calendarId, erCode, createdAt: existing?.createdAt || now, updatedAt: now };
+
+    for (const field of MAPPING_FIELDS) {
+        const value = changes[field] !== undefined ? changes[field] : existing?.[field];
+        merged[field] = value === undefined ? null : value;
+    }
+
+    return merged;
+}
+
+// Convert parsed file contents to mapping records. Accepts the legacy { "ER15": "eventId" } format and the
+// per-ER-code format, which predate calendar keys; those mappings are assigned to defaultCalendarId.
+function parseMappingFile(parsed, defaultCalendarId = config.google.defaultCalendarId) {
+    if (parsed.version === 3) {
+        return parsed.mappings;
+    }
+
+    const entries = parsed.version === 2 ? parsed.mappings : parsed;
+    return Object.entries(entries || {}).map(([erCode, value]) => {
+        if (typeof value === "string") {
+            return mergeMapping(defaultCalendarId, erCode, null, { eventId: value });
+        }
+        const mapping = mergeMapping(value.calendarId || defaultCalendarId, erCode, value, {});
+        return { ...mapping, updatedAt: value.updatedAt || mapping.updatedAt };
+    });
+}
+
+/**
+ * JSON file backend - the whole map lives in memory and every change rewrites the file atomically
+ */
+function createJsonStore(file, defaultCalendarId) {
+    const mappings = new Map();
+    const writer = createJsonWriter(file, "mappings");
+
+    try {
+        const data = readJsonFile(file);
+        if (data) {
+            parseMappingFile(data, defaultCalendarId).forEach(mapping => mappings.set(mappingKey(mapping.calendarId, mapping.erCode), mapping));
+            logger.info(`Loaded ${mappings.size} event mappings from ${file}`);
+        }
+    } catch (error) {
+        logger.error(`Error loading mappings: ${error.message}`);
+    }
+
+    function persist() {
+        return writer.write({ version: 3, mappings: [...mappings.values()] });
+    }
+
+    return {
+        backend: "json",
+        location: file,
+
+        async get(calendarId, erCode) {
+            return mappings.get(mappingKey(calendarId, erCode)) || null;
+        },
+
+        async findByEventId(eventId, calendarId) {
+            for (const mapping of mappings.values()) {
+                if (mapping.eventId === eventId && matchesFilter(mapping, { calendarId })) return mapping;
+            }
+            return null;
+        },
+
+        async list(filter) {
+            return [...mappings.values()].filter(mapping => matchesFilter(mapping, filter));
+        },
+
+        async upsert(calendarId, erCode, changes) {
+            const key = mappingKey(calendarId, erCode);
+            const mapping = mergeMapping(calendarId, erCode, mappings.get(key), changes);
+            mappings.set(key, mapping);
+            await persist();
+            return mapping;
+        },
+
+        async remove(calendarId, erCode) {
+            const key = mappingKey(calendarId, erCode);
+            const mapping = mappings.get(key) || null;
+            if (mapping) {
+                mappings.delete(key);
+                await persist();
+            }
+            return mapping;
+        },
+
+        async clear(filter) {
+            let count = 0;
+            for (const [key, mapping] of mappings) {
+                if (matchesFilter(mapping, filter)) {
+                    mappings.delete(key);
+                    count++;
+                }
+            }
+            await persist();
+            return count;
+        },
+
+        async close() {
+            await writer.flush();
+        }
+    };
+}
+
+/**
+ * SQLite backend - one row per (calendar, ER code), written through better-sqlite3
+ */
+async function createSqliteStore(file, defaultCalendarId) {
+    let Database;
+    try {
+        ({ default: Database } = await import("better-sqlite3"));
+    } catch (error) {
+        throw new Error(`SQLite mapping store requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+
+    // The first schema keyed rows by ER code alone; rebuild it with the calendar in the key
+    if (db.pragma("user_version", { simple: true }) < 2) {
+        db.transaction(() => {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS event_mappings (er_code TEXT PRIMARY KEY);
+                ALTER TABLE event_mappings RENAME TO event_mappings_v1;
+                DROP INDEX IF EXISTS event_mappings_event_id;
+                CREATE TABLE event_mappings (
+                    calendar_id TEXT NOT NULL,
+                    er_code TEXT NOT NULL,
+                    event_id TEXT,
+                    record_id TEXT,
+                    etag TEXT,
+                    last_synced_to_google_at TEXT,
+                    last_synced_to_alchemy_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    PRIMARY KEY (calendar_id, er_code)
+                );
+                CREATE INDEX event_mappings_event_id ON event_mappings (event_id);
+            `);
+            const legacyColumns = db.prepare("PRAGMA table_info(event_mappings_v1)").all().map(column => column.name);
+            if (legacyColumns.includes("event_id")) {
+                db.prepare(`
+                    INSERT INTO event_mappings
+                    SELECT COALESCE(calendar_id, ?), er_code, event_id, record_id, etag,
+                        last_synced_to_google_at, last_synced_to_alchemy_at, created_at, updated_at
+                    FROM event_mappings_v1
+                `).run(defaultCalendarId);
+            }
+            db.exec("DROP TABLE event_mappings_v1");
+            db.pragma("user_version = 2");
+        })();
+    }
+
+    // Recurring series keep their rule and exceptions as JSON
+    if (db.pragma("user_version", { simple: true }) < 3) {
+        db.transaction(() => {
+            db.exec("ALTER TABLE event_mappings ADD COLUMN recurrence TEXT");
+            db.pragma("user_version = 3");
+        })();
+    }
+
+    // The last synced values, for echo suppression, are kept as JSON
+    if (db.pragma("user_version", { simple: true }) < 4) {
+        db.transaction(() => {
+            db.exec("ALTER TABLE event_mappings ADD COLUMN sync_state TEXT");
+            db.pragma("user_version = 4");
+        })();
+    }
+
+    // Conflicts flagged for review, likewise
+    if (db.pragma("user_version", { simple: true }) < 5) {
+        db.transaction(() => {
+            db.exec("ALTER TABLE event_mappings ADD COLUMN sync_conflict TEXT");
+            db.pragma("user_version = 5");
+        })();
+    }
+
+    const toMapping = row => row && {
+        calendarId: row.calendar_id,
+        erCode: row.er_code,
+        eventId: row.event_id,
+        recordId: row.record_id,
+        etag: row.etag,
+        recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+        syncState: row.sync_state ? JSON.parse(row.sync_state) : null,
+        syncConflict: row.sync_conflict ? JSON.parse(row.sync_conflict) : null,
+        lastSyncedToGoogleAt: row.last_synced_to_google_at,
+        lastSyncedToAlchemyAt: row.last_synced_to_alchemy_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+
+    // Optional filters are passed as NULL, which matches every row
+    const FILTER = "(@calendarId IS NULL OR calendar_id = @calendarId) AND (@erCode IS NULL OR er_code = @erCode) AND (@recordId IS NULL OR record_id = @recordId)";
+    const filterParams = ({ calendarId, erCode, recordId } = {}) => ({
+        calendarId: calendarId || null,
+        erCode: erCode || null,
+        recordId: recordId ? String(recordId) : null
+    });
+
+    const statements = {
+        get: db.prepare("SELECT * FROM event_mappings WHERE calendar_id = ? AND er_code = ?"),
+        findByEventId: db.prepare("SELECT * FROM event_mappings WHERE event_id = @eventId AND (@calendarId IS NULL OR calendar_id = @calendarId)"),
+        list: db.prepare(`SELECT * FROM event_mappings WHERE ${FILTER} ORDER BY calendar_id, er_code`),
+        upsert: db.prepare(`
+            INSERT INTO event_mappings (calendar_id, er_code, event_id, record_id, etag, recurrence, sync_state, sync_conflict,
+                last_synced_to_google_at, last_synced_to_alchemy_at, created_at, updated_at)
+            VALUES (@calendarId, @erCode, @eventId, @recordId, @etag, @recurrence, @syncState, @syncConflict,
+                @lastSyncedToGoogleAt, @lastSyncedToAlchemyAt, @createdAt, @updatedAt)
+            ON CONFLICT (calendar_id, er_code) DO UPDATE SET
+                event_id = excluded.event_id,
+                record_id = excluded.record_id,
+                etag = excluded.etag,
+                recurrence = excluded.recurrence,
+                sync_state = excluded.sync_state,
+                sync_conflict = excluded.sync_conflict,
+                last_synced_to_google_at = excluded.last_synced_to_google_at,
+                last_synced_to_alchemy_at = excluded.last_synced_to_alchemy_at,
+                updated_at = excluded.updated_at
+        `),
+        remove: db.prepare("DELETE FROM event_mappings WHERE calendar_id = ? AND er_code = ?"),
+        clear: db.prepare(`DELETE FROM event_mappings WHERE ${FILTER}`)
+    };
+
+    // Read-modify-write in one transaction so concurrent upserts cannot drop each other's fields
+    const upsert = db.transaction((calendarId, erCode, changes) => {
+        const mapping = mergeMapping(calendarId, erCode, toMapping(statements.get.get(calendarId, erCode)), changes);
+        statements.upsert.run({
+            ...mapping,
+            recurrence: mapping.recurrence && JSON.stringify(mapping.recurrence),
+            syncState: mapping.syncState && JSON.stringify(mapping.syncState),
+            syncConflict: mapping.syncConflict && JSON.stringify(mapping.syncConflict)
+        });
+        return mapping;
+    });
+
+    return {
+        backend: "sqlite",
+        location: file,
+
+        async get(calendarId, erCode) {
+            return toMapping(statements.get.get(calendarId, erCode)) || null;
+        },
+
+        async findByEventId(eventId, calendarId) {
+            return toMapping(statements.findByEventId.get({ eventId, calendarId: calendarId || null })) || null;
+        },
+
+        async list(filter) {
+            return statements.list.all(filterParams(filter)).map(toMapping);
+        },
+
+        async upsert(calendarId, erCode, changes) {
+            return upsert(calendarId, erCode, changes);
+        },
+
+        async remove(calendarId, erCode) {
+            const mapping = toMapping(statements.get.get(calendarId, erCode)) || null;
+            if (mapping) statements.remove.run(calendarId, erCode);
+            return mapping;
+        },
+
+        async clear(filter) {
+            return statements.clear.run(filterParams(filter)).changes;
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+/**
+ * Create a mapping store for the given storage configuration. Mappings saved before calendars
+ * were part of the key are assigned to defaultCalendarId.
+ */
+export async function createMappingStore(options = config.storage, defaultCalendarId = config.google.defaultCalendarId) {
+    switch (options.backend) {
+        case "json":
+            return createJsonStore(options.jsonFile, defaultCalendarId);
+        case "sqlite":
+            return createSqliteStore(options.sqliteFile, defaultCalendarId);
+        default:
+            throw new Error(`Unknown mapping store backend: ${options.backend}`);
+    }
+}
+
+/**
+ * Import mappings from a JSON tracking file (legacy or current format) into a store.
+ * Mappings without a calendar are assigned to defaultCalendarId; existing mappings with the same key are overwritten.
+ */
+export async function importJsonMappings(store, file, defaultCalendarId = config.google.defaultCalendarId) {
+    const mappings = parseMappingFile(readJsonFile(file), defaultCalendarId);
+
+    for (const mapping of mappings) {
+        const { calendarId, erCode, createdAt, updatedAt, ...fields } = mapping;
+        await store.upsert(calendarId, erCode, fields);
+    }
+
+    return mappings.length;
+}
+
+// Stores per tenant ID
+const tenantStores = new Map();
+
+/**
+ * The tenant's store, shared by the routes. On first use the SQLite backend imports the
+ * tenant's JSON tracking file if its own table is still empty. A store that fails to open is
+ * not kept, so the next call tries again.
+ */
+export function getMappingStore(tenant) {
+    if (!tenantStores.has(tenant.id)) {
+        const { storage, google: { defaultCalendarId } } = tenant;
+        const opening = createMappingStore(storage, defaultCalendarId).then(async store => {
+            const { backend, jsonFile } = storage;
+            if (backend !== "json" && fs.existsSync(jsonFile) && (await store.list()).length === 0) {
+                const count = await importJsonMappings(store, jsonFile, defaultCalendarId);
+                logger.info(`Imported ${count} mappings from ${jsonFile} into the ${backend} store for tenant ${tenant.id}`);
+            }
+            logger.info(`Using ${store.backend} mapping store for tenant ${tenant.id} at: ${store.location}`);
+            return store;
+        });
+        opening.catch(error => {
+            logger.error(`Error opening the mapping store for tenant ${tenant.id}: ${error.message}`);
+            if (tenantStores.get(tenant.id) === opening) tenantStores.delete(tenant.id);
+        });
+        tenantStores.set(tenant.id, opening);
+    }
+    return tenantStores.get(tenant.id);
+}
@@ -0,0 +1,167 @@
+/**
+ * METRICS
+ * -------
+ * Counters, histograms and gauges served at GET /metrics in the Prometheus text format:
+ *   http_requests_total{method, route, status}                            requests answered
+ *   upstream_request_duration_seconds{upstream, operation, status}        Google and Alchemy call latency
+ *   sync_operations_total{tenant, source, target, action}                 sync outcomes, as in the audit trail
+ *   token_refresh_failures_total{tenant, provider}                        failed Google/Alchemy token refreshes
+ *   job_queue_jobs{status}                                                jobs waiting in the retry queue
+ *   upstream_rate_limited_total{upstream, operation, retried}             429 / rateLimitExceeded responses
+ *   upstream_calls{state}                                                 outbound calls active or waiting for a slot
+ *
+ * Metrics live in memory and start from zero when the process starts.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric by name, in registration order
+const metrics = new Map();
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+}
+
+// Series key: the label values in the metric's label order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? null));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? null]));
+}
+
+function register(metric) {
+    if (metrics.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+}
+
+/**
+ * A counter: inc(labels, amount = 1)
+ */
+export function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+        name,
+        help,
+        type: "counter",
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+            current.value += amount;
+            series.set(key, current);
+        },
+        lines() {
+            return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    });
+}
+
+/**
+ * A histogram: observe(labels, value)
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register({
+        name,
+        help,
+        type: "histogram",
+        observe(labels = {}, value) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) current.counts[index]++;
+            });
+            current.sum += value;
+            current.count++;
+            series.set(key, current);
+        },
+        lines() {
+            return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            ]);
+        }
+    });
+}
+
+/**
+ * A gauge read when metrics are scraped: collect() returns [{ labels, value }]
+ */
+export function createGauge(name, help, collect) {
+    return register({
+        name,
+        help,
+        type: "gauge",
+        lines() {
+            return collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    });
+}
+
+export const httpRequests = createCounter("http_requests_total", "HTTP requests answered", ["method", "route", "status"]);
+export const upstreamDuration = createHistogram(
+    "upstream_request_duration_seconds",
+    "Duration of calls to Google and Alchemy",
+    ["upstream", "operation", "status"]
+);
+export const syncOperations = createCounter("sync_operations_total", "Sync actions by outcome", ["tenant", "source", "target", "action"]);
+export const tokenRefreshFailures = createCounter("token_refresh_failures_total", "Failed access token refreshes", ["tenant", "provider"]);
+
+/**
+ * Time a call to Google or Alchemy. request() must return a fetch Response; network errors are
+ * recorded with status "error".
+ */
+export async function timeUpstream(upstream, operation, request) {
+    const startedAt = process.hrtime.bigint();
+    const observe = status => upstreamDuration.observe({ upstream, operation, status }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    try {
+        const response = await request();
+        observe(response.status);
+        return response;
+    } catch (error) {
+        observe("error");
+        throw error;
+    }
+}
+
+// Route pattern of an answered request; unmatched paths share one label so they cannot inflate the series
+function routeLabel(req) {
+    if (!req.route) return "unmatched";
+    const base = req.baseUrl.replace(/^\/tenants\/[^/]+/, "/tenants/:tenantId");
+    return `${base}${req.route.path === "/" && base ? "" : req.route.path}`;
+}
+
+/**
+ * Express middleware that counts answered requests
+ */
+export function requestMetrics(req, res, next) {
+    res.on("finish", () => {
+        httpRequests.inc({ method: req.method, route: routeLabel(req), status: res.statusCode });
+    });
+    next();
+}
+
+/**
+ * Every metric in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+    const lines = [...metrics.values()].flatMap(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+    ]);
+    return `${lines.join("\n")}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
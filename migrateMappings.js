@@ -0,0 +1,51 @@
+import fs from "fs";
+import { createMappingStore, importJsonMappings } from "./mappingStore.js";
+import { getTenant, getDefaultTenant } from "./tenants.js";
+
+/**
+ * MAPPING MIGRATION
+ * -----------------
+ * Imports JSON tracking files (the legacy { "ER15": "eventId" } format or the
+ * current format) into a tenant's mapping store (MAPPING_STORE for a single-tenant deployment).
+ *
+ * Usage: npm run migrate-mappings -- [--tenant <id>] [file ...]
+ * Without --tenant the default tenant is used. With no files, the tenant's JSON tracking file is imported.
+ */
+
+const args = process.argv.slice(2);
+const tenantFlag = args.indexOf("--tenant");
+const tenantId = tenantFlag >= 0 ? args.splice(tenantFlag, 2)[1] : null;
+
+const tenant = tenantId ? getTenant(tenantId) : getDefaultTenant();
+if (!tenant) {
+  console.error(tenantId ? `Unknown tenant: ${tenantId}` : "Several tenants are configured - choose one with --tenant <id>");
+  process.exit(1);
+}
+
+const files = args;
+if (files.length === 0) {
+  files.push(tenant.storage.jsonFile);
+}
+
+const { defaultCalendarId } = tenant.google;
+const store = await createMappingStore(tenant.storage, defaultCalendarId);
+console.log(`Migrating into ${store.backend} mapping store for tenant ${tenant.id} at: ${store.location}`);
+
+let failed = false;
+for (const file of files) {
+  if (!fs.existsSync(file)) {
+    console.warn(`⚠️ Skipping missing file: ${file}`);
+    continue;
+  }
+
+  try {
+    const count = await importJsonMappings(store, file, defaultCalendarId);
+    console.log(`✓ Imported ${count} mappings from ${file}`);
+  } catch (error) {
+    console.error(`Error importing ${file}: ${error.message}`);
+    failed = true;
+  }
+}
+
+await store.close();
+process.exit(failed ? 1 : 0);
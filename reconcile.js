@@ -0,0 +1,60 @@
+import { getTenant, getDefaultTenant } from "./tenants.js";
+import { reconcileCalendar } from "./reconciliation.js";
+import { getMappingStore } from "./mappingStore.js";
+
+/**
+ * RECONCILIATION COMMAND
+ * ----------------------
+ * Compares a calendar with the Alchemy records in a time window and prints the report
+ * (see reconciliation.js). Nothing is changed unless --apply is given.
+ *
+ * Usage: npm run reconcile -- --from <ISO date> --to <ISO date> [--tenant <id>] [--calendar <id>]
+ *                             [--apply] [--source-of-truth alchemy|google]
+ * Without --tenant the default tenant is used; without --calendar, the tenant's default calendar.
+ */
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const tenantId = option("--tenant");
+const tenant = tenantId ? getTenant(tenantId) : getDefaultTenant();
+if (!tenant) {
+  console.error(tenantId ? `Unknown tenant: ${tenantId}` : "Several tenants are configured - choose one with --tenant <id>");
+  process.exit(1);
+}
+
+const timeMin = option("--from");
+const timeMax = option("--to");
+if (!timeMin || !timeMax) {
+  console.error("Usage: npm run reconcile -- --from <ISO date> --to <ISO date> [--tenant <id>] [--calendar <id>] [--apply] [--source-of-truth alchemy|google]");
+  process.exit(1);
+}
+
+const sourceOfTruth = option("--source-of-truth");
+if (sourceOfTruth && !["alchemy", "google"].includes(sourceOfTruth)) {
+  console.error("--source-of-truth must be 'alchemy' or 'google'");
+  process.exit(1);
+}
+
+let failed = false;
+try {
+  const report = await reconcileCalendar(tenant, {
+    calendarId: option("--calendar"),
+    timeMin: new Date(timeMin).toISOString(),
+    timeMax: new Date(timeMax).toISOString(),
+    apply: args.includes("--apply"),
+    sourceOfTruth
+  });
+  console.log(JSON.stringify(report, null, 2));
+  failed = [report.orphanedEvents, report.missingEvents, report.timeMismatches, report.notOnCalendar]
+    .flat().some(item => item.fix && !item.fix.success);
+} catch (error) {
+  console.error(`Reconciliation failed: ${error.message}`);
+  failed = true;
+}
+
+await (await getMappingStore(tenant)).close();
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,282 @@
+import express from "express";
+import { DateTime } from "luxon";
+import { listEventsInRange } from "./googleClient.js";
+import { getMappingStore } from "./mappingStore.js";
+import { buildEventBody, syncEventToCalendar, cancelEvent, checkEventExists, resolveCalendarIds } from "./googleMiddleware.js";
+import { searchAlchemyRecords, updateAlchemyRecordOrQueue, buildEventFields, buildStatusFields } from "./alchemyMiddleware.js";
+import { matchIdentifier, readEventStamp } from "./identifiers.js";
+import { requireAdmin } from "./auth.js";
+import { validateRequest } from "./validation.js";
+import { logger } from "./logger.js";
+import { recordAudit, auditTimes } from "./audit.js";
+
+const router = express.Router();
+
+/**
+ * RECONCILIATION
+ * --------------
+ * Compares one calendar with the Alchemy records booked in a time window and reports:
+ *   orphanedEvents   - synced events (mapped or stamped) whose record is not in Alchemy's results
+ *   missingEvents    - mappings whose Google event was deleted or cancelled
+ *   timeMismatches   - record and event both exist but their start/end differ
+ *   notOnCalendar    - records that have no event on the calendar
+ * Records that cannot be turned into an event (no identifier, bad dates) are listed under skippedRecords.
+ *
+ * A dry run only reports. With apply, each difference is fixed in favour of the source of truth
+ * (the tenant's reconcile.sourceOfTruth unless the request names one):
+ *                    alchemy wins                      google wins
+ *   orphanedEvents   cancel the event                  left alone (no record to write to)
+ *   missingEvents    recreate the event (or drop the   drop the mapping, mark the record cancelled
+ *                    mapping if the record is gone)
+ *   timeMismatches   move the event                    write the event's times to the record
+ *   notOnCalendar    create the event                  mark the record cancelled if it says "pushed"
+ *
+ * The Alchemy search must return every record that may be on the calendar in the window; an event
+ * whose record is missing from the results counts as orphaned.
+ */
+
+// Same start/end, whatever the offset or precision; an all-day date never equals a date-time
+function sameTime(a, b) {
+    if (!!a?.date !== !!b?.date) return false;
+    if (a?.date) return a.date === b.date;
+    return DateTime.fromISO(a?.dateTime).toMillis() === DateTime.fromISO(b?.dateTime).toMillis();
+}
+
+// A start/end for the report: the date-time, or the date of an all-day event
+function timeValue(time) {
+    return time?.dateTime || time?.date || null;
+}
+
+function describeEvent(event) {
+    return { eventId: event.id, summary: event.summary || null, start: event.start, end: event.end };
+}
+
+// Run one fix and record its outcome on the item
+async function applyFix(item, action, fix) {
+    try {
+        const result = await fix();
+        item.fix = { action, success: result?.success !== false, ...result };
+    } catch (error) {
+        logger.error(`Reconciliation fix ${action} failed for ${item.identifier}: ${error.message}`);
+        item.fix = { action, success: false, error: error.message };
+    }
+}
+
+// Outcome of an Alchemy update for a fix report. event is the Google event whose times are written,
+// or null when the record is cancelled.
+async function writeToAlchemy(tenant, calendarId, item, fields, event = null) {
+    const { identifier: erCode, recordId } = item;
+    if (!recordId) {
+        return { success: false, error: "No Alchemy record ID known" };
+    }
+    const { data, ...outcome } = await updateAlchemyRecordOrQueue(tenant, { recordId, fields });
+    await recordAudit(tenant, {
+        action: outcome.updated ? (event ? "updated" : "cancelled") : "failed",
+        source: "reconciliation", target: "alchemy", erCode, calendarId, eventId: event?.id, recordId,
+        after: auditTimes(event), error: outcome.error, queued: outcome.queued, jobId: outcome.jobId
+    });
+    return { success: outcome.updated || outcome.queued, recordId, ...outcome };
+}
+
+/**
+ * Compare a calendar with Alchemy over [timeMin, timeMax) and, with apply, fix the differences.
+ * Resolves to the report described above.
+ */
+export async function reconcileCalendar(tenant, { calendarId, timeMin, timeMax, apply = false, sourceOfTruth } = {}) {
+    calendarId = calendarId || tenant.google.defaultCalendarId;
+    sourceOfTruth = sourceOfTruth || tenant.reconcile.sourceOfTruth;
+    logger.info(`Reconciling calendar ${calendarId} for tenant ${tenant.id} (${timeMin} - ${timeMax}, ${apply ? `apply, ${sourceOfTruth} wins` : "dry run"})`);
+
+    const store = await getMappingStore(tenant);
+    const [events, records, mappings] = await Promise.all([
+        listEventsInRange(tenant, calendarId, timeMin, timeMax),
+        searchAlchemyRecords(tenant, { timeMin, timeMax, calendarId }),
+        store.list({ calendarId })
+    ]);
+
+    // Expected events, keyed by identifier; records meant for other calendars are ignored
+    const expected = new Map();
+    const skippedRecords = [];
+    for (const record of records) {
+        if (!resolveCalendarIds(tenant, record).includes(calendarId)) continue;
+
+        const { erCode, recordId, eventBody, instanceRecordIds, error } = buildEventBody(tenant, record);
+        if (error) {
+            skippedRecords.push({ recordId: record.recordId ?? null, identifier: erCode || null, code: error.code, error: error.error });
+        } else {
+            expected.set(erCode, { recordId, eventBody, instanceRecordIds, record });
+        }
+    }
+
+    // Google events by identifier: mapped events first, then stamped or pattern-matched ones.
+    // Recurring series are compared as a whole: occurrences of a mapped series are skipped (the series
+    // is looked up below), and an unmapped one stands for its series.
+    const mappingsByEventId = new Map(mappings.map(mapping => [mapping.eventId, mapping]));
+    const actual = new Map();
+    for (const occurrence of events) {
+        if (mappingsByEventId.has(occurrence.recurringEventId)) continue;
+        const event = occurrence.recurringEventId ? { ...occurrence, id: occurrence.recurringEventId } : occurrence;
+        const identifier = mappingsByEventId.get(event.id)?.erCode
+            || readEventStamp(tenant, event).identifier
+            || matchIdentifier(tenant, event.summary);
+        if (identifier && !actual.has(identifier)) {
+            actual.set(identifier, event);
+        }
+    }
+
+    // Mapped events not found in the window are looked up one by one: gone, or moved out of the window
+    const missingEvents = [];
+    for (const mapping of mappings) {
+        if (actual.get(mapping.erCode)?.id === mapping.eventId) continue;
+
+        const check = await checkEventExists(tenant, calendarId, mapping.eventId);
+        if (check.exists) {
+            if (expected.has(mapping.erCode) && !actual.has(mapping.erCode)) {
+                actual.set(mapping.erCode, check.data);
+            }
+        } else if (check.reason === "not_found" || check.reason === "cancelled") {
+            missingEvents.push({
+                identifier: mapping.erCode,
+                eventId: mapping.eventId,
+                recordId: mapping.recordId || expected.get(mapping.erCode)?.recordId || null,
+                reason: check.reason,
+                recordFound: expected.has(mapping.erCode)
+            });
+        }
+    }
+    const missingIdentifiers = new Set(missingEvents.map(item => item.identifier));
+
+    // Only events this service wrote count as orphaned; an unstamped event that merely matches an
+    // identifier pattern may be someone's own booking
+    const orphanedEvents = [...actual]
+        .filter(([identifier, event]) => !expected.has(identifier)
+            && (mappingsByEventId.has(event.id) || readEventStamp(tenant, event).identifier))
+        .map(([identifier, event]) => ({ identifier, recordId: readEventStamp(tenant, event).recordId, ...describeEvent(event) }));
+
+    const timeMismatches = [];
+    const notOnCalendar = [];
+    for (const [identifier, { recordId, eventBody, record }] of expected) {
+        const event = actual.get(identifier);
+        if (!event) {
+            if (!missingIdentifiers.has(identifier)) {
+                notOnCalendar.push({ identifier, recordId, start: eventBody.start, end: eventBody.end, status: record[tenant.alchemy.fields.statusField] ?? null });
+            }
+            continue;
+        }
+        if (!sameTime(event.start, eventBody.start) || !sameTime(event.end, eventBody.end)) {
+            timeMismatches.push({
+                identifier,
+                recordId,
+                eventId: event.id,
+                alchemy: { start: timeValue(eventBody.start), end: timeValue(eventBody.end) },
+                google: { start: timeValue(event.start), end: timeValue(event.end) }
+            });
+        }
+    }
+
+    if (apply) {
+        const alchemyWins = sourceOfTruth === "alchemy";
+        const sync = (identifier) => {
+            const { recordId, eventBody, instanceRecordIds } = expected.get(identifier);
+            return syncEventToCalendar(tenant, calendarId, identifier, recordId, eventBody, { instanceRecordIds, source: "reconciliation" })
+                .then(({ action, event }) => ({ result: action, eventId: event.id }))
+                .catch(async error => {
+                    await recordAudit(tenant, {
+                        action: "failed", source: "reconciliation", target: "google", erCode: identifier, calendarId, recordId,
+                        after: auditTimes(eventBody), error: error.message
+                    });
+                    throw error;
+                });
+        };
+
+        for (const item of orphanedEvents) {
+            if (!alchemyWins) {
+                item.fix = { action: "none", success: true, reason: "No Alchemy record to update" };
+                continue;
+            }
+            await applyFix(item, "cancelEvent", async () => {
+                await cancelEvent(tenant, calendarId, item.eventId);
+                if (mappingsByEventId.has(item.eventId)) await store.remove(calendarId, item.identifier);
+                await recordAudit(tenant, {
+                    action: "cancelled", source: "reconciliation", target: "google", erCode: item.identifier, calendarId,
+                    eventId: item.eventId, recordId: item.recordId, before: { start: timeValue(item.start), end: timeValue(item.end) }
+                });
+            });
+        }
+
+        for (const item of missingEvents) {
+            if (alchemyWins && item.recordFound) {
+                await applyFix(item, "recreateEvent", () => sync(item.identifier));
+            } else {
+                await applyFix(item, "removeMapping", async () => {
+                    await store.remove(calendarId, item.identifier);
+                    if (alchemyWins) return;
+                    const alchemy = await writeToAlchemy(tenant, calendarId, item, buildStatusFields(tenant));
+                    return { success: alchemy.success, alchemy };
+                });
+            }
+        }
+
+        for (const item of timeMismatches) {
+            if (alchemyWins) {
+                await applyFix(item, "updateEvent", () => sync(item.identifier));
+            } else {
+                const event = actual.get(item.identifier);
+                await applyFix(item, "updateRecord", () => writeToAlchemy(tenant, calendarId, item, buildEventFields(tenant, event), event));
+            }
+        }
+
+        for (const item of notOnCalendar) {
+            if (alchemyWins) {
+                await applyFix(item, "createEvent", () => sync(item.identifier));
+            } else if (item.status === tenant.alchemy.eventStatuses.pushed) {
+                await applyFix(item, "cancelRecord", () => writeToAlchemy(tenant, calendarId, item, buildStatusFields(tenant)));
+            } else {
+                item.fix = { action: "none", success: true, reason: "Record was never pushed to the calendar" };
+            }
+        }
+    }
+
+    const report = {
+        tenant: tenant.id,
+        calendarId,
+        timeMin,
+        timeMax,
+        dryRun: !apply,
+        sourceOfTruth,
+        counts: {
+            events: events.length,
+            records: expected.size,
+            orphanedEvents: orphanedEvents.length,
+            missingEvents: missingEvents.length,
+            timeMismatches: timeMismatches.length,
+            notOnCalendar: notOnCalendar.length,
+            skippedRecords: skippedRecords.length
+        },
+        orphanedEvents,
+        missingEvents,
+        timeMismatches,
+        notOnCalendar,
+        skippedRecords
+    };
+
+    const { counts } = report;
+    logger.info(`Reconciliation of ${calendarId}: ${counts.orphanedEvents} orphaned, ${counts.missingEvents} missing, ${counts.timeMismatches} mismatched, ${counts.notOnCalendar} not on calendar`);
+    return report;
+}
+
+// Compare a calendar with Alchemy; { "apply": true } fixes the differences
+router.post("/reconcile", requireAdmin, validateRequest("reconcile"), async (req, res) => {
+    try {
+        const { calendarId, timeMin, timeMax, apply, sourceOfTruth } = req.body;
+        const report = await reconcileCalendar(req.tenant, { calendarId, timeMin, timeMax, apply, sourceOfTruth });
+        const failed = [report.orphanedEvents, report.missingEvents, report.timeMismatches, report.notOnCalendar]
+            .flat().some(item => item.fix && !item.fix.success);
+        return res.status(failed ? 207 : 200).json(report);
+    } catch (error) {
+        logger.error(`Reconciliation failed: ${error.message}`);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
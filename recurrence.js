@@ -0,0 +1,264 @@
+import { DateTime } from "luxon";
+import { listInstances } from "./googleClient.js";
+
+/**
+ * RECURRING EVENTS
+ * ----------------
+ * A create-event request with a recurrence rule becomes one recurring Google event (a series).
+ * The rule is an RRULE ("FREQ=WEEKLY;BYDAY=MO;COUNT=10", with or without the "RRULE:" prefix) or a
+ * list of Google recurrence lines (RRULE, EXRULE, RDATE, EXDATE).
+ *
+ * Occurrences moved or cancelled in Google come back from the watcher as exceptions of the series.
+ * Each one is written to Alchemy on its own:
+ *   - to its child record, when the request listed instanceRecordIds (one record per occurrence, in order)
+ *   - otherwise to row <n> of the series' record, n being the occurrence's position in the series (0-based)
+ *
+ * The series' mapping keeps the rule and the exceptions seen so far:
+ *   recurrence: { rules, instanceRecordIds, exceptions: { [originalStart]: { eventId, status, row, recordId, start, end, updatedAt } } }
+ */
+
+const RULE_FREQUENCIES = ["SECONDLY", "MINUTELY", "HOURLY", "DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// Check the parts of an RRULE/EXRULE value; returns an error message or null
+function checkRule(rule) {
+    const parts = rule.split(";").filter(Boolean);
+    if (parts.some(part => !/^[A-Z]+=[^=]+$/.test(part))) {
+        return `"${rule}" is not a list of KEY=VALUE parts`;
+    }
+
+    const values = Object.fromEntries(parts.map(part => part.split("=")));
+    if (!RULE_FREQUENCIES.includes(values.FREQ)) {
+        return `"${rule}" needs FREQ set to one of ${RULE_FREQUENCIES.join(", ")}`;
+    }
+    if (values.COUNT && values.UNTIL) {
+        return `"${rule}" cannot set both COUNT and UNTIL`;
+    }
+    return null;
+}
+
+/**
+ * Turn a request's recurrence value (a rule string or a list of lines) into Google recurrence lines.
+ * Returns { rules }, { rules: null } when no recurrence was sent, or { error }.
+ */
+export function normalizeRecurrence(value) {
+    if (value === undefined || value === null || value === "") {
+        return { rules: null };
+    }
+
+    const lines = (Array.isArray(value) ? value : String(value).split(/\r?\n/))
+        .map(line => String(line).trim())
+        .filter(Boolean);
+
+    const rules = [];
+    for (const line of lines) {
+        // A bare rule is an RRULE
+        const full = /^(RRULE|EXRULE|RDATE|EXDATE)[:;]/i.test(line) ? line : `RRULE:${line}`;
+        const [, name] = full.match(/^([A-Z]+)/i);
+
+        if (/^(RRULE|EXRULE)$/i.test(name)) {
+            const error = checkRule(full.slice(name.length + 1).toUpperCase());
+            if (error) return { error };
+        }
+        rules.push(full);
+    }
+
+    if (!rules.some(line => /^(RRULE|RDATE)/i.test(line))) {
+        return { error: "Recurrence needs at least one RRULE or RDATE line" };
+    }
+    return { rules };
+}
+
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Rule parts expandOccurrences understands, per frequency; a rule with others counts only its first occurrence
+const EXPANDED_RULES = {
+    DAILY: { unit: "days", parts: [] },
+    WEEKLY: { unit: "weeks", parts: ["BYDAY"] },
+    MONTHLY: { unit: "months", parts: ["BYDAY", "BYMONTHDAY"] },
+    YEARLY: { unit: "years", parts: [] }
+};
+
+// Read an RDATE/EXDATE/UNTIL value ("20250310", "20250310T100000" or "20250310T150000Z") in a zone
+function parseRuleTime(value, zone) {
+    const match = /^(\d{8})(?:T(\d{6})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const time = DateTime.fromFormat(`${match[1]}${match[2] || "000000"}`, "yyyyMMddHHmmss", { zone: match[3] ? "UTC" : zone });
+    return time.isValid ? time : null;
+}
+
+// The times listed on an RDATE or EXDATE line, read in its TZID or the event's zone
+function parseDateLine(line, zone) {
+    const separator = line.indexOf(":");
+    const tzid = /;TZID=([^;:]+)/i.exec(line.slice(0, separator))?.[1];
+    return line.slice(separator + 1).split(",").map(value => parseRuleTime(value, tzid || zone)).filter(Boolean);
+}
+
+// Days of a month picked by BYMONTHDAY (negative counts from the end) or BYDAY ("TU", "2TU", "-1FR")
+function monthDays(month, values) {
+    if (values.BYMONTHDAY) {
+        return values.BYMONTHDAY.split(",").map(Number).map(day => day > 0 ? day : month.daysInMonth + day + 1);
+    }
+    return values.BYDAY.split(",").flatMap(entry => {
+        const [, nth, weekday] = /^([+-]?\d+)?([A-Z]{2})$/.exec(entry) || [];
+        const matching = [];
+        for (let day = 1; day <= month.daysInMonth; day++) {
+            if (month.set({ day }).weekday === WEEKDAYS.indexOf(weekday) + 1) matching.push(day);
+        }
+        if (!nth) return matching;
+        const position = Number(nth);
+        return [matching[position > 0 ? position - 1 : matching.length + position]];
+    });
+}
+
+// The occurrence starts a rule gives in one period (a day, week, month or year from the series' start)
+function periodStarts(frequency, values, start, period) {
+    const at = date => date.set({ hour: start.hour, minute: start.minute, second: start.second, millisecond: start.millisecond });
+
+    if (frequency === "WEEKLY") {
+        const week = start.startOf("week").plus({ weeks: period });
+        const days = values.BYDAY ? values.BYDAY.split(",").map(day => WEEKDAYS.indexOf(day)) : [start.weekday - 1];
+        return days.sort().map(day => at(week.plus({ days: day })));
+    }
+    if (frequency === "MONTHLY") {
+        const month = start.startOf("month").plus({ months: period });
+        const days = values.BYDAY || values.BYMONTHDAY ? monthDays(month, values) : [start.day];
+        return days.filter(day => day >= 1 && day <= month.daysInMonth).sort((a, b) => a - b).map(day => at(month.set({ day })));
+    }
+    // Days and years keep the start's date; a year without it (29 February) is skipped
+    const date = frequency === "DAILY" ? start.plus({ days: period }) : start.startOf("year").plus({ years: period });
+    if (frequency === "YEARLY" && date.set({ month: start.month }).daysInMonth < start.day) return [];
+    return [frequency === "DAILY" ? date : at(date.set({ month: start.month, day: start.day }))];
+}
+
+// Occurrence starts of an RRULE value, from the series' start, at most limit of them
+function expandRule(rule, start, limit) {
+    const values = Object.fromEntries(rule.split(";").filter(Boolean).map(part => part.split("=")));
+    const expanded = EXPANDED_RULES[values.FREQ];
+    const known = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "WKST", ...(expanded?.parts || [])];
+    if (!expanded || Object.keys(values).some(part => !known.includes(part))) {
+        return [start];
+    }
+
+    const interval = Math.max(Number(values.INTERVAL) || 1, 1);
+    const count = Math.min(Number(values.COUNT) || limit, limit);
+    const until = values.UNTIL && parseRuleTime(values.UNTIL, start.zoneName);
+    const last = until && values.UNTIL.length === 8 ? until.endOf("day") : until;
+
+    // The series' start is its first occurrence; periods without a matching day are skipped, within reason
+    const starts = [start];
+    for (let period = 0; starts.length < count && period < limit * 12; period += interval) {
+        for (const time of periodStarts(values.FREQ, values, start, period)) {
+            if (time <= start) continue;
+            if (last && time > last) return starts;
+            starts.push(time);
+            if (starts.length >= count) break;
+        }
+    }
+    return starts;
+}
+
+/**
+ * Start and end of each occurrence of an event body, in order: one for a single event, the series'
+ * occurrences for a recurring one, at most limit of them (the first ones). RRULEs with FREQ DAILY,
+ * WEEKLY, MONTHLY or YEARLY and INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY are expanded, RDATE and
+ * EXDATE lines applied; a rule with other parts counts only the series' first occurrence.
+ * Times are luxon DateTimes in the event's timezone (timeZone when the body gives none).
+ */
+export function expandOccurrences(eventBody, timeZone, { limit = 100 } = {}) {
+    const zone = eventBody.start?.timeZone || timeZone;
+    const start = eventBody.start?.dateTime
+        ? DateTime.fromISO(eventBody.start.dateTime, { setZone: true }).setZone(zone)
+        : DateTime.fromISO(eventBody.start?.date || "", { zone });
+    const end = eventBody.end?.dateTime
+        ? DateTime.fromISO(eventBody.end.dateTime, { setZone: true }).setZone(zone)
+        : DateTime.fromISO(eventBody.end?.date || "", { zone });
+    if (!start.isValid || !end.isValid) return [];
+
+    // All-day occurrences last whole days, so their length is counted in days across DST changes
+    const length = eventBody.start.date ? { days: Math.round(end.diff(start, "days").days) } : { milliseconds: end.diff(start).milliseconds };
+    const lines = eventBody.recurrence || [];
+    const excluded = new Set();
+    const starts = [];
+
+    for (const line of lines) {
+        const [, name, rest] = /^([A-Z]+)[:;](.*)$/i.exec(line) || [];
+        if (/^RRULE$/i.test(name)) starts.push(...expandRule(rest.toUpperCase(), start, limit));
+        if (/^RDATE$/i.test(name)) starts.push(...parseDateLine(line, zone));
+        if (/^EXDATE$/i.test(name)) parseDateLine(line, zone).forEach(time => excluded.add(time.toMillis()));
+    }
+    if (starts.length === 0) starts.push(start);
+
+    return [...new Map(starts.map(time => [time.toMillis(), time])).values()]
+        .filter(time => !excluded.has(time.toMillis()))
+        .sort((a, b) => a - b)
+        .slice(0, limit)
+        .map(time => ({ start: time, end: time.plus(length) }));
+}
+
+// Key of an occurrence's original start: the date of an all-day occurrence, else the UTC instant
+export function occurrenceKey(originalStartTime) {
+    if (originalStartTime?.date) return originalStartTime.date;
+    const start = DateTime.fromISO(originalStartTime?.dateTime || "", { setZone: true });
+    return start.isValid ? start.toUTC().toISO({ suppressMilliseconds: true }) : null;
+}
+
+/**
+ * Position (0-based) of an exception's occurrence in its series, counting cancelled occurrences too.
+ * Resolves to -1 if the occurrence is not part of the series.
+ */
+export async function findOccurrenceIndex(tenant, calendarId, event) {
+    const key = occurrenceKey(event.originalStartTime);
+    if (!key) return -1;
+
+    // Order by original start, since moved occurrences keep their place in the series
+    const instances = await listInstances(tenant, calendarId, event.recurringEventId);
+    const keys = instances.map(instance => occurrenceKey(instance.originalStartTime || instance.start)).sort();
+    return keys.indexOf(key);
+}
+
+/**
+ * Where an occurrence's changes go in Alchemy: { recordId, row }. The occurrence's child record
+ * (row 0) when the series lists one, else its row on the series' record.
+ */
+export function occurrenceTarget(mapping, index, seriesRecordId = mapping.recordId) {
+    const childRecordId = mapping.recurrence?.instanceRecordIds?.[index];
+    if (childRecordId !== undefined && childRecordId !== null) {
+        return { recordId: String(childRecordId), row: 0 };
+    }
+    return { recordId: seriesRecordId ? String(seriesRecordId) : null, row: index };
+}
+
+/**
+ * The mapping's recurrence value with an exception recorded
+ */
+export function recordException(recurrence, event, { recordId, row }) {
+    const base = recurrence || { rules: null, instanceRecordIds: [], exceptions: {} };
+    return {
+        ...base,
+        exceptions: {
+            ...base.exceptions,
+            [occurrenceKey(event.originalStartTime)]: {
+                eventId: event.id,
+                status: event.status === "cancelled" ? "cancelled" : "moved",
+                row,
+                recordId,
+                start: event.start || null,
+                end: event.end || null,
+                updatedAt: new Date().toISOString()
+            }
+        }
+    };
+}
+
+/**
+ * The mapping's recurrence value after a series is written to Google: the new rules and child
+ * records, keeping the exceptions already seen. Null for a single event.
+ */
+export function seriesRecurrence(existing, rules, instanceRecordIds) {
+    if (!rules) return null;
+    return {
+        rules,
+        instanceRecordIds: (instanceRecordIds || existing?.instanceRecordIds || []).map(String),
+        exceptions: existing?.exceptions || {}
+    };
+}
@@ -0,0 +1,375 @@
+import express from "express";
+import config from "./config.js";
+import { selectTenant } from "./tenants.js";
+import { ERROR_CODES } from "./validation.js";
+import { AUDIT_ACTIONS, AUDIT_SOURCES } from "./audit.js";
+
+const router = express.Router();
+
+/**
+ * ROUTE SCHEMAS
+ * -------------
+ * JSON Schemas for the body, query, params and headers of every route, checked by validateRequest()
+ * (validation.js) and published at GET /schemas. Schemas that depend on tenant settings (the Alchemy
+ * start/end field names) are built for the tenant the request selects.
+ */
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const idValue = { type: ["string", "integer"], description: "a string or integer" };
+const dateTimeObject = {
+    type: "object",
+    required: ["dateTime"],
+    properties: { dateTime: nonEmptyString, timeZone: { type: "string", format: "time-zone" } },
+    description: "an object with dateTime"
+};
+const sendUpdatesValue = {
+    type: "string",
+    enum: ["all", "externalOnly", "none"],
+    description: "Who Google emails about the change (default: the tenant's policy)"
+};
+const attendeeValue = {
+    anyOf: [
+        { ...nonEmptyString, description: "an email or a comma-separated list of emails" },
+        { type: "object", description: "a user object with an email" }
+    ]
+};
+const dateObject = {
+    type: "object",
+    required: ["date"],
+    properties: { date: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" }, timeZone: { type: "string", format: "time-zone" } },
+    description: "an all-day object with date (yyyy-MM-dd)"
+};
+
+/**
+ * Request fields a create-event start or end time is read from, highest precedence first.
+ * Mapped start/end values from the tenant's field map override all of them.
+ */
+export function timeAliases(tenant, side) {
+    const { startField, endField } = tenant.alchemy.fields;
+    return [`${side}.dateTime`, `${side}.date`, side === "start" ? startField : endField, `${side}_time`, `${side}Time`, side];
+}
+
+// Read the first time alias that is set on the request body
+export function pickTime(tenant, body, side) {
+    for (const alias of timeAliases(tenant, side)) {
+        const value = alias.split(".").reduce((current, part) => current?.[part], body);
+        if (typeof value === "string" && value) return value;
+    }
+    return undefined;
+}
+
+function createEventBody(tenant) {
+    const timeProperties = {};
+    for (const side of ["start", "end"]) {
+        const [, , field, snake, camel] = timeAliases(tenant, side);
+        const precedence = `Precedence: ${timeAliases(tenant, side).join(" > ")}`;
+        timeProperties[side] = {
+            anyOf: [{ ...nonEmptyString, description: "a date string" }, dateTimeObject, dateObject],
+            description: `Event ${side} as an object or a date string. ${precedence}`
+        };
+        timeProperties[field] = { ...nonEmptyString, description: `Alchemy ${side} time field. ${precedence}` };
+        timeProperties[snake] = { ...nonEmptyString, description: `Alias of ${field}` };
+        timeProperties[camel] = { ...nonEmptyString, description: `Alias of ${field}` };
+    }
+
+    return {
+        type: "object",
+        description: "An Alchemy record to write to Google Calendar. Other Alchemy fields are passed to the field map.",
+        properties: {
+            summary: { type: "string" },
+            description: { type: "string" },
+            location: { type: "string" },
+            calendarId: nonEmptyString,
+            calendarIds: { type: "array", minItems: 1, items: nonEmptyString },
+            timeZone: { type: "string", format: "time-zone", description: "IANA timezone of the event and of the local date-times sent (default: the calendar's for the event, Alchemy's for the values)" },
+            status: { type: "string", description: "\"cancelled\" cancels the mapped events instead" },
+            externalId: idValue,
+            recordId: idValue,
+            reminders: { type: "object" },
+            allDay: { type: "boolean", description: "Make an all-day event from the start/end dates (date-only values do so too)" },
+            recurrence: {
+                anyOf: [
+                    { ...nonEmptyString, description: "an RRULE string" },
+                    { type: "array", minItems: 1, items: nonEmptyString, description: "a list of RRULE, EXRULE, RDATE and EXDATE lines" }
+                ],
+                description: "Make a recurring event, e.g. \"FREQ=WEEKLY;BYDAY=MO;COUNT=10\""
+            },
+            attendees: {
+                anyOf: [attendeeValue.anyOf[0], { type: "array", items: attendeeValue, description: "a list of emails or user objects" }],
+                description: "People to invite, besides those in the tenant's attendee fields"
+            },
+            sendUpdates: sendUpdatesValue,
+            createMeet: { type: "boolean", description: "Add a Google Meet link to a new event (default: the tenant's setting)" },
+            changedAt: { type: "string", format: "date-time", description: "When the record was changed in Alchemy, for the latest sync conflict policy (default: when the request is received)" },
+            instanceRecordIds: {
+                type: "array",
+                items: idValue,
+                description: "Child record of each occurrence, in order. Changes to an occurrence go to its child record instead of its row of this record."
+            },
+            ...timeProperties
+        }
+    };
+}
+
+function updateAlchemyBody(tenant) {
+    return {
+        type: "object",
+        description: "A changed Google event to write back to an Alchemy record",
+        required: ["recordId"],
+        anyOf: [
+            { required: ["start", "end"], description: "an event with start and end" },
+            { required: ["fields"], description: `a fields list starting with ${tenant.alchemy.fields.statusField} (cancellation)` }
+        ],
+        properties: {
+            recordId: idValue,
+            start: { anyOf: [dateTimeObject, dateObject] },
+            end: { anyOf: [dateTimeObject, dateObject] },
+            fields: {
+                type: "array",
+                minItems: 1,
+                items: {
+                    type: "object",
+                    required: ["identifier"],
+                    properties: { identifier: nonEmptyString, rows: { type: "array" } }
+                }
+            }
+        }
+    };
+}
+// Each reservation is checked against the create-event body by the route, so one bad reservation
+// fails alone instead of failing the batch
+function batchEventsBody() {
+    return {
+        type: "object",
+        required: ["reservations"],
+        properties: {
+            reservations: {
+                type: "array",
+                minItems: 1,
+                maxItems: config.batch.maxItems,
+                items: { type: "object", description: "a create-event body" },
+                description: "Alchemy records to write to Google Calendar, as sent to create-event (status \"cancelled\" cancels)"
+            },
+            sendUpdates: { ...sendUpdatesValue, description: "Who Google emails about the changes, for reservations that do not say (default: the tenant's policy)" },
+            writeBack: {
+                type: "boolean",
+                description: "Set the pushed status on records written to all their calendars (default: true). Conflict and cancelled statuses are always written."
+            }
+        }
+    };
+}
+
+const calendarQuery = {
+    type: "object",
+    properties: { calendarId: nonEmptyString }
+};
+
+const erCodeParams = {
+    type: "object",
+    required: ["erCode"],
+    properties: { erCode: nonEmptyString }
+};
+
+const jobParams = {
+    type: "object",
+    required: ["id"],
+    properties: { id: nonEmptyString }
+};
+
+const auditQuery = {
+    type: "object",
+    properties: {
+        erCode: nonEmptyString,
+        tenantId: nonEmptyString,
+        calendarId: nonEmptyString,
+        recordId: nonEmptyString,
+        action: { type: "string", enum: AUDIT_ACTIONS },
+        source: { type: "string", enum: AUDIT_SOURCES },
+        limit: { type: "string", pattern: "^[1-9]\\d{0,3}$", description: "Most entries to return (default 100, at most 1000)" }
+    }
+};
+
+/**
+ * Every route with its schemas. Body schemas may be functions of the tenant.
+ * Paths are relative to the server root (and to /tenants/:tenantId for tenant routes).
+ */
+const ROUTES = {
+    "create-event": {
+        method: "POST",
+        path: "/google/create-event",
+        aliases: ["/create-event"],
+        body: createEventBody
+    },
+    "batch-events": {
+        method: "POST",
+        path: "/google/events/batch",
+        body: batchEventsBody
+    },
+    "cancel-event": {
+        method: "DELETE",
+        path: "/google/events/:erCode",
+        params: erCodeParams,
+        query: { type: "object", properties: { calendarId: nonEmptyString, recordId: nonEmptyString, sendUpdates: sendUpdatesValue } }
+    },
+    "list-tracked-events": {
+        method: "GET",
+        path: "/google/tracked-events",
+        query: { type: "object", properties: { calendarId: nonEmptyString, erCode: nonEmptyString } }
+    },
+    "clear-tracked-events": {
+        method: "DELETE",
+        path: "/google/tracked-events",
+        query: calendarQuery
+    },
+    "remove-tracked-event": {
+        method: "DELETE",
+        path: "/google/tracked-events/:erCode",
+        params: erCodeParams,
+        query: calendarQuery
+    },
+    "list-sync-conflicts": {
+        method: "GET",
+        path: "/google/sync-conflicts",
+        query: { type: "object", properties: { calendarId: nonEmptyString, erCode: nonEmptyString } }
+    },
+    "resolve-sync-conflict": {
+        method: "POST",
+        path: "/google/sync-conflicts/:erCode/resolve",
+        params: erCodeParams,
+        body: {
+            type: "object",
+            required: ["winner"],
+            properties: {
+                winner: { type: "string", enum: ["alchemy", "google"], description: "The side whose change is applied to the other" },
+                calendarId: { ...nonEmptyString, description: "Resolve the conflict on this calendar only (default: every calendar with one)" }
+            }
+        }
+    },
+    "google-notification": {
+        method: "POST",
+        path: "/google/notifications",
+        headers: {
+            type: "object",
+            required: ["x-goog-channel-id", "x-goog-resource-state"],
+            properties: { "x-goog-channel-id": nonEmptyString, "x-goog-resource-state": nonEmptyString }
+        }
+    },
+    "update-alchemy": {
+        method: "PUT",
+        path: "/alchemy/update-alchemy",
+        aliases: ["/update-alchemy"],
+        body: updateAlchemyBody
+    },
+    "reconcile": {
+        method: "POST",
+        path: "/google/reconcile",
+        body: {
+            type: "object",
+            required: ["timeMin", "timeMax"],
+            properties: {
+                calendarId: nonEmptyString,
+                timeMin: { type: "string", format: "date-time", description: "Start of the window (ISO 8601)" },
+                timeMax: { type: "string", format: "date-time", description: "End of the window (ISO 8601)" },
+                apply: { type: "boolean", description: "Fix the differences instead of only reporting them" },
+                sourceOfTruth: { type: "string", enum: ["alchemy", "google"], description: "Overrides the tenant's setting" }
+            }
+        }
+    },
+    "list-jobs": {
+        method: "GET",
+        path: "/admin/jobs",
+        query: {
+            type: "object",
+            properties: { status: { type: "string", enum: ["pending", "dead"] }, tenantId: nonEmptyString }
+        }
+    },
+    "get-job": { method: "GET", path: "/admin/jobs/:id", params: jobParams },
+    "retry-job": { method: "POST", path: "/admin/jobs/:id/retry", params: jobParams },
+    "discard-job": { method: "DELETE", path: "/admin/jobs/:id", params: jobParams },
+    "list-audit": {
+        method: "GET",
+        path: "/admin/audit",
+        query: auditQuery
+    },
+    "get-audit": {
+        method: "GET",
+        path: "/admin/audit/:erCode",
+        params: erCodeParams,
+        query: auditQuery
+    },
+    "dashboard": {
+        method: "GET",
+        path: "/dashboard",
+        query: { type: "object", properties: { tenantId: nonEmptyString, calendarId: { type: "string" }, erCode: { type: "string" } } }
+    },
+    "dashboard-mapping": {
+        method: "GET",
+        path: "/dashboard/mappings/:erCode",
+        params: erCodeParams,
+        query: { type: "object", properties: { tenantId: nonEmptyString, notice: { type: "string" } } }
+    },
+    "dashboard-action": {
+        method: "POST",
+        path: "/dashboard/mappings/:erCode/:action",
+        params: {
+            type: "object",
+            required: ["erCode", "action"],
+            properties: { erCode: nonEmptyString, action: { type: "string", enum: ["repush", "recreate", "unlink"] } }
+        },
+        body: {
+            type: "object",
+            required: ["formToken"],
+            properties: {
+                formToken: { ...nonEmptyString, description: "The token the dashboard puts in its forms" },
+                tenantId: nonEmptyString,
+                calendarId: { ...nonEmptyString, description: "Act on this calendar only (default: every calendar the ER code is mapped on)" }
+            }
+        }
+    }
+};
+
+/**
+ * The schemas of one route for a tenant: { method, path, aliases, body, query, params, headers }
+ */
+export function getRouteSchema(name, tenant) {
+    const route = ROUTES[name];
+    if (!route) {
+        throw new Error(`No schema defined for route ${name}`);
+    }
+
+    const schema = { ...route };
+    if (typeof route.body === "function") {
+        schema.body = tenant ? route.body(tenant) : undefined;
+    }
+    return schema;
+}
+
+// A route's schemas as published JSON Schema documents
+function describeRoute(name, tenant) {
+    const { method, path, aliases, ...parts } = getRouteSchema(name, tenant);
+    const schemas = Object.fromEntries(Object.entries(parts)
+        .filter(([, schema]) => schema)
+        .map(([part, schema]) => [part, { $schema: JSON_SCHEMA_DIALECT, ...schema }]));
+    return { name, method, path, aliases: aliases || [], ...schemas };
+}
+
+// List the accepted request shapes for the selected tenant
+router.get("/", selectTenant, (req, res) => {
+    res.json({
+        tenant: req.tenant.id,
+        errorCodes: ERROR_CODES,
+        routes: Object.keys(ROUTES).map(name => describeRoute(name, req.tenant))
+    });
+});
+
+// Get one route's schemas
+router.get("/:name", selectTenant, (req, res) => {
+    if (!ROUTES[req.params.name]) {
+        return res.status(404).json({ error: `No schema for route ${req.params.name}`, code: "not_found" });
+    }
+    res.json({ tenant: req.tenant.id, ...describeRoute(req.params.name, req.tenant) });
+});
+
+export default router;
@@ -1,92 +1,48 @@
-import express from "express";
-import alchemyMiddleware from "./alchemyMiddleware.js";
-import googleMiddleware from "./googleMiddleware.js";
+import app from "./app.js";
+import { startJobWorker } from "./jobQueue.js";
+import { startWatching } from "./googleWatcher.js";
+import { listTenants } from "./tenants.js";
+import { getAuthStatus } from "./auth.js";
 import config from "./config.js";
+import { logger } from "./logger.js";
 
-// Create Express app
-const app = express();
 const { port } = config.server;
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Simple request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
-
-// Direct route handlers for backward compatibility
-app.post('/create-event', (req, res) => {
-  googleMiddleware(req, res);
-});
-
-app.all('/update-alchemy', (req, res) => {
-  if (req.method !== 'PUT') req.method = 'PUT';
-  alchemyMiddleware(req, res);
-});
-
-// Apply route middleware
-app.use('/alchemy', alchemyMiddleware);
-app.use('/google', googleMiddleware);
-
-// Status endpoint
-app.get('/status', (req, res) => {
-  res.json({
-    status: 'ok',
-    version: '1.1.0',
-    config: {
-      alchemy: {
-        tenant: config.alchemy.tenantName,
-        configured: !!config.alchemy.refreshToken,
-        fields: config.alchemy.fields
-      },
-      google: {
-        configured: !!(config.google.clientId && 
-                       config.google.clientSecret && 
-                       config.google.refreshToken),
-        defaultTimeZone: config.google.defaultTimeZone,
-        trackingFile: config.google.trackingFile,
-        defaultCalendarId: config.google.defaultCalendarId || 'not set'
-      }
-    }
-  });
-});
-
-// Home route
-app.get('/', (req, res) => {
-  res.json({
-    message: "Google Calendar & Alchemy Integration API",
-    statusEndpoint: "/status"
-  });
-});
-
-// Error handlers
-app.use((req, res, next) => {
-  res.status(404).json({ error: "Not Found", message: `Route not found: ${req.method} ${req.url}` });
-});
-
-app.use((err, req, res, next) => {
-  console.error(`Error: ${err.message}`);
-  res.status(500).json({ error: "Internal Server Error", message: err.message });
-});
-
 // Start server
 app.listen(port, '0.0.0.0', () => {
-  console.log(`Server running on port ${port}`);
+  logger.info(`Server running on port ${port}`);
   
   // Log configuration
-  console.log(`Environment: ${config.server.environment}`);
-  console.log(`Alchemy Tenant: ${config.alchemy.tenantName}`);
-  console.log(`Google Default Timezone: ${config.google.defaultTimeZone}`);
+  logger.info(`Environment: ${config.server.environment}`);
+  
+  // Validate each tenant's configuration
+  for (const tenant of listTenants()) {
+    logger.info(`Tenant ${tenant.id}: Alchemy tenant ${tenant.alchemy.tenantName}, Google timezone ${tenant.google.defaultTimeZone}`);
+    if (tenant.missing.length > 0) {
+      logger.warn(`⚠️ Tenant ${tenant.id} is missing required settings: ${tenant.missing.join(', ')}`);
+    }
+  }
   
-  // Validate configuration
-  if (!config.isValid) {
-    console.warn("⚠️ Server is running with incomplete configuration!");
+  if (!config.isValid || listTenants().some(tenant => tenant.missing.length > 0)) {
+    logger.warn("⚠️ Server is running with incomplete configuration!");
   } else {
-    console.log("✓ Configuration validated successfully");
+    logger.info("✓ Configuration validated successfully");
   }
+  
+  // Report how inbound requests are authenticated
+  const auth = getAuthStatus();
+  if (auth.apiKeys.length === 0 && auth.hmacCallers.length === 0 && auth.admin === 'disabled') {
+    logger.warn("⚠️ No API keys, signing secrets or admin token set - sync routes accept unauthenticated requests");
+  }
+  if (auth.admin === 'disabled') {
+    logger.warn("⚠️ ADMIN_TOKEN is not set - admin routes are disabled");
+  } else if (auth.admin === 'weak') {
+    logger.warn("⚠️ ADMIN_TOKEN is shorter than 32 characters - use a longer random value");
+  }
+  
+  // Retry failed syncs in the background
+  startJobWorker();
+  
+  // Subscribe to Google Calendar push notifications
+  startWatching();
 });
-
-export default app;
@@ -0,0 +1,119 @@
+import { listJobs, supersedeJobs } from "./jobQueue.js";
+import { matchesSyncState, syncSnapshot } from "./syncState.js";
+import { logger } from "./logger.js";
+
+/**
+ * SYNC CONFLICTS
+ * --------------
+ * A record changed in Alchemy while its event changed in Google, both since they were last synced
+ * (see syncState.js), is a sync conflict: writing either change as it arrives would silently undo the
+ * other. The tenant's sync.conflictPolicy decides what happens:
+ *   alchemy - Alchemy's change is written to Google (default)
+ *   google  - Google's change is kept and written to Alchemy; Alchemy's is dropped
+ *   latest  - the later change wins: the event's updated time in Google against the time the record
+ *             was changed (changedAt in the request) or, without it, received
+ *   review  - neither is written; the mapping's syncConflict keeps both sides until an admin resolves it
+ *
+ * Conflicts are found where the two directions meet:
+ *   - Alchemy -> Google: the live event no longer matches the last synced values, and the request
+ *     does not either. Updates are sent with If-Match, so an edit made in Google between reading
+ *     the event and writing it is caught too.
+ *   - Google -> Alchemy: an Alchemy change for the same ER code and calendar is still waiting in
+ *     the retry queue.
+ * While a conflict is flagged, later changes from either side update it instead of being written.
+ *
+ * A flagged conflict looks like:
+ *   { detectedAt, updatedAt, base: <the values last synced>,
+ *     alchemy: { eventBody, recordId, instanceRecordIds, changedAt },
+ *     google: { eventId, etag, values, changedAt } }
+ */
+
+// Queued Google writes for the same ER code on the same calendar replace each other; one still
+// waiting is an Alchemy change that Google has not seen
+export function googleJobKey(tenant, calendarId, erCode) {
+    return `google:${tenant.id}:${calendarId}:${erCode}`;
+}
+
+/**
+ * Whether a Google event changed since its mapping was last synced. Mappings without a sync state
+ * (linked before states were kept) never count as changed.
+ */
+export function googleChangedSinceSync(tenant, mapping, event) {
+    const state = mapping?.syncState;
+    if (!state || (mapping.etag && event.etag === mapping.etag)) return false;
+    return !matchesSyncState(state.values, syncSnapshot(tenant, event));
+}
+
+/**
+ * The side that wins a conflict: "alchemy", "google" or "review". alchemyAt and googleAt are when
+ * each change was made, for the latest policy; a tie, or a Google time that cannot be read, goes to Alchemy.
+ */
+export function chooseWinner(tenant, { alchemyAt, googleAt }, policy = tenant.sync.conflictPolicy) {
+    if (policy !== "latest") return policy;
+    const googleTime = Date.parse(googleAt);
+    return googleTime > Date.parse(alchemyAt) ? "google" : "alchemy";
+}
+
+// Alchemy's side of a conflict: the write that was held back
+export function alchemySide({ eventBody, recordId, instanceRecordIds, changedAt }) {
+    return { eventBody, recordId: recordId || null, instanceRecordIds, changedAt: changedAt || new Date().toISOString() };
+}
+
+// Google's side of a conflict: the changed event (or update-alchemy body) and its synced values
+export function googleSide(tenant, event) {
+    return {
+        eventId: event.id || null,
+        etag: event.etag || null,
+        values: syncSnapshot(tenant, event),
+        changedAt: event.updated || new Date().toISOString()
+    };
+}
+
+/**
+ * Flag a conflict on a mapping for review, or update the sides given on one already flagged.
+ * Resolves to the updated mapping.
+ */
+export async function flagSyncConflict(store, mapping, { alchemy, google }) {
+    const open = mapping.syncConflict;
+    const now = new Date().toISOString();
+    logger.warn(`${open ? "Updating" : "Flagging"} sync conflict for ${mapping.erCode} on ${mapping.calendarId} for review`);
+    return store.upsert(mapping.calendarId, mapping.erCode, {
+        syncConflict: {
+            detectedAt: open?.detectedAt || now,
+            updatedAt: now,
+            base: open ? open.base : mapping.syncState?.values || null,
+            alchemy: alchemy || open?.alchemy || null,
+            google: google || open?.google || null
+        }
+    });
+}
+
+/**
+ * Decide whether a Google change to a mapped event may be written to Alchemy. Resolves to
+ * { write: true, winner? } or { write: false, winner, flagged }, with winner null when flagged.
+ * A flagged conflict takes the change as its new Google side. An Alchemy change still queued for the
+ * event conflicts with it: the losing change is dropped (the queued job superseded, or this change
+ * not written), and under review both move to the flagged conflict.
+ */
+export async function checkGoogleChange(tenant, store, mapping, event) {
+    if (mapping.syncConflict) {
+        await flagSyncConflict(store, mapping, { google: googleSide(tenant, event) });
+        return { write: false, winner: null, flagged: true };
+    }
+
+    const key = googleJobKey(tenant, mapping.calendarId, mapping.erCode);
+    const pending = listJobs({ status: "pending", tenantId: tenant.id }).find(job => job.key === key);
+    if (!pending) return { write: true };
+
+    const alchemy = alchemySide({ ...pending.payload, changedAt: pending.payload.changedAt || pending.createdAt });
+    const google = googleSide(tenant, event);
+    const winner = chooseWinner(tenant, { alchemyAt: alchemy.changedAt, googleAt: google.changedAt });
+    logger.warn(`${mapping.erCode} changed in Google while an Alchemy change waits to be written to it (sync conflict, ${winner === "review" ? "flagged for review" : `${winner} wins`})`);
+
+    if (winner === "alchemy") return { write: false, winner, flagged: false };
+    await supersedeJobs(key);
+    if (winner === "google") return { write: true, winner };
+
+    await flagSyncConflict(store, mapping, { alchemy, google });
+    return { write: false, winner: null, flagged: true };
+}
@@ -0,0 +1,114 @@
+import { DateTime } from "luxon";
+import { getPath } from "./fieldMapping.js";
+
+/**
+ * SYNC STATE AND ECHO SUPPRESSION
+ * -------------------------------
+ * With both directions running, every write comes back: an event written from Alchemy shows up in
+ * Google's change feed, and a Google change pushed to Alchemy can make an Alchemy automation call
+ * create-event again. Each mapping keeps the values last synced and the side they came from:
+ *   syncState: { origin: "alchemy" | "google", values, syncedAt }
+ * values is a snapshot of the event properties that sync (summary, description, location, times,
+ * status, recurrence, reminders, attendees, declines, the identifier stamp and the tenant's field map
+ * properties), normalized so an event body and the event Google returns for it compare equal.
+ *
+ * A change is applied only when it differs from that state:
+ *   - Google -> Alchemy: a changed event whose snapshot equals the state is an echo and is dropped
+ *   - Alchemy -> Google: a write whose values Google already shows, or that repeats the state
+ *     (Alchemy has not changed since), is not sent
+ * Dropped changes are recorded in the audit trail as "skipped".
+ */
+
+// Properties every snapshot covers; field map rules add theirs
+const SYNCED_PROPERTIES = ["summary", "description", "location", "status", "start", "end", "recurrence", "reminders", "attendees"];
+
+// Empty strings, empty lists and null all mean "not set"
+function normalize(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (Array.isArray(value)) return value.length > 0 ? value : null;
+    return value;
+}
+
+// An event start/end as the instant it stands for (UTC), or the date of an all-day event
+function normalizeTime(time) {
+    if (time?.dateTime) {
+        const instant = DateTime.fromISO(time.dateTime, { zone: time.timeZone || "UTC" });
+        return instant.isValid ? { dateTime: instant.toUTC().toISO() } : { dateTime: time.dateTime };
+    }
+    return time?.date ? { date: time.date } : null;
+}
+
+function normalizeProperty(property, value) {
+    switch (property) {
+        case "start":
+        case "end":
+            return normalizeTime(value);
+        case "attendees":
+            return normalize([...new Set((value || []).map(attendee => attendee.email?.toLowerCase()).filter(Boolean))].sort());
+        default:
+            return normalize(value);
+    }
+}
+
+/**
+ * The synced values of a Google event or event body. Only properties the source has are included, so a
+ * partial event body (a PATCH) leaves out what it would not change.
+ */
+export function syncSnapshot(tenant, event) {
+    const { propertyKey, recordIdPropertyKey } = tenant.alchemy.identifiers;
+    const paths = [
+        ...SYNCED_PROPERTIES,
+        `extendedProperties.private.${propertyKey}`,
+        `extendedProperties.private.${recordIdPropertyKey}`,
+        ...tenant.alchemy.fieldMap.map(rule => rule.google).filter(Boolean)
+    ];
+    const values = {};
+    for (const path of new Set(paths)) {
+        const value = getPath(event, path);
+        if (value !== undefined) {
+            values[path] = normalizeProperty(path, value);
+        }
+    }
+
+    // Declines are written to Alchemy; event bodies carry no responses, so they leave them out
+    if (event.attendees?.some(attendee => attendee.responseStatus)) {
+        values.declined = normalize(event.attendees
+            .filter(attendee => attendee.responseStatus === "declined")
+            .map(attendee => attendee.email?.toLowerCase())
+            .sort());
+    }
+    return values;
+}
+
+// Deep equality that ignores key order, which differs between snapshots built from different
+// sources or read back from storage. Properties set to undefined count as absent.
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => sameValue(item, b[index]));
+    }
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+    return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && sameValue(a[key], b[key]));
+}
+
+/**
+ * Whether a snapshot matches the values last synced. partial compares only the properties the snapshot
+ * has (an event body); otherwise both must have the same values. A cancelled event only carries its status.
+ */
+export function matchesSyncState(values, snapshot, { partial = false } = {}) {
+    if (!values) return false;
+    if (snapshot.status === "cancelled") return values.status === "cancelled";
+
+    const properties = partial ? Object.keys(snapshot) : [...new Set([...Object.keys(values), ...Object.keys(snapshot)])];
+    return properties.every(property => sameValue(values[property] ?? null, snapshot[property] ?? null));
+}
+
+/**
+ * The syncState to store on a mapping after values were synced from origin ("alchemy" or "google")
+ */
+export function syncStateFor(tenant, origin, event) {
+    return { origin, values: syncSnapshot(tenant, event), syncedAt: new Date().toISOString() };
+}
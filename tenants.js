@@ -0,0 +1,309 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import { compileFieldMap } from "./fieldMapping.js";
+import { DST_POLICIES, isValidTimeZone } from "./timeZones.js";
+import { compileIdentifierPatterns } from "./identifiers.js";
+import { validateConflictPolicies } from "./conflicts.js";
+import { addLogContext } from "./logger.js";
+
+/**
+ * TENANTS
+ * -------
+ * One deployment can serve several labs, each with its own Alchemy tenant and Google account.
+ * Tenant profiles come from TENANTS_FILE ({ "tenants": [...] }) or TENANTS_DIR (one profile per
+ * *.json file, named after the file unless it sets "id"). Without either, the environment-based
+ * settings in config.js form a single tenant called "default".
+ *
+ * A profile has the same alchemy / google / storage / reconcile / sync sections as config.js. Settings it leaves out
+ * fall back to the environment-based ones, except credentials, the Alchemy tenant name, the default
+ * calendar and the push notification target, which every profile must set for itself.
+ * Any string value of the form "env:NAME" is read from that environment variable.
+ *
+ * A profile may also carry an auth section with credentials that only work for that tenant:
+ *   "auth": { "apiKeys": { "caller": "env:LAB_A_KEY" }, "hmacSecrets": { "caller": "env:LAB_A_SECRET" } }
+ *
+ * A tenant looks like:
+ *   { id, name, alchemy, google, storage, reconcile, sync, auth, missing: [required settings that are not set] }
+ * where alchemy.fieldMap holds the compiled field mapping rules (from alchemy.fieldMap or alchemy.fieldMapFile)
+ * and alchemy.identifiers.patterns the compiled identifier patterns.
+ */
+
+const { file: TENANTS_FILE, dir: TENANTS_DIR, defaultTenant: DEFAULT_TENANT, header: TENANT_HEADER } = config.tenants;
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const SETTING_CHOICES = {
+    "reconcile.sourceOfTruth": ["alchemy", "google"],
+    "sync.conflictPolicy": ["alchemy", "google", "latest", "review"],
+    "google.invitations.sendUpdates": ["all", "externalOnly", "none"],
+    "alchemy.allDay.format": ["date", "datetime"],
+    "alchemy.allDay.endDate": ["inclusive", "exclusive"],
+    "alchemy.dstPolicy": DST_POLICIES
+};
+
+const REQUIRED_SETTINGS = [
+    "alchemy.tenantName",
+    "alchemy.refreshToken",
+    "google.clientId",
+    "google.clientSecret",
+    "google.refreshToken"
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Merge override into base; nested objects are merged, everything else is replaced
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+}
+
+// Replace "env:NAME" strings with the value of the environment variable
+function resolveEnvReferences(value) {
+    if (typeof value === "string" && value.startsWith("env:")) {
+        return process.env[value.slice(4)];
+    }
+    if (Array.isArray(value)) {
+        return value.map(resolveEnvReferences);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnvReferences(item)]));
+    }
+    return value;
+}
+
+// Insert the tenant ID before a file's extension: /tmp/er_events.json -> /tmp/er_events.lab-a.json
+function tenantFile(file, tenantId) {
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}.${tenantId}${ext}`);
+}
+
+// Settings a profile inherits from the environment when it leaves them out
+function inheritedSettings() {
+    const { tenantName, refreshToken, ...alchemy } = config.alchemy;
+    const {
+        refreshToken: googleRefreshToken,
+        defaultCalendarId,
+        watch: { webhookUrl, calendarIds, channelToken, ...watch },
+        ...google
+    } = config.google;
+
+    return {
+        alchemy,
+        google: { ...google, defaultCalendarId: "primary", watch },
+        storage: { backend: config.storage.backend },
+        reconcile: config.reconcile,
+        sync: config.sync
+    };
+}
+
+// Compile the field mapping rules given inline or in fieldMapFile
+function loadFieldMap(alchemy, source) {
+    if (alchemy.fieldMap) {
+        return compileFieldMap(alchemy.fieldMap, `${source} fieldMap`);
+    }
+    if (alchemy.fieldMapFile) {
+        return compileFieldMap(JSON.parse(fs.readFileSync(alchemy.fieldMapFile, "utf8")), alchemy.fieldMapFile);
+    }
+    return [];
+}
+
+// Check the Alchemy timezone and date formats
+function validateDateSettings(alchemy, google, source) {
+    for (const zone of [alchemy.timeZone, google.defaultTimeZone].filter(Boolean)) {
+        if (!isValidTimeZone(zone)) {
+            throw new Error(`${source}: unknown timezone "${zone}"`);
+        }
+    }
+    if (alchemy.dateFormats === undefined) return;
+
+    const valid = Array.isArray(alchemy.dateFormats) && alchemy.dateFormats.every(({ format, zone } = {}) =>
+        typeof format === "string" && format && (!zone || zone === "local" || isValidTimeZone(zone)));
+    if (!valid) {
+        throw new Error(`${source}: alchemy.dateFormats must be a list of { format, zone } with zone "local", "UTC" or an IANA timezone`);
+    }
+}
+
+// Compile the alchemy section's field map and identifier patterns
+function compileAlchemySettings(alchemy, source) {
+    return {
+        ...alchemy,
+        fieldMap: loadFieldMap(alchemy, source),
+        identifiers: {
+            ...alchemy.identifiers,
+            patterns: compileIdentifierPatterns(alchemy.identifiers.patterns, `${source} identifier patterns`)
+        }
+    };
+}
+
+// Check settings that take one of a fixed set of values
+function validateChoices(settings, source) {
+    for (const [settingPath, choices] of Object.entries(SETTING_CHOICES)) {
+        const value = getSetting(settings, settingPath);
+        if (!choices.includes(value)) {
+            throw new Error(`${source}: ${settingPath} must be one of ${choices.join(", ")}`);
+        }
+    }
+}
+
+function getSetting(tenant, settingPath) {
+    return settingPath.split(".").reduce((current, part) => current?.[part], tenant);
+}
+
+// Build a tenant from a profile read from a tenants file or directory
+function buildTenant(profile, source) {
+    const id = profile.id;
+    if (!id || !TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`Tenant profile in ${source} needs an "id" made of letters, digits, "-" or "_"`);
+    }
+
+    const settings = deepMerge(inheritedSettings(), resolveEnvReferences(profile));
+    const { google, storage } = settings;
+    validateConflictPolicies(google.conflicts, source);
+    validateChoices(settings, source);
+    validateDateSettings(settings.alchemy, google, source);
+
+    google.watch.calendarIds = google.watch.calendarIds || [google.defaultCalendarId];
+    google.watch.stateFile = google.watch.stateFile || tenantFile(config.google.watch.stateFile, id);
+    storage.jsonFile = storage.jsonFile || tenantFile(config.storage.jsonFile, id);
+    storage.sqliteFile = storage.sqliteFile || tenantFile(config.storage.sqliteFile, id);
+    storage.auditFile = storage.auditFile || tenantFile(config.storage.auditFile, id);
+
+    return {
+        id,
+        name: profile.name || id,
+        alchemy: compileAlchemySettings(settings.alchemy, source),
+        google,
+        storage,
+        reconcile: settings.reconcile,
+        sync: settings.sync,
+        auth: { apiKeys: settings.auth?.apiKeys || {}, hmacSecrets: settings.auth?.hmacSecrets || {} }
+    };
+}
+
+// The single tenant of a deployment configured through environment variables only
+function buildEnvironmentTenant() {
+    validateConflictPolicies(config.google.conflicts, "config");
+    validateChoices(config, "config");
+    validateDateSettings(config.alchemy, config.google, "config");
+    return {
+        id: DEFAULT_TENANT || "default",
+        name: DEFAULT_TENANT || "default",
+        alchemy: compileAlchemySettings(config.alchemy, "config"),
+        google: config.google,
+        storage: config.storage,
+        reconcile: config.reconcile,
+        sync: config.sync,
+        auth: { apiKeys: {}, hmacSecrets: {} }
+    };
+}
+
+// Read every profile from TENANTS_FILE and TENANTS_DIR
+function readProfiles() {
+    const profiles = [];
+
+    if (TENANTS_FILE) {
+        const data = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+        const list = Array.isArray(data) ? data : data.tenants;
+        if (!Array.isArray(list)) {
+            throw new Error(`${TENANTS_FILE} must contain a "tenants" array`);
+        }
+        list.forEach(profile => profiles.push({ profile, source: TENANTS_FILE }));
+    }
+
+    if (TENANTS_DIR) {
+        fs.readdirSync(TENANTS_DIR)
+            .filter(file => file.endsWith(".json"))
+            .sort()
+            .forEach(file => {
+                const source = path.join(TENANTS_DIR, file);
+                const profile = JSON.parse(fs.readFileSync(source, "utf8"));
+                profiles.push({ profile: { id: path.basename(file, ".json"), ...profile }, source });
+            });
+    }
+
+    return profiles;
+}
+
+function loadTenants() {
+    const loaded = new Map();
+    const profiles = readProfiles();
+
+    if (!TENANTS_FILE && !TENANTS_DIR) {
+        const tenant = buildEnvironmentTenant();
+        loaded.set(tenant.id, tenant);
+    }
+
+    for (const { profile, source } of profiles) {
+        const tenant = buildTenant(profile, source);
+        if (loaded.has(tenant.id)) {
+            throw new Error(`Duplicate tenant ID '${tenant.id}' in ${source}`);
+        }
+        loaded.set(tenant.id, tenant);
+    }
+
+    if (loaded.size === 0) {
+        throw new Error("No tenant profiles found - check TENANTS_FILE / TENANTS_DIR");
+    }
+
+    for (const tenant of loaded.values()) {
+        tenant.missing = REQUIRED_SETTINGS.filter(setting => !getSetting(tenant, setting));
+    }
+
+    return loaded;
+}
+
+const tenants = loadTenants();
+
+const defaultTenantId = DEFAULT_TENANT || (tenants.size === 1 ? [...tenants.keys()][0] : null);
+if (defaultTenantId && !tenants.has(defaultTenantId)) {
+    throw new Error(`DEFAULT_TENANT '${defaultTenantId}' does not match any tenant profile`);
+}
+
+export function getTenant(id) {
+    return tenants.get(id) || null;
+}
+
+export function listTenants() {
+    return [...tenants.values()];
+}
+
+// Tenant used by requests and jobs that do not name one (null when several tenants and no DEFAULT_TENANT)
+export function getDefaultTenant() {
+    return defaultTenantId ? tenants.get(defaultTenantId) : null;
+}
+
+/**
+ * Express middleware that sets req.tenant from the /tenants/:tenantId prefix, the tenant header
+ * or the default tenant, in that order.
+ */
+export function selectTenant(req, res, next) {
+    // Already chosen by the path prefix
+    if (req.tenant) return next();
+
+    const requestedId = req.params.tenantId || req.get(TENANT_HEADER);
+
+    if (requestedId) {
+        req.tenant = getTenant(requestedId);
+        if (!req.tenant) {
+            return res.status(404).json({ error: `Unknown tenant: ${requestedId}` });
+        }
+        addLogContext({ tenantId: req.tenant.id });
+        return next();
+    }
+
+    req.tenant = getDefaultTenant();
+    if (!req.tenant) {
+        return res.status(400).json({
+            error: "No tenant selected",
+            message: `Use the /tenants/:tenantId path prefix or the ${TENANT_HEADER} header`
+        });
+    }
+    addLogContext({ tenantId: req.tenant.id });
+    next();
+}
@@ -0,0 +1,95 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer();
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+test("a changed Google event is written to the Alchemy record as UTC", async () => {
+    const { status } = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: {
+            recordId: "4001",
+            start: { dateTime: "2025-03-04T14:00:00-05:00" },
+            end: { dateTime: "2025-03-04T16:00:00", timeZone: "America/Chicago" }
+        }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(emulator.alchemy.getRecord("4001"), { StartUse: "2025-03-04T19:00:00Z", EndUse: "2025-03-04T22:00:00Z" });
+});
+
+test("an all-day event is written as dates with an inclusive end", async () => {
+    await server.request("PUT", "/update-alchemy", {
+        body: { recordId: "4002", start: { date: "2025-03-10" }, end: { date: "2025-03-12" } }
+    });
+
+    assert.deepEqual(emulator.alchemy.getRecord("4002"), { StartUse: "2025-03-10", EndUse: "2025-03-11" });
+});
+
+test("a cancellation sets the cancelled status", async () => {
+    await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4003", fields: [{ identifier: "EventStatus" }] }
+    });
+
+    assert.deepEqual(emulator.alchemy.getRecord("4003"), { EventStatus: "Removed From Calendar" });
+});
+
+test("unreadable times are refused", async () => {
+    const { status, body } = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4004", start: { dateTime: "2025-03-04T25:00:00Z" }, end: { dateTime: "2025-03-04T16:00:00Z" } }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "invalid_date");
+    assert.equal(emulator.alchemy.getRecord("4004"), null);
+});
+
+test("an expired Alchemy token is refreshed and the update retried", async () => {
+    await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4005", start: { dateTime: "2025-03-04T14:00:00Z" }, end: { dateTime: "2025-03-04T15:00:00Z" } }
+    });
+    emulator.expireTokens();
+
+    const { status } = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4005", start: { dateTime: "2025-03-04T15:00:00Z" }, end: { dateTime: "2025-03-04T16:00:00Z" } }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(emulator.requestsTo("PUT", "/refresh-token").length, 2);
+    assert.equal(emulator.alchemy.getRecord("4005").StartUse, "2025-03-04T15:00:00Z");
+});
+
+test("the update is queued when Alchemy answers 5xx", async () => {
+    emulator.fail({ method: "PUT", path: "/update-record", status: 503 });
+
+    const { status, body } = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4006", start: { dateTime: "2025-03-04T14:00:00Z" }, end: { dateTime: "2025-03-04T15:00:00Z" } }
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.queued, true);
+
+    const jobs = await server.request("GET", "/admin/jobs?status=pending", { admin: true });
+    assert.ok(jobs.body.jobs.some(job => job.id === body.jobId && job.payload.recordId === "4006"));
+});
+
+test("an update that fails without an HTTP status is not queued", async () => {
+    emulator.expireTokens();
+    emulator.fail({ method: "PUT", path: "/refresh-token", status: 200, body: { tokens: [] } });
+
+    const { status, body } = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4007", start: { dateTime: "2025-03-04T14:00:00Z" }, end: { dateTime: "2025-03-04T15:00:00Z" } }
+    });
+
+    assert.equal(status, 500);
+    assert.match(body.details, /not found in response/);
+    const jobs = await server.request("GET", "/admin/jobs", { admin: true });
+    assert.ok(!jobs.body.jobs.some(job => job.payload.recordId === "4007"));
+});
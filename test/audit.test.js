@@ -0,0 +1,45 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getAuditLog } from "../audit.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alchemy-google-audit-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function auditLog(id, auditMaxBytes) {
+    return getAuditLog({ id, storage: { auditFile: path.join(dir, `${id}.jsonl`), auditMaxBytes } });
+}
+
+function entry(index) {
+    return { action: "updated", source: "alchemy", target: "google", erCode: `ER${index}`, calendarId: "primary" };
+}
+
+test("the trail moves to <file>.1 once it reaches the size limit, and queries read both files", async () => {
+    const log = auditLog("rotating", 1000);
+    for (let index = 0; index < 12; index++) {
+        await log.append(entry(index));
+    }
+
+    assert.ok(fs.statSync(log.file).size <= 1000);
+    assert.ok(fs.existsSync(`${log.file}.1`));
+    assert.deepEqual((await log.query({ erCode: "ER11" })).map(found => found.erCode), ["ER11"]);
+    const entries = await log.query({ limit: 1000 });
+    assert.equal(entries[0].erCode, "ER11");
+    assert.ok(entries.length < 12);
+});
+
+test("recent queries are answered from the latest entries in memory", async () => {
+    const log = auditLog("recent");
+    for (let index = 0; index < 5; index++) {
+        await log.append({ ...entry(index), action: index % 2 ? "failed" : "updated" });
+    }
+    fs.writeFileSync(log.file, "");
+
+    const failures = await log.query({ action: "failed", recent: true, limit: 10 });
+
+    assert.deepEqual(failures.map(found => found.erCode), ["ER3", "ER1"]);
+    assert.deepEqual(await log.query({ action: "failed" }), []);
+});
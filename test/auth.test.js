@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// Credentials are read when auth.js is first imported
+const ADMIN_TOKEN = "admin-token-0123456789abcdef0123456789";
+Object.assign(process.env, {
+    API_KEYS: "scheduler:key-1",
+    HMAC_SECRETS: "alchemy-prod:signing-secret",
+    SIGNATURE_TOLERANCE_SECONDS: "300",
+    IP_ALLOWLIST: "127.0.0.1,10.1.0.0/16",
+    ADMIN_TOKEN,
+    LOG_LEVEL: "silent"
+});
+const { authenticate, requireAdmin, getAuthStatus, getPublicAuthStatus } = await import("../auth.js");
+
+// Run a middleware on a request with the given headers and raw body. Resolves to
+// { next: true, caller } when it let the request through, or { status, body } when it answered.
+function run(middleware, { headers = {}, rawBody = "", ip = "127.0.0.1", tenant } = {}) {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { method: "POST", originalUrl: "/create-event", ip, tenant, rawBody: Buffer.from(rawBody), get: name => lowerCased[name.toLowerCase()] };
+    return new Promise(resolve => {
+        const res = {
+            set: () => res,
+            status: status => ({ json: body => resolve({ status, body }) })
+        };
+        middleware(req, res, () => resolve({ next: true, caller: req.caller }));
+    });
+}
+
+function signed(rawBody, { secret = "signing-secret", timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+    return { rawBody, headers: { "X-Signature-Timestamp": String(timestamp), "X-Signature": `sha256=${signature}` } };
+}
+
+test("API keys are accepted as X-API-Key or a bearer token", async () => {
+    assert.deepEqual(await run(authenticate, { headers: { "X-API-Key": "key-1" } }), { next: true, caller: "scheduler" });
+    assert.deepEqual(await run(authenticate, { headers: { Authorization: "Bearer key-1" } }), { next: true, caller: "scheduler" });
+    assert.equal((await run(authenticate, { headers: { "X-API-Key": "key-2" } })).status, 401);
+    assert.equal((await run(authenticate)).status, 401);
+});
+
+test("a tenant's own API keys only work for that tenant", async () => {
+    const tenant = { id: "lab", auth: { apiKeys: { "lab-scheduler": "lab-key" } } };
+
+    assert.equal((await run(authenticate, { headers: { "X-API-Key": "lab-key" }, tenant })).caller, "lab-scheduler");
+    assert.equal((await run(authenticate, { headers: { "X-API-Key": "lab-key" } })).status, 401);
+});
+
+test("a signature over the timestamp and raw body authenticates the caller once", async () => {
+    const request = signed('{"erCode":"ER1"}');
+
+    assert.deepEqual(await run(authenticate, request), { next: true, caller: "alchemy-prod" });
+    assert.equal((await run(authenticate, request)).body.message, "Signature has already been used");
+});
+
+test("signatures over another body, with another secret or outside the tolerance are refused", async () => {
+    const tampered = { ...signed('{"erCode":"ER2"}'), rawBody: '{"erCode":"ER3"}' };
+    const stale = signed('{"erCode":"ER4"}', { timestamp: Math.floor(Date.now() / 1000) - 301 });
+
+    assert.equal((await run(authenticate, tampered)).body.message, "Invalid signature");
+    assert.equal((await run(authenticate, signed('{"erCode":"ER5"}', { secret: "guess" }))).body.message, "Invalid signature");
+    assert.equal((await run(authenticate, stale)).body.message, "Signature timestamp is outside the allowed window");
+    assert.equal((await run(authenticate, { headers: { "X-Signature": "sha256=00" } })).body.message, "Missing or invalid X-Signature-Timestamp");
+});
+
+test("the IP allowlist takes addresses and IPv4 ranges", async () => {
+    const headers = { "X-API-Key": "key-1" };
+
+    assert.equal((await run(authenticate, { headers, ip: "::ffff:127.0.0.1" })).next, true);
+    assert.equal((await run(authenticate, { headers, ip: "10.1.200.7" })).next, true);
+    assert.equal((await run(authenticate, { headers, ip: "10.2.0.1" })).status, 403);
+    assert.equal((await run(requireAdmin, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }, ip: "192.168.0.1" })).status, 403);
+});
+
+test("admin routes need the admin token, which also works on sync routes", async () => {
+    assert.deepEqual(await run(requireAdmin, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } }), { next: true, caller: "admin" });
+    assert.equal((await run(requireAdmin, { headers: { "X-API-Key": "key-1" } })).status, 401);
+    assert.equal((await run(authenticate, { headers: { "X-API-Key": ADMIN_TOKEN } })).caller, "admin");
+});
+
+test("the public status counts callers without naming them", () => {
+    assert.deepEqual(getAuthStatus().apiKeys, ["scheduler"]);
+    assert.deepEqual(getPublicAuthStatus(), { apiKeys: 1, hmacCallers: 1, signatureToleranceSeconds: 300, ipAllowlist: true, admin: true });
+});
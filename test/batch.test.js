@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer({ BATCH_MAX_ITEMS: "5", BATCH_CONCURRENCY: "2" });
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+function booking(erCode, day = "10") {
+    return { summary: `${erCode} HPLC run`, recordId: `rec-${erCode}`, StartUse: `Mar ${day} 2025 10:00 AM`, EndUse: `Mar ${day} 2025 11:00 AM` };
+}
+
+test("a batch creates, updates and cancels events with a result per reservation", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER7001") });
+    await server.request("POST", "/create-event", { body: booking("ER7002") });
+
+    const { status, body } = await server.request("POST", "/google/events/batch", {
+        body: {
+            reservations: [
+                booking("ER7003"),
+                booking("ER7001", "11"),
+                { ...booking("ER7002"), status: "cancelled" }
+            ]
+        }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => [result.index, result.erCode, result.action]), [
+        [0, "ER7003", "created"],
+        [1, "ER7001", "updated"],
+        [2, "ER7002", "cancelled"]
+    ]);
+    assert.deepEqual(body.summary, { created: 1, updated: 1, cancelled: 1 });
+    assert.equal(emulator.google.getEvent("primary", body.results[1].eventId).start.dateTime.slice(0, 10), "2025-03-11");
+});
+
+test("events already on the calendar are found by one listing instead of a lookup each", async () => {
+    for (const erCode of ["ER7101", "ER7102", "ER7103"]) {
+        await server.request("POST", "/create-event", { body: booking(erCode) });
+    }
+    const lookups = () => emulator.requests.filter(request => request.method === "GET" && /\/events\/[^/]+$/.test(request.path)).length;
+    const before = lookups();
+
+    const { body } = await server.request("POST", "/google/events/batch", {
+        body: { reservations: ["ER7101", "ER7102", "ER7103"].map(erCode => ({ ...booking(erCode), EndUse: "Mar 10 2025 11:30 AM" })) }
+    });
+
+    assert.deepEqual(body.results.map(result => result.action), ["updated", "updated", "updated"]);
+    assert.equal(lookups(), before);
+});
+
+test("a reservation that cannot be written fails alone", async () => {
+    const { status, body } = await server.request("POST", "/google/events/batch", {
+        body: {
+            reservations: [
+                booking("ER7201"),
+                { summary: "ER7202 HPLC run", StartUse: "Mar 10 2025 10:00 AM" },
+                { summary: "ER7203 HPLC run", StartUse: 10, EndUse: "Mar 10 2025 11:00 AM" }
+            ]
+        }
+    });
+
+    assert.equal(status, 207);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.results.map(result => [result.action, result.code]), [
+        ["created", undefined],
+        ["failed", "missing_time"],
+        ["failed", "invalid_request"]
+    ]);
+    assert.equal(body.results[2].details[0].path, "body.reservations[2].StartUse");
+});
+
+test("failed writes are queued per reservation", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, status: 503 });
+
+    const { status, body } = await server.request("POST", "/google/events/batch", { body: { reservations: [booking("ER7301")] } });
+
+    assert.equal(status, 207);
+    assert.equal(body.results[0].action, "queued");
+    assert.ok(body.results[0].jobId);
+});
+
+test("statuses are written back to Alchemy after the batch", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER7402") });
+
+    const { body } = await server.request("POST", "/google/events/batch", {
+        body: { reservations: [booking("ER7401"), { ...booking("ER7402"), status: "cancelled" }] }
+    });
+
+    assert.equal(body.alchemy.updated, 2);
+    assert.deepEqual(emulator.alchemy.getRecord("rec-ER7401"), { EventStatus: "Pushed to Calendar" });
+    assert.deepEqual(emulator.alchemy.getRecord("rec-ER7402"), { EventStatus: "Removed From Calendar" });
+
+    const skipped = await server.request("POST", "/google/events/batch", { body: { reservations: [booking("ER7403")], writeBack: false } });
+    assert.equal(skipped.body.alchemy.updated, 0);
+    assert.equal(emulator.alchemy.getRecord("rec-ER7403"), null);
+});
+
+test("batches over the size limit are refused", async () => {
+    const { status, body } = await server.request("POST", "/google/events/batch", {
+        body: { reservations: [1, 2, 3, 4, 5, 6].map(day => booking(`ER75${day}`, `1${day}`)) }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].code, "too_long");
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer();
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+async function createBooking(erCode, overrides = {}) {
+    const { body } = await server.request("POST", "/create-event", {
+        body: {
+            summary: `${erCode} Mass spec`,
+            recordId: `rec-${erCode}`,
+            StartUse: "Mar 05 2025 09:00 AM",
+            EndUse: "Mar 05 2025 10:00 AM",
+            ...overrides
+        }
+    });
+    return body;
+}
+
+test("DELETE /google/events/:erCode cancels the event, drops the mapping and updates Alchemy", async () => {
+    const created = await createBooking("ER2001");
+
+    const { status, body } = await server.request("DELETE", "/google/events/ER2001");
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.results[0].alreadyGone, false);
+    assert.equal(emulator.google.getEvent("primary", created.event.id).status, "cancelled");
+    assert.equal(emulator.alchemy.getRecord("rec-ER2001").EventStatus, "Removed From Calendar");
+
+    const mappings = await server.request("GET", "/google/tracked-events?erCode=ER2001", { admin: true });
+    assert.equal(mappings.body.count, 0);
+});
+
+test("a create-event request with status cancelled cancels the event", async () => {
+    const created = await createBooking("ER2002");
+
+    const { status, body } = await server.request("POST", "/create-event", {
+        body: { summary: "ER2002 Mass spec", recordId: "rec-ER2002", status: "cancelled" }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "cancelled");
+    assert.equal(emulator.google.getEvent("primary", created.event.id).status, "cancelled");
+});
+
+test("an event already deleted in Google counts as cancelled", async () => {
+    const created = await createBooking("ER2003");
+    emulator.google.deleteEvent("primary", created.event.id);
+
+    const { status, body } = await server.request("DELETE", "/google/events/ER2003");
+
+    assert.equal(status, 200);
+    assert.equal(body.results[0].alreadyGone, true);
+    assert.equal(body.alchemy.updated, true);
+});
+
+test("an event already cancelled in Google counts as cancelled", async () => {
+    const created = await createBooking("ER2004");
+    emulator.google.cancelEvent("primary", created.event.id);
+
+    const { status, body } = await server.request("DELETE", "/google/events/ER2004");
+
+    assert.equal(status, 200);
+    assert.equal(body.results[0].alreadyGone, true);
+});
+
+test("cancelling one calendar leaves the reservation on the others", async () => {
+    await createBooking("ER2005", { calendarIds: ["hplc@example.com", "lab@example.com"] });
+
+    const { status, body } = await server.request("DELETE", "/google/events/ER2005?calendarId=lab@example.com");
+
+    assert.equal(status, 200);
+    assert.equal(body.alchemy.skipped, true);
+    assert.deepEqual(body.alchemy.remainingCalendars, ["hplc@example.com"]);
+    assert.equal(emulator.alchemy.getRecord("rec-ER2005"), null);
+});
+
+test("the Alchemy status update is queued when Alchemy answers 5xx", async () => {
+    await createBooking("ER2006");
+    emulator.fail({ method: "PUT", path: "/update-record", status: 502 });
+
+    const { status, body } = await server.request("DELETE", "/google/events/ER2006");
+
+    assert.equal(status, 200);
+    assert.equal(body.alchemy.queued, true);
+    assert.ok(body.alchemy.jobId);
+});
+
+test("cancelling an unknown ER code answers 404", async () => {
+    const { status } = await server.request("DELETE", "/google/events/ER2999");
+
+    assert.equal(status, 404);
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+let withKeyLock;
+let parseRetryAfter;
+
+before(async () => {
+    server = await startTestServer({
+        UPSTREAM_MAX_CONCURRENCY: "2",
+        UPSTREAM_RATE_LIMIT_RETRIES: "2",
+        UPSTREAM_RATE_LIMIT_BASE_DELAY_MS: "20",
+        UPSTREAM_RATE_LIMIT_MAX_DELAY_SECONDS: "5"
+    });
+    emulator = server.emulator;
+    ({ withKeyLock, parseRetryAfter } = await import("../concurrency.js"));
+});
+
+after(() => server.close());
+
+function booking(erCode) {
+    return { summary: `${erCode} GC run`, recordId: `rec-${erCode}`, StartUse: "Mar 07 2025 10:00 AM", EndUse: "Mar 07 2025 11:00 AM" };
+}
+
+test("tasks for the same key run one at a time, in order", async () => {
+    const order = [];
+    const task = (name, ms) => async () => {
+        order.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        order.push(`${name} end`);
+    };
+
+    await Promise.all([
+        withKeyLock("a", task("first", 30)),
+        withKeyLock("a", async () => {
+            throw new Error("failed");
+        }).catch(() => order.push("second failed")),
+        withKeyLock("a", task("third", 1)),
+        withKeyLock("b", task("other key", 1))
+    ]);
+
+    assert.deepEqual(order, ["first start", "other key start", "other key end", "first end", "second failed", "third start", "third end"]);
+});
+
+test("Retry-After is read as seconds or an HTTP date", () => {
+    assert.equal(parseRetryAfter("7"), 7);
+    assert.equal(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) >= 9, true);
+    assert.equal(parseRetryAfter("soon"), null);
+    assert.equal(parseRetryAfter(null), null);
+});
+
+test("simultaneous requests for a new ER code create one event", async () => {
+    const responses = await Promise.all([1, 2, 3, 4].map(() => server.request("POST", "/create-event", { body: booking("ER6001") })));
+
+    assert.deepEqual(responses.map(response => response.body.action), ["created", "unchanged", "unchanged", "unchanged"]);
+    const events = emulator.google.listEvents("primary").filter(event => event.extendedProperties.private.alchemyId === "ER6001");
+    assert.equal(events.length, 1);
+});
+
+test("a 429 is retried after Retry-After", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, status: 429, headers: { "Retry-After": "1" } });
+    const startedAt = Date.now();
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER6002") });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "created");
+    assert.ok(Date.now() - startedAt >= 1000);
+});
+
+test("Google's 403 rateLimitExceeded is retried with backoff", async () => {
+    emulator.fail({
+        method: "POST",
+        path: /\/events$/,
+        status: 403,
+        times: 2,
+        body: { error: { code: 403, message: "Rate Limit Exceeded", errors: [{ reason: "rateLimitExceeded" }] } }
+    });
+
+    const { status } = await server.request("POST", "/create-event", { body: booking("ER6003") });
+
+    assert.equal(status, 200);
+});
+
+test("a lookup that is rate limited does not recreate the event", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER6004") });
+    emulator.fail({ method: "GET", path: created.body.event.id, status: 429, times: 3 });
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER6004") });
+
+    assert.equal(status, 202);
+    assert.equal(body.queued, true);
+    assert.equal(emulator.google.listEvents("primary").filter(event => event.summary === "ER6004 GC run").length, 1);
+});
+
+test("a rate limit that outlasts the retries is queued after Retry-After", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, status: 429, headers: { "Retry-After": "120" } });
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER6005") });
+
+    assert.equal(status, 202);
+    const job = await server.request("GET", `/admin/jobs/${body.jobId}`, { admin: true });
+    assert.ok(Date.parse(job.body.nextAttemptAt) - Date.now() > 100 * 1000);
+});
+
+test("outbound calls stay within the concurrency limit", async () => {
+    emulator.reset();
+    emulator.fail({ method: "PUT", path: "/update-record", delayMs: 50, times: 6 });
+
+    const responses = await Promise.all([1, 2, 3, 4, 5, 6].map(index => server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: `70${index}`, start: { dateTime: "2025-03-07T15:00:00Z" }, end: { dateTime: "2025-03-07T16:00:00Z" } }
+    })));
+
+    assert.ok(responses.every(response => response.status === 200));
+    assert.equal(emulator.load.peakInFlight, 2);
+});
+
+test("unlinking an ER code waits for a write to it that is in flight", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, delayMs: 200 });
+
+    const creating = server.request("POST", "/create-event", { body: booking("ER6006") });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const unlinked = await server.request("DELETE", "/google/tracked-events/ER6006", { admin: true });
+
+    assert.equal((await creating).body.action, "created");
+    assert.equal(unlinked.status, 200);
+    const { body } = await server.request("GET", "/google/tracked-events?erCode=ER6006", { admin: true });
+    assert.equal(body.count, 0);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer({ GOOGLE_CONFLICT_POLICY: "reject", GOOGLE_CONFLICT_CALENDAR_POLICIES: "shared@example.com=warn" });
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+function booking(erCode, overrides = {}) {
+    return { summary: `${erCode} NMR`, recordId: `rec-${erCode}`, StartUse: "Mar 03 2025 10:00 AM", EndUse: "Mar 03 2025 11:00 AM", ...overrides };
+}
+
+// An event someone booked directly in Google
+function bookedInGoogle(calendarId, summary, start, end) {
+    return emulator.google.insertEvent(calendarId, { summary, start: { dateTime: start }, end: { dateTime: end } });
+}
+
+test("a booking over another event is rejected with the overlapping events", async () => {
+    const other = bookedInGoogle("primary", "Service visit", "2025-03-03T10:30:00-05:00", "2025-03-03T11:30:00-05:00");
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER9501") });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.conflicts.map(conflict => conflict.eventId), [other.id]);
+    assert.ok(!emulator.google.listEvents("primary").some(event => event.summary === "ER9501 NMR"));
+});
+
+test("events marked free and back-to-back events do not conflict", async () => {
+    emulator.google.insertEvent("primary", {
+        summary: "Reminder", transparency: "transparent",
+        start: { dateTime: "2025-03-04T10:00:00-05:00" }, end: { dateTime: "2025-03-04T11:00:00-05:00" }
+    });
+    bookedInGoogle("primary", "Earlier run", "2025-03-04T09:00:00-05:00", "2025-03-04T10:00:00-05:00");
+
+    const { status } = await server.request("POST", "/create-event", {
+        body: booking("ER9502", { StartUse: "Mar 04 2025 10:00 AM", EndUse: "Mar 04 2025 11:00 AM" })
+    });
+
+    assert.equal(status, 200);
+});
+
+test("a recurring booking is checked at every occurrence, not just the first", async () => {
+    // Free on 5 March, taken on 12 March (after the switch to daylight saving time)
+    const other = bookedInGoogle("primary", "Calibration", "2025-03-12T10:00:00-04:00", "2025-03-12T10:30:00-04:00");
+
+    const { status, body } = await server.request("POST", "/create-event", {
+        body: booking("ER9503", { StartUse: "Mar 05 2025 10:00 AM", EndUse: "Mar 05 2025 11:00 AM", recurrence: "FREQ=WEEKLY;COUNT=3" })
+    });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.conflicts.map(conflict => conflict.eventId), [other.id]);
+});
+
+test("occurrences that miss the other events are written, and EXDATE skips an occurrence", async () => {
+    bookedInGoogle("shared@example.com", "Calibration", "2025-03-13T10:00:00-04:00", "2025-03-13T10:30:00-04:00");
+    bookedInGoogle("shared@example.com", "Training", "2025-03-20T10:00:00-04:00", "2025-03-20T10:30:00-04:00");
+
+    const { status, body } = await server.request("POST", "/create-event", {
+        body: booking("ER9504", {
+            calendarId: "shared@example.com",
+            StartUse: "Mar 06 2025 10:00 AM",
+            EndUse: "Mar 06 2025 11:00 AM",
+            recurrence: ["RRULE:FREQ=WEEKLY;COUNT=3", "EXDATE;TZID=America/New_York:20250313T100000"]
+        })
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.conflicts.map(conflict => conflict.summary), ["Training"]);
+});
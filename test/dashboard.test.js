@@ -0,0 +1,134 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fetch from "node-fetch";
+import { startTestServer, ADMIN_TOKEN } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer({ ALCHEMY_RECORD_URL: "https://alchemy.example.com/{{tenantName}}/records/{{recordId}}" });
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+const LOGIN = `Basic ${Buffer.from(`admin:${ADMIN_TOKEN}`).toString("base64")}`;
+
+function booking(erCode) {
+    return { summary: `${erCode} Confocal`, recordId: `rec-${erCode}`, StartUse: "Mar 21 2025 10:00 AM", EndUse: "Mar 21 2025 11:00 AM" };
+}
+
+// Load a dashboard page as a logged-in browser. Resolves to { status, headers, text }.
+async function page(route, { authorization = LOGIN } = {}) {
+    const response = await fetch(`${server.url}${route}`, { headers: authorization ? { Authorization: authorization } : {} });
+    return { status: response.status, headers: response.headers, text: await response.text() };
+}
+
+// Submit one of an ER code's action forms, with the form token from its page unless one is given
+async function submit(erCode, action, { formToken } = {}) {
+    if (formToken === undefined) {
+        const { text } = await page(`/dashboard/mappings/${erCode}`);
+        formToken = text.match(/name="formToken" value="([0-9a-f]+)"/)[1];
+    }
+    const response = await fetch(`${server.url}/dashboard/mappings/${erCode}/${action}`, {
+        method: "POST",
+        redirect: "manual",
+        headers: { Authorization: LOGIN, "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ tenantId: "default", calendarId: "primary", formToken }).toString()
+    });
+    return { status: response.status, location: response.headers.get("location") };
+}
+
+async function trackedEvent(erCode) {
+    const { body } = await server.request("GET", `/google/tracked-events?erCode=${erCode}`, { admin: true });
+    return body.mappings[0] || null;
+}
+
+test("browsers log in with the admin token as the password", async () => {
+    const anonymous = await page("/dashboard", { authorization: null });
+    assert.equal(anonymous.status, 401);
+    assert.match(anonymous.headers.get("www-authenticate"), /^Basic realm="Admin dashboard"/);
+
+    const wrong = await page("/dashboard", { authorization: `Basic ${Buffer.from("admin:guess").toString("base64")}` });
+    assert.equal(wrong.status, 401);
+
+    const { status, headers, text } = await page("/dashboard");
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /text\/html/);
+    assert.match(headers.get("content-security-policy"), /default-src 'none'/);
+    assert.match(text, /<td class="ok">working<\/td>/);
+});
+
+test("mappings link to their Google event and Alchemy record", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER7101") });
+    const eid = Buffer.from(created.body.event.id).toString("base64url");
+
+    const { text } = await page("/dashboard?erCode=ER7101");
+
+    assert.ok(text.includes(`href="https://www.google.com/calendar/event?eid=${eid}"`));
+    assert.ok(text.includes('href="https://alchemy.example.com/test-lab/records/rec-ER7101"'));
+    assert.match(text, /<td>created<\/td>\s*<td>alchemy &rarr; google<\/td>/);
+});
+
+test("values shown on the dashboard are escaped", async () => {
+    await server.request("POST", "/create-event", { body: { ...booking("ER7102"), calendarId: "<b>lab</b>@example.com" } });
+
+    const { text } = await page("/dashboard?erCode=ER7102");
+
+    assert.ok(text.includes("&lt;b&gt;lab&lt;/b&gt;@example.com"));
+    assert.ok(!text.includes("<b>lab</b>"));
+});
+
+test("actions need the dashboard's form token", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER7103") });
+
+    assert.equal((await submit("ER7103", "unlink", { formToken: "" })).status, 400);
+    assert.equal((await submit("ER7103", "unlink", { formToken: "0123abcd" })).status, 403);
+    assert.ok(await trackedEvent("ER7103"));
+});
+
+test("re-push writes the event as Google has it to the Alchemy record", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER7104") });
+    emulator.google.updateEvent("primary", created.body.event.id, {
+        start: { dateTime: "2025-03-21T13:00:00-04:00" },
+        end: { dateTime: "2025-03-21T14:00:00-04:00" }
+    });
+
+    const { status, location } = await submit("ER7104", "repush");
+
+    assert.equal(status, 303);
+    assert.equal(emulator.alchemy.getRecord("rec-ER7104").StartUse, "2025-03-21T17:00:00Z");
+    assert.match((await page(location)).text, /primary: repushed \(event /);
+    const { body } = await server.request("GET", "/admin/audit/ER7104?source=admin", { admin: true });
+    assert.deepEqual([body.entries[0].action, body.entries[0].target], ["updated", "alchemy"]);
+});
+
+test("force-recreate replaces the event with a copy and cancels the old one", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER7105") });
+    const oldEventId = created.body.event.id;
+
+    const { status } = await submit("ER7105", "recreate");
+
+    assert.equal(status, 303);
+    const { eventId } = await trackedEvent("ER7105");
+    assert.notEqual(eventId, oldEventId);
+    assert.equal(emulator.google.getEvent("primary", oldEventId).status, "cancelled");
+    const copy = emulator.google.getEvent("primary", eventId);
+    assert.equal(copy.summary, "ER7105 Confocal");
+    assert.equal(copy.start.dateTime, created.body.event.start.dateTime);
+    assert.equal(copy.extendedProperties.private.alchemyId, "ER7105");
+});
+
+test("unlink forgets the mapping and leaves the event alone", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER7106") });
+
+    const { status, location } = await submit("ER7106", "unlink");
+
+    assert.equal(status, 303);
+    assert.equal(await trackedEvent("ER7106"), null);
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).status, "confirmed");
+    assert.match((await page(location)).text, /No mappings\./);
+    const { body } = await server.request("GET", "/admin/audit/ER7106?action=unlinked", { admin: true });
+    assert.equal(body.entries[0].eventId, created.body.event.id);
+});
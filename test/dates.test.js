@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+let parseAlchemyDate;
+let convertToAlchemyFormat;
+let resolveLocalTime;
+
+before(async () => {
+    server = await startTestServer({ ALCHEMY_DST_POLICY: "reject" });
+    emulator = server.emulator;
+    ({ parseAlchemyDate, convertToAlchemyFormat } = await import("../fieldMapping.js"));
+    ({ resolveLocalTime } = await import("../timeZones.js"));
+});
+
+after(() => server.close());
+
+const newYork = { localZone: "America/New_York", dstPolicy: "compatible" };
+
+test("Alchemy local date-times are read in Alchemy's timezone", () => {
+    assert.deepEqual(parseAlchemyDate("Feb 28 2025 02:00 PM", newYork), { dateTime: "2025-02-28T14:00:00.000-05:00" });
+    assert.deepEqual(parseAlchemyDate("Jul 01 2025 02:00 PM", newYork), { dateTime: "2025-07-01T14:00:00.000-04:00" });
+});
+
+test("UTC and ISO values keep their offset", () => {
+    assert.deepEqual(parseAlchemyDate("2025-02-28T19:00:00Z", newYork), { dateTime: "2025-02-28T14:00:00.000-05:00" });
+    assert.deepEqual(parseAlchemyDate("2025-02-28T14:00:00+01:00", newYork, { outputZone: "UTC" }), { dateTime: "2025-02-28T13:00:00.000Z" });
+    assert.deepEqual(parseAlchemyDate("2025-02-28T14:00:00", newYork), { dateTime: "2025-02-28T14:00:00.000-05:00" });
+});
+
+test("unreadable values are rejected as invalid_date", () => {
+    assert.equal(parseAlchemyDate("next Tuesday", newYork).error.code, "invalid_date");
+    assert.equal(parseAlchemyDate("", newYork).error.code, "invalid_date");
+});
+
+test("DST gaps and overlaps follow the policy", () => {
+    const skipped = { year: 2025, month: 3, day: 9, hour: 2, minute: 30 };
+    const repeated = { year: 2025, month: 11, day: 2, hour: 1, minute: 30 };
+    const at = (wall, policy) => resolveLocalTime(wall, "America/New_York", policy).dateTime?.toISO();
+
+    assert.equal(at(skipped, "compatible"), "2025-03-09T03:30:00.000-04:00");
+    assert.equal(at(skipped, "earlier"), "2025-03-09T01:30:00.000-05:00");
+    assert.equal(at(repeated, "compatible"), "2025-11-02T01:30:00.000-04:00");
+    assert.equal(at(repeated, "later"), "2025-11-02T01:30:00.000-05:00");
+    assert.equal(resolveLocalTime(skipped, "America/New_York", "reject").error.code, "nonexistent_local_time");
+    assert.equal(resolveLocalTime(repeated, "America/New_York", "reject").error.code, "ambiguous_local_time");
+});
+
+test("date-times are written to Alchemy as UTC", () => {
+    assert.equal(convertToAlchemyFormat("2025-02-28T14:00:00-05:00"), "2025-02-28T19:00:00Z");
+    assert.equal(convertToAlchemyFormat("2025-02-28T14:00:00", undefined, { timeZone: "America/Chicago" }), "2025-02-28T20:00:00Z");
+    assert.equal(convertToAlchemyFormat("not a date"), null);
+});
+
+test("events are written in their calendar's timezone", async () => {
+    emulator.google.addCalendar("chicago@example.com", { timeZone: "America/Chicago" });
+
+    const { status, body } = await server.request("POST", "/create-event", {
+        body: { summary: "ER3001 NMR", calendarId: "chicago@example.com", StartUse: "Mar 04 2025 02:00 PM", EndUse: "Mar 04 2025 03:00 PM" }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.event.start, { dateTime: "2025-03-04T13:00:00.000-06:00", timeZone: "America/Chicago" });
+});
+
+test("a request timeZone applies to its local date-times", async () => {
+    const { body } = await server.request("POST", "/create-event", {
+        body: { summary: "ER3002 NMR", timeZone: "Europe/London", StartUse: "Mar 04 2025 02:00 PM", EndUse: "Mar 04 2025 03:00 PM" }
+    });
+
+    assert.deepEqual(body.event.start, { dateTime: "2025-03-04T14:00:00.000+00:00", timeZone: "Europe/London" });
+});
+
+test("date-only values make an all-day event with an exclusive end date", async () => {
+    const { body } = await server.request("POST", "/create-event", {
+        body: { summary: "ER3003 Stability chamber", StartUse: "2025-03-10", EndUse: "2025-03-11" }
+    });
+
+    assert.deepEqual(body.event.start, { date: "2025-03-10" });
+    assert.deepEqual(body.event.end, { date: "2025-03-12" });
+});
+
+test("bad dates are refused with a structured error", async () => {
+    const invalid = await server.request("POST", "/create-event", {
+        body: { summary: "ER3004 NMR", StartUse: "soon", EndUse: "Mar 04 2025 03:00 PM" }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "invalid_date");
+
+    const skipped = await server.request("POST", "/create-event", {
+        body: { summary: "ER3005 NMR", StartUse: "Mar 09 2025 02:30 AM", EndUse: "Mar 09 2025 04:00 AM" }
+    });
+    assert.equal(skipped.status, 400);
+    assert.equal(skipped.body.code, "nonexistent_local_time");
+    assert.equal(emulator.requestsTo("POST", "/events").length, 3);
+});
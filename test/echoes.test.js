@@ -0,0 +1,163 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer({ GOOGLE_WEBHOOK_URL: "https://middleware.example.com/google/notifications" });
+    emulator = server.emulator;
+    const { startWatching } = await import("../googleWatcher.js");
+    await startWatching();
+});
+
+after(() => server.close());
+
+function booking(erCode, overrides = {}) {
+    return { summary: `${erCode} NMR`, recordId: `rec-${erCode}`, StartUse: "Mar 14 2025 10:00 AM", EndUse: "Mar 14 2025 11:00 AM", ...overrides };
+}
+
+// Tell the middleware the calendar changed, as Google would
+async function notify() {
+    const [channel] = emulator.google.channels;
+    await fetch(`${server.url}/google/notifications`, {
+        method: "POST",
+        headers: { "X-Goog-Channel-ID": channel.id, "X-Goog-Resource-State": "exists", "X-Goog-Resource-ID": channel.resourceId }
+    });
+}
+
+async function auditEntries(erCode, action) {
+    const { body } = await server.request("GET", `/admin/audit/${erCode}?action=${action}`, { admin: true });
+    return body.entries;
+}
+
+async function waitFor(check) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error("Timed out waiting for the sync");
+}
+
+test("an event written from Alchemy is not pushed back to Alchemy", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER8001") });
+
+    await notify();
+    await waitFor(async () => (await auditEntries("ER8001", "skipped")).length > 0);
+
+    const [entry] = await auditEntries("ER8001", "skipped");
+    assert.deepEqual([entry.source, entry.target, entry.reason], ["google", "alchemy", "echo"]);
+    assert.equal(emulator.alchemy.getRecord("rec-ER8001"), null);
+});
+
+test("a Google edit is pushed once, and Alchemy's echo of it is not sent back", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER8002") });
+    emulator.google.updateEvent("primary", created.body.event.id, {
+        start: { dateTime: "2025-03-14T13:00:00-04:00" },
+        end: { dateTime: "2025-03-14T14:00:00-04:00" }
+    });
+
+    await notify();
+    await waitFor(() => emulator.alchemy.getRecord("rec-ER8002"));
+    assert.equal(emulator.alchemy.getRecord("rec-ER8002").StartUse, "2025-03-14T17:00:00Z");
+
+    // The Alchemy automation answers with the values it was just given
+    const patches = emulator.requestsTo("PATCH", created.body.event.id).length;
+    const echo = await server.request("POST", "/create-event", {
+        body: booking("ER8002", { StartUse: "2025-03-14T17:00:00Z", EndUse: "2025-03-14T18:00:00Z" })
+    });
+
+    assert.equal(echo.status, 200);
+    assert.equal(echo.body.action, "unchanged");
+    assert.equal(emulator.requestsTo("PATCH", created.body.event.id).length, patches);
+    const [entry] = await auditEntries("ER8002", "skipped");
+    assert.deepEqual([entry.source, entry.target, entry.reason], ["alchemy", "google", "unchanged"]);
+});
+
+test("a repeat of the last synced values does not undo a newer Google edit", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER8003") });
+    emulator.google.updateEvent("primary", created.body.event.id, {
+        start: { dateTime: "2025-03-14T15:00:00-04:00" },
+        end: { dateTime: "2025-03-14T16:00:00-04:00" }
+    });
+
+    const { body } = await server.request("POST", "/create-event", { body: booking("ER8003") });
+
+    assert.equal(body.action, "unchanged");
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).start.dateTime, "2025-03-14T15:00:00-04:00");
+
+    // A real change in Alchemy is still written
+    const changed = await server.request("POST", "/create-event", { body: booking("ER8003", { EndUse: "Mar 14 2025 11:30 AM" }) });
+    assert.equal(changed.body.action, "updated");
+});
+
+test("a cancellation from Google is not written to Alchemy twice", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER8004") });
+    emulator.google.cancelEvent("primary", created.body.event.id);
+
+    await notify();
+    await waitFor(() => emulator.alchemy.getRecord("rec-ER8004"));
+    assert.deepEqual(emulator.alchemy.getRecord("rec-ER8004"), { EventStatus: "Removed From Calendar" });
+    const updates = emulator.requestsTo("PUT", "/update-record").length;
+
+    // The Alchemy automation reacts to the status with a cancellation
+    const echo = await server.request("POST", "/create-event", { body: booking("ER8004", { status: "cancelled" }) });
+
+    assert.equal(echo.status, 200);
+    assert.equal(echo.body.alchemy.skipped, true);
+    assert.equal(emulator.requestsTo("PUT", "/update-record").length, updates);
+});
+
+test("the echo of a cancellation from Alchemy does not relink the event", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER8005") });
+    await server.request("POST", "/create-event", { body: booking("ER8005", { status: "cancelled" }) });
+    const updates = emulator.requestsTo("PUT", "/update-record").length;
+
+    const syncs = () => emulator.requests.filter(request => request.query.syncToken).length;
+    const previous = syncs();
+    await notify();
+    await waitFor(() => syncs() > previous);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const { body } = await server.request("GET", "/google/tracked-events?erCode=ER8005", { admin: true });
+    assert.equal(body.count, 0);
+    assert.equal(emulator.requestsTo("PUT", "/update-record").length, updates);
+});
+
+test("a Google change read while an Alchemy write is in flight waits for it and sees its result", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER8006") });
+    const eventId = created.body.event.id;
+    emulator.google.updateEvent("primary", eventId, {
+        start: { dateTime: "2025-03-14T13:00:00-04:00" },
+        end: { dateTime: "2025-03-14T14:00:00-04:00" }
+    });
+    emulator.fail({ method: "PATCH", path: eventId, delayMs: 200 });
+
+    // Alchemy's change wins the conflict; the moved event is listed while it is being written
+    const pending = server.request("POST", "/create-event", { body: booking("ER8006", { EndUse: "Mar 14 2025 11:30 AM" }) });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await notify();
+    assert.equal((await pending).body.action, "updated");
+
+    await waitFor(async () => (await auditEntries("ER8006", "skipped")).some(entry => entry.reason === "echo"));
+    assert.equal(emulator.alchemy.getRecord("rec-ER8006"), null);
+    assert.equal(emulator.google.getEvent("primary", eventId).end.dateTime, "2025-03-14T11:30:00.000-04:00");
+});
+
+test("synced values match whatever order their keys were stored in", async () => {
+    const { matchesSyncState } = await import("../syncState.js");
+    const stored = {
+        summary: "ER8007 NMR",
+        start: { dateTime: "2025-03-14T14:00:00.000Z" },
+        reminders: { overrides: [{ minutes: 10, method: "popup" }], useDefault: false }
+    };
+    const snapshot = {
+        reminders: { useDefault: false, overrides: [{ method: "popup", minutes: 10 }] },
+        start: { dateTime: "2025-03-14T14:00:00.000Z" },
+        summary: "ER8007 NMR"
+    };
+
+    assert.equal(matchesSyncState(stored, snapshot), true);
+    assert.equal(matchesSyncState(stored, { ...snapshot, reminders: { useDefault: true } }), false);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+const { compileFieldMap, applyToGoogle, buildMappedFields, mergeFields, alchemyField } = await import("../fieldMapping.js");
+
+const RULES = compileFieldMap([
+    { alchemy: "Instrument", google: "location" },
+    { alchemy: "Priority", google: "colorId", transform: { type: "lookup", table: { High: "11", Low: "2" }, default: "1" } },
+    { alchemy: "SampleId", google: "extendedProperties.private.sampleId", direction: "toGoogle" },
+    { alchemy: "Operators", google: "attendees", transform: "attendees" },
+    { google: "description", direction: "toGoogle", transform: { type: "template", template: "{{ERCode}} on {{Instrument}}{{Missing}}" } },
+    { alchemy: "CalendarLink", direction: "toAlchemy", transform: { type: "template", template: "{{htmlLink}}" } }
+], "test");
+
+test("rules default to both directions and name their source when they are invalid", () => {
+    assert.equal(RULES[0].direction, "both");
+    assert.deepEqual(RULES[3].transform, { type: "attendees" });
+
+    assert.throws(() => compileFieldMap({}, "lab.json"), /lab\.json must be an array/);
+    assert.throws(() => compileFieldMap([{ alchemy: "A", google: "b", direction: "sideways" }], "lab.json"), /lab\.json rule 1: direction/);
+    assert.throws(() => compileFieldMap([{ alchemy: "A", google: "b", transform: "upper" }]), /transform must be one of/);
+    assert.throws(() => compileFieldMap([{ google: "b", transform: { type: "template", template: "x" } }]), /single direction/);
+    assert.throws(() => compileFieldMap([{ alchemy: "A" }]), /needs both "alchemy" and "google"/);
+    assert.throws(() => compileFieldMap([{ alchemy: "A", google: "b", transform: { type: "lookup" } }]), /need a table/);
+});
+
+test("Alchemy values are copied, looked up, split and rendered onto the event", () => {
+    const event = { summary: "ER7001 NMR" };
+    const record = { ERCode: "ER7001", Instrument: "NMR 600", Priority: "Urgent", SampleId: 42, Operators: "a@lab.org; b@lab.org,", Notes: "" };
+
+    assert.deepEqual(applyToGoogle(RULES, record, event, { timeZone: "UTC" }), []);
+    assert.deepEqual(event, {
+        summary: "ER7001 NMR",
+        location: "NMR 600",
+        colorId: "1",
+        extendedProperties: { private: { sampleId: "42" } },
+        attendees: [{ email: "a@lab.org" }, { email: "b@lab.org" }],
+        description: "ER7001 on NMR 600"
+    });
+});
+
+test("empty Alchemy values leave the event property alone", () => {
+    const event = { location: "Room 4" };
+
+    applyToGoogle(RULES, { Instrument: "" }, event, { timeZone: "UTC" });
+
+    assert.equal(event.location, "Room 4");
+});
+
+test("event values are mapped back to Alchemy fields, with lookups reversed", () => {
+    const event = { location: "NMR 600", colorId: "11", attendees: [{ email: "a@lab.org" }, { email: "b@lab.org" }], htmlLink: "https://calendar/e1" };
+
+    assert.deepEqual(buildMappedFields(RULES, event), [
+        alchemyField("Instrument", "NMR 600"),
+        alchemyField("Priority", "High"),
+        alchemyField("Operators", "a@lab.org, b@lab.org"),
+        alchemyField("CalendarLink", "https://calendar/e1")
+    ]);
+});
+
+test("a later field replaces an earlier one with the same identifier", () => {
+    const merged = mergeFields([alchemyField("StartUse", "a"), alchemyField("Instrument", "NMR")], [alchemyField("StartUse", "b")]);
+
+    assert.deepEqual(merged, [alchemyField("StartUse", "b"), alchemyField("Instrument", "NMR")]);
+});
@@ -0,0 +1,182 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer();
+    emulator = server.emulator;
+});
+
+after(() => server.close());
+
+function booking(erCode, overrides = {}) {
+    return {
+        summary: `${erCode} HPLC run`,
+        recordId: `rec-${erCode}`,
+        StartUse: "Mar 04 2025 02:00 PM",
+        EndUse: "Mar 04 2025 04:00 PM",
+        ...overrides
+    };
+}
+
+test("creates an event for a new ER code and stores its mapping", async () => {
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1001") });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "created");
+    assert.equal(body.erCode, "ER1001");
+
+    const event = emulator.google.getEvent("primary", body.event.id);
+    assert.equal(event.summary, "ER1001 HPLC run");
+    assert.equal(event.start.timeZone, "America/New_York");
+    assert.equal(event.start.dateTime, "2025-03-04T14:00:00.000-05:00");
+    assert.equal(event.extendedProperties.private.alchemyId, "ER1001");
+    assert.equal(event.extendedProperties.private.alchemyRecordId, "rec-ER1001");
+
+    const mappings = await server.request("GET", "/google/tracked-events?erCode=ER1001", { admin: true });
+    assert.equal(mappings.body.count, 1);
+    assert.equal(mappings.body.mappings[0].eventId, body.event.id);
+});
+
+test("updates the mapped event when the ER code is sent again", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1002") });
+    const updated = await server.request("POST", "/create-event", {
+        body: booking("ER1002", { EndUse: "Mar 04 2025 05:30 PM" })
+    });
+
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.action, "updated");
+    assert.equal(updated.body.event.id, created.body.event.id);
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).end.dateTime, "2025-03-04T17:30:00.000-05:00");
+    assert.equal(emulator.requestsTo("PATCH", created.body.event.id).length, 1);
+});
+
+test("Alchemy's change wins when both sides changed, under the default policy", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1010") });
+    emulator.google.updateEvent("primary", created.body.event.id, { location: "Room 12" });
+
+    const { body } = await server.request("POST", "/create-event", { body: booking("ER1010", { EndUse: "Mar 04 2025 05:00 PM" }) });
+
+    assert.equal(body.action, "updated");
+    assert.deepEqual(body.syncConflict, { winner: "alchemy" });
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).end.dateTime, "2025-03-04T17:00:00.000-05:00");
+});
+
+test("recreates an event that was deleted from Google", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1003") });
+    emulator.google.deleteEvent("primary", created.body.event.id);
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1003") });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "recreated");
+    assert.notEqual(body.event.id, created.body.event.id);
+    assert.ok(emulator.google.getEvent("primary", body.event.id));
+});
+
+test("recreates an event that was cancelled in Google", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1004") });
+    emulator.google.cancelEvent("primary", created.body.event.id);
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1004") });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "recreated");
+    assert.notEqual(body.event.id, created.body.event.id);
+    assert.equal(emulator.google.getEvent("primary", body.event.id).status, "confirmed");
+});
+
+test("recreates an event that is gone when it is updated", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1012") });
+    emulator.fail({ method: "PATCH", path: created.body.event.id, status: 410 });
+
+    const { body } = await server.request("POST", "/create-event", { body: booking("ER1012", { EndUse: "Mar 04 2025 05:00 PM" }) });
+
+    assert.equal(body.action, "recreated");
+    assert.notEqual(body.event.id, created.body.event.id);
+});
+
+test("an update refused for another reason is not mistaken for a deleted event", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1013") });
+    emulator.fail({ method: "PATCH", path: created.body.event.id, status: 400, body: { error: { code: 400, message: "Invalid colorId 404" } } });
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1013", { EndUse: "Mar 04 2025 05:00 PM" }) });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Invalid colorId 404/);
+    assert.equal(emulator.google.listEvents("primary").filter(event => event.summary === "ER1013 HPLC run").length, 1);
+});
+
+test("relinks to a stamped event when the mapping was lost", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER1005") });
+    await server.request("DELETE", "/google/tracked-events/ER1005", { admin: true });
+
+    const { body } = await server.request("POST", "/create-event", { body: booking("ER1005") });
+
+    assert.equal(body.action, "unchanged");
+    assert.equal(body.event.id, created.body.event.id);
+});
+
+test("refreshes an expired Google token and retries once", async () => {
+    await server.request("POST", "/create-event", { body: booking("ER1006") });
+    const tokenRequests = emulator.requestsTo("POST", "/google/token").length;
+    emulator.expireTokens();
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1006") });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "unchanged");
+    assert.equal(emulator.requestsTo("POST", "/google/token").length, tokenRequests + 1);
+});
+
+test("queues the write for retry when Google answers 5xx", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, status: 503 });
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1007") });
+
+    assert.equal(status, 202);
+    assert.equal(body.queued, true);
+
+    const job = await server.request("GET", `/admin/jobs/${body.jobId}`, { admin: true });
+    assert.equal(job.status, 200);
+    assert.equal(job.body.type, "google.syncEvent");
+    assert.equal(job.body.payload.erCode, "ER1007");
+});
+
+test("fails without queueing when Google refuses the event", async () => {
+    emulator.fail({ method: "POST", path: /\/events$/, status: 400, body: { error: { code: 400, message: "Invalid start time" } } });
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER1008") });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Invalid start time/);
+});
+
+test("calendar IDs with reserved characters are written to their own calendar", async () => {
+    const calendarId = "en.usa#holiday@group.v.calendar.google.com";
+
+    const created = await server.request("POST", "/create-event", { body: booking("ER1011", { calendarId }) });
+    const updated = await server.request("POST", "/create-event", { body: booking("ER1011", { calendarId, EndUse: "Mar 04 2025 05:00 PM" }) });
+    const cancelled = await server.request("DELETE", `/google/events/ER1011?calendarId=${encodeURIComponent(calendarId)}`);
+
+    assert.deepEqual([created.body.action, updated.body.action, cancelled.status], ["created", "updated", 200]);
+    const event = emulator.google.getEvent(calendarId, created.body.event.id);
+    assert.equal(event.end.dateTime, "2025-03-04T17:00:00.000-05:00");
+    assert.equal(event.status, "cancelled");
+});
+
+test("writes one record to several calendars", async () => {
+    const { status, body } = await server.request("POST", "/create-event", {
+        body: booking("ER1009", { calendarIds: ["hplc@example.com", "lab@example.com"] })
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => [result.calendarId, result.action]), [
+        ["hplc@example.com", "created"],
+        ["lab@example.com", "created"]
+    ]);
+    assert.equal(emulator.google.listEvents("lab@example.com").length, 1);
+});
@@ -0,0 +1,62 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The queue reads its settings when it is first imported
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alchemy-google-jobs-"));
+Object.assign(process.env, { JOB_QUEUE_FILE: path.join(dir, "jobs.json"), JOB_BASE_DELAY_SECONDS: "0", LOG_LEVEL: "silent" });
+const { isRetryableError, registerJobHandler, enqueueJob, processDueJobs, getJob } = await import("../jobQueue.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function httpError(status, details = {}) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, ...details });
+}
+
+test("network failures and temporary upstream statuses are retryable", () => {
+    assert.ok(isRetryableError(Object.assign(new Error("request failed, reason: socket hang up"), { name: "FetchError" })));
+    assert.ok(isRetryableError(Object.assign(new Error("The operation was aborted"), { name: "AbortError" })));
+    assert.ok(isRetryableError(Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" })));
+    for (const status of [408, 429, 500, 503]) {
+        assert.ok(isRetryableError(httpError(status)), `status ${status}`);
+    }
+    assert.ok(isRetryableError(httpError(403, { rateLimited: true })));
+});
+
+test("other errors are not retryable", () => {
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(httpError(403)), false);
+    assert.equal(isRetryableError(httpError(404)), false);
+    assert.equal(isRetryableError(new Error("Tenant 'lab' not found in response.")), false);
+    assert.equal(isRetryableError(new SyntaxError("Unexpected token < in JSON at position 0")), false);
+    assert.equal(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'find')")), false);
+});
+
+test("a job that fails with an error without a status is dead-lettered at once", async () => {
+    let attempts = 0;
+    registerJobHandler("test.unreadable", () => {
+        attempts++;
+        throw new Error("Tenant 'lab' not found in response.");
+    });
+    const job = await enqueueJob("test.unreadable", {}, { error: httpError(503) });
+
+    await processDueJobs();
+
+    assert.equal(attempts, 1);
+    assert.equal(getJob(job.id).status, "dead");
+    assert.equal(getJob(job.id).lastError, "Tenant 'lab' not found in response.");
+});
+
+test("a job that fails with a temporary error stays pending", async () => {
+    registerJobHandler("test.unavailable", () => {
+        throw httpError(503);
+    });
+    const job = await enqueueJob("test.unavailable", {}, { error: httpError(503) });
+
+    await processDueJobs();
+
+    assert.equal(getJob(job.id).status, "pending");
+    assert.equal(getJob(job.id).attempts, 2);
+});
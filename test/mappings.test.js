@@ -0,0 +1,61 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+    for (const [erCode, calendarId] of [["ER5001", "primary"], ["ER5002", "primary"], ["ER5003", "lab@example.com"]]) {
+        await server.request("POST", "/create-event", {
+            body: { summary: `${erCode} Balance`, calendarId, StartUse: "Mar 06 2025 09:00 AM", EndUse: "Mar 06 2025 09:30 AM" }
+        });
+    }
+});
+
+after(() => server.close());
+
+test("mapping routes need the admin token", async () => {
+    const { status } = await server.request("GET", "/google/tracked-events");
+
+    assert.equal(status, 401);
+});
+
+test("GET /google/tracked-events lists mappings, optionally by calendar", async () => {
+    const all = await server.request("GET", "/google/tracked-events", { admin: true });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.count, 3);
+    assert.equal(all.body.storage.backend, "json");
+
+    const lab = await server.request("GET", "/google/tracked-events?calendarId=lab@example.com", { admin: true });
+    assert.deepEqual(lab.body.mappings.map(mapping => mapping.erCode), ["ER5003"]);
+});
+
+test("DELETE /google/tracked-events/:erCode removes one mapping", async () => {
+    const removed = await server.request("DELETE", "/google/tracked-events/ER5001", { admin: true });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.removed.length, 1);
+    const audit = await server.request("GET", "/admin/audit/ER5001?action=unlinked", { admin: true });
+    assert.deepEqual(audit.body.entries.map(entry => entry.source), ["admin"]);
+
+    const missing = await server.request("DELETE", "/google/tracked-events/ER5001", { admin: true });
+    assert.equal(missing.status, 404);
+});
+
+test("DELETE /google/tracked-events clears one calendar or all of them", async () => {
+    const lab = await server.request("DELETE", "/google/tracked-events?calendarId=lab@example.com", { admin: true });
+    assert.equal(lab.body.removedCount, 1);
+
+    const all = await server.request("DELETE", "/google/tracked-events", { admin: true });
+    assert.equal(all.body.removedCount, 1);
+
+    const { body } = await server.request("GET", "/google/tracked-events", { admin: true });
+    assert.equal(body.count, 0);
+});
+
+test("mapping routes work under the tenant prefix", async () => {
+    const { status, body } = await server.request("GET", "/tenants/default/google/tracked-events", { admin: true });
+
+    assert.equal(status, 200);
+    assert.equal(body.storage.tenant, "default");
+});
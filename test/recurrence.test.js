@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+const { normalizeRecurrence, occurrenceKey, occurrenceTarget, recordException, seriesRecurrence, expandOccurrences } = await import("../recurrence.js");
+
+// Occurrence starts as ISO strings in the event's zone
+function starts(eventBody, options) {
+    return expandOccurrences(eventBody, "America/New_York", options).map(occurrence => occurrence.start.toISO());
+}
+
+function weekly(recurrence, start = "2025-03-03T10:00:00-05:00") {
+    return { start: { dateTime: start, timeZone: "America/New_York" }, end: { dateTime: start.replace("T10", "T11") }, recurrence };
+}
+
+test("rules are read as RRULEs unless they name another recurrence line", () => {
+    assert.deepEqual(normalizeRecurrence("FREQ=WEEKLY;BYDAY=MO;COUNT=10"), { rules: ["RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10"] });
+    assert.deepEqual(normalizeRecurrence(["RRULE:FREQ=DAILY;COUNT=3", "EXDATE:20250304T150000Z"]).rules.length, 2);
+    assert.deepEqual(normalizeRecurrence(""), { rules: null });
+});
+
+test("invalid rules are refused with the reason", () => {
+    assert.match(normalizeRecurrence("FREQ=FORTNIGHTLY").error, /needs FREQ/);
+    assert.match(normalizeRecurrence("FREQ=DAILY;COUNT=3;UNTIL=20250401").error, /both COUNT and UNTIL/);
+    assert.match(normalizeRecurrence("FREQ=DAILY;COUNT").error, /KEY=VALUE/);
+    assert.match(normalizeRecurrence(["EXDATE:20250304T150000Z"]).error, /at least one RRULE or RDATE/);
+});
+
+test("occurrences are keyed by their original start", () => {
+    assert.equal(occurrenceKey({ dateTime: "2025-03-10T10:00:00-04:00" }), "2025-03-10T14:00:00Z");
+    assert.equal(occurrenceKey({ date: "2025-03-10" }), "2025-03-10");
+    assert.equal(occurrenceKey({}), null);
+});
+
+test("an occurrence is written to its child record, else to its row of the series' record", () => {
+    const mapping = { recordId: "500", recurrence: { instanceRecordIds: ["501", "502"] } };
+
+    assert.deepEqual(occurrenceTarget(mapping, 1), { recordId: "502", row: 0 });
+    assert.deepEqual(occurrenceTarget(mapping, 2), { recordId: "500", row: 2 });
+});
+
+test("exceptions are kept when the series is written again", () => {
+    const moved = { id: "series_20250310", status: "confirmed", originalStartTime: { dateTime: "2025-03-10T10:00:00-04:00" }, start: { dateTime: "2025-03-11T10:00:00-04:00" } };
+    const recurrence = recordException(seriesRecurrence(null, ["RRULE:FREQ=WEEKLY;COUNT=3"], [501, 502, 503]), moved, { recordId: "502", row: 0 });
+
+    const rewritten = seriesRecurrence(recurrence, ["RRULE:FREQ=WEEKLY;COUNT=4"]);
+
+    assert.deepEqual(rewritten.instanceRecordIds, ["501", "502", "503"]);
+    assert.equal(rewritten.exceptions["2025-03-10T14:00:00Z"].status, "moved");
+    assert.equal(seriesRecurrence(recurrence, null), null);
+});
+
+test("weekly series keep their local time across a DST change", () => {
+    assert.deepEqual(starts(weekly(["RRULE:FREQ=WEEKLY;COUNT=3"])), [
+        "2025-03-03T10:00:00.000-05:00",
+        "2025-03-10T10:00:00.000-04:00",
+        "2025-03-17T10:00:00.000-04:00"
+    ]);
+});
+
+test("BYDAY, UNTIL and EXDATE pick the occurrences", () => {
+    const recurrence = ["RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250312T235959Z", "EXDATE;TZID=America/New_York:20250305T100000"];
+
+    assert.deepEqual(starts(weekly(recurrence)), [
+        "2025-03-03T10:00:00.000-05:00",
+        "2025-03-10T10:00:00.000-04:00",
+        "2025-03-12T10:00:00.000-04:00"
+    ]);
+});
+
+test("monthly series take a weekday of the month, or skip months without the day", () => {
+    const secondTuesday = weekly(["RRULE:FREQ=MONTHLY;BYDAY=2TU;COUNT=3"], "2025-01-14T10:00:00-05:00");
+    assert.deepEqual(starts(secondTuesday).map(start => start.slice(0, 10)), ["2025-01-14", "2025-02-11", "2025-03-11"]);
+
+    const allDay = { start: { date: "2025-01-31" }, end: { date: "2025-02-01" }, recurrence: ["RRULE:FREQ=MONTHLY;COUNT=3"] };
+    assert.deepEqual(starts(allDay).map(start => start.slice(0, 10)), ["2025-01-31", "2025-03-31", "2025-05-31"]);
+});
+
+test("open-ended series stop at the limit, and unknown rule parts at the first occurrence", () => {
+    assert.equal(starts(weekly(["RRULE:FREQ=DAILY;INTERVAL=2"]), { limit: 5 }).length, 5);
+    assert.deepEqual(starts(weekly(["RRULE:FREQ=MONTHLY;BYSETPOS=-1;BYDAY=FR"])), ["2025-03-03T10:00:00.000-05:00"]);
+    assert.deepEqual(starts(weekly(undefined)), ["2025-03-03T10:00:00.000-05:00"]);
+});
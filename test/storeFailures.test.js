@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import fetch from "node-fetch";
+import { startTestServer, ADMIN_TOKEN } from "./helpers.js";
+
+let server;
+let blocker;
+
+// The SQLite file's directory is a regular file, so the mapping store cannot open until it is removed,
+// and the audit trail is a directory, so it cannot be read
+before(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alchemy-google-store-"));
+    blocker = path.join(dir, "not-a-directory");
+    fs.writeFileSync(blocker, "");
+    fs.mkdirSync(path.join(dir, "audit.jsonl"));
+    server = await startTestServer({
+        MAPPING_STORE: "sqlite",
+        MAPPING_SQLITE_FILE: path.join(blocker, "mappings.db"),
+        AUDIT_LOG_FILE: path.join(dir, "audit.jsonl")
+    });
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(path.dirname(blocker), { recursive: true, force: true });
+});
+
+async function isUp() {
+    const { status } = await server.request("GET", "/health/live");
+    return status === 200;
+}
+
+test("mapping routes answer 500 when the store cannot be opened", async () => {
+    for (const [method, route] of [["GET", "/google/tracked-events"], ["DELETE", "/google/tracked-events"], ["DELETE", "/google/tracked-events/ER4001"]]) {
+        const { status, body } = await server.request(method, route, { admin: true });
+        assert.equal(status, 500);
+        assert.match(body.error, /EEXIST|ENOTDIR/);
+    }
+    assert.ok(await isUp());
+});
+
+test("sync routes that read mappings answer 500 when the store cannot be opened", async () => {
+    const conflicts = await server.request("GET", "/google/sync-conflicts", { admin: true });
+    assert.equal(conflicts.status, 500);
+    assert.match(conflicts.body.error, /EEXIST|ENOTDIR/);
+
+    const update = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "4001", start: { dateTime: "2025-03-04T14:00:00Z" }, end: { dateTime: "2025-03-04T15:00:00Z" } }
+    });
+    assert.equal(update.status, 500);
+    assert.match(update.body.error, /EEXIST|ENOTDIR/);
+    assert.equal(server.emulator.alchemy.getRecord("4001"), null);
+    assert.ok(await isUp());
+});
+
+test("audit routes answer 500 when the trail cannot be read", async () => {
+    for (const route of ["/admin/audit", "/admin/audit/ER4001"]) {
+        const { status, body } = await server.request("GET", route, { admin: true });
+        assert.equal(status, 500);
+        assert.match(body.error, /EISDIR/);
+    }
+    assert.ok(await isUp());
+});
+
+test("dashboard pages answer a 500 error page when the store cannot be opened", async () => {
+    for (const route of ["/dashboard", "/dashboard/mappings/ER4001"]) {
+        const response = await fetch(`${server.url}${route}`, {
+            headers: { Authorization: `Basic ${Buffer.from(`admin:${ADMIN_TOKEN}`).toString("base64")}` }
+        });
+        assert.equal(response.status, 500);
+        assert.match(response.headers.get("content-type"), /text\/html/);
+        assert.match(await response.text(), /The page could not be loaded: .*(EEXIST|ENOTDIR)/);
+    }
+    assert.ok(await isUp());
+});
+
+// Runs last: it repairs the store
+test("a store that failed to open is opened again on the next request", async () => {
+    fs.rmSync(blocker);
+
+    const { status, body } = await server.request("GET", "/google/tracked-events", { admin: true });
+
+    assert.equal(status, 200);
+    assert.equal(body.storage.backend, "sqlite");
+});
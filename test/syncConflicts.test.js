@@ -0,0 +1,141 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let emulator;
+
+before(async () => {
+    server = await startTestServer({
+        SYNC_CONFLICT_POLICY: "review",
+        GOOGLE_WEBHOOK_URL: "https://middleware.example.com/google/notifications"
+    });
+    emulator = server.emulator;
+    const { startWatching } = await import("../googleWatcher.js");
+    await startWatching();
+});
+
+after(() => server.close());
+
+function booking(erCode, overrides = {}) {
+    return { summary: `${erCode} LC-MS run`, recordId: `rec-${erCode}`, StartUse: "Mar 18 2025 10:00 AM", EndUse: "Mar 18 2025 11:00 AM", ...overrides };
+}
+
+// A lab manager moves the event in Google
+function moveInGoogle(eventId, hour) {
+    emulator.google.updateEvent("primary", eventId, {
+        start: { dateTime: `2025-03-18T${hour}:00:00-04:00` },
+        end: { dateTime: `2025-03-18T${hour + 1}:00:00-04:00` }
+    });
+}
+
+async function syncConflicts(erCode) {
+    const { body } = await server.request("GET", `/google/sync-conflicts?erCode=${erCode}`, { admin: true });
+    return body.conflicts;
+}
+
+async function notify() {
+    const [channel] = emulator.google.channels;
+    await fetch(`${server.url}/google/notifications`, {
+        method: "POST",
+        headers: { "X-Goog-Channel-ID": channel.id, "X-Goog-Resource-State": "exists", "X-Goog-Resource-ID": channel.resourceId }
+    });
+}
+
+async function waitFor(check) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error("Timed out waiting for the sync");
+}
+
+test("edits on both sides since the last sync are flagged instead of written", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER9001") });
+    moveInGoogle(created.body.event.id, 13);
+
+    const { status, body } = await server.request("POST", "/create-event", { body: booking("ER9001", { EndUse: "Mar 18 2025 11:30 AM" }) });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, "flagged");
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).start.dateTime, "2025-03-18T13:00:00-04:00");
+
+    const [conflict] = await syncConflicts("ER9001");
+    assert.equal(conflict.eventId, created.body.event.id);
+    assert.equal(conflict.google.values.start.dateTime, "2025-03-18T17:00:00.000Z");
+    assert.equal(conflict.alchemy.eventBody.end.dateTime, "2025-03-18T11:30:00.000-04:00");
+    assert.equal(conflict.base.start.dateTime, "2025-03-18T14:00:00.000Z");
+});
+
+test("a conflict resolved for Alchemy writes the held-back change to Google", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER9002") });
+    moveInGoogle(created.body.event.id, 13);
+    await server.request("POST", "/create-event", { body: booking("ER9002", { EndUse: "Mar 18 2025 11:30 AM" }) });
+
+    const { status, body } = await server.request("POST", "/google/sync-conflicts/ER9002/resolve", { admin: true, body: { winner: "alchemy" } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.action), ["updated"]);
+    const event = emulator.google.getEvent("primary", created.body.event.id);
+    assert.equal(event.start.dateTime, "2025-03-18T10:00:00.000-04:00");
+    assert.equal(event.end.dateTime, "2025-03-18T11:30:00.000-04:00");
+    assert.deepEqual(await syncConflicts("ER9002"), []);
+});
+
+test("a conflict resolved for Google writes the event to Alchemy", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER9003") });
+    moveInGoogle(created.body.event.id, 15);
+    await server.request("POST", "/create-event", { body: booking("ER9003", { EndUse: "Mar 18 2025 11:30 AM" }) });
+
+    const { status } = await server.request("POST", "/google/sync-conflicts/ER9003/resolve", { admin: true, body: { winner: "google" } });
+
+    assert.equal(status, 200);
+    assert.equal(emulator.alchemy.getRecord("rec-ER9003").StartUse, "2025-03-18T19:00:00Z");
+    assert.equal(emulator.google.getEvent("primary", created.body.event.id).end.dateTime, "2025-03-18T16:00:00-04:00");
+    assert.deepEqual(await syncConflicts("ER9003"), []);
+
+    const missing = await server.request("POST", "/google/sync-conflicts/ER9003/resolve", { admin: true, body: { winner: "google" } });
+    assert.equal(missing.status, 404);
+});
+
+test("updates are conditional, so an edit made while writing is caught", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER9004") });
+    const eventId = created.body.event.id;
+    emulator.fail({ method: "PATCH", path: eventId, delayMs: 100 });
+
+    const pending = server.request("POST", "/create-event", { body: booking("ER9004", { EndUse: "Mar 18 2025 11:30 AM" }) });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    moveInGoogle(eventId, 13);
+    const { body } = await pending;
+
+    const [patch] = emulator.requestsTo("PATCH", eventId);
+    assert.ok(patch.headers["if-match"]);
+    assert.equal(body.action, "flagged");
+    assert.equal(emulator.google.getEvent("primary", eventId).start.dateTime, "2025-03-18T13:00:00-04:00");
+});
+
+test("a Google edit does not overwrite an Alchemy change still waiting to be written", async () => {
+    const created = await server.request("POST", "/create-event", { body: booking("ER9005") });
+    const eventId = created.body.event.id;
+    emulator.fail({ method: "PATCH", path: eventId, status: 503 });
+    const queued = await server.request("POST", "/create-event", { body: booking("ER9005", { EndUse: "Mar 18 2025 11:30 AM" }) });
+    assert.equal(queued.status, 202);
+
+    moveInGoogle(eventId, 13);
+    await notify();
+    await waitFor(async () => (await syncConflicts("ER9005")).length > 0);
+
+    const [conflict] = await syncConflicts("ER9005");
+    assert.equal(conflict.alchemy.eventBody.end.dateTime, "2025-03-18T11:30:00.000-04:00");
+    assert.equal(emulator.alchemy.getRecord("rec-ER9005"), null);
+    const job = await server.request("GET", `/admin/jobs/${queued.body.jobId}`, { admin: true });
+    assert.equal(job.status, 404);
+
+    // The Apps Script path is held back the same way while the conflict is open
+    const update = await server.request("PUT", "/alchemy/update-alchemy", {
+        body: { recordId: "rec-ER9005", start: { dateTime: "2025-03-18T18:00:00Z" }, end: { dateTime: "2025-03-18T19:00:00Z" } }
+    });
+    assert.equal(update.status, 409);
+    assert.equal(update.body.code, "sync_conflict");
+    assert.equal(emulator.alchemy.getRecord("rec-ER9005"), null);
+});
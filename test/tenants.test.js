@@ -0,0 +1,85 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Profiles are read when tenants.js is first imported
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alchemy-google-tenants-"));
+const profilesDir = path.join(dir, "profiles");
+fs.mkdirSync(profilesDir);
+fs.writeFileSync(path.join(dir, "tenants.json"), JSON.stringify({
+    tenants: [{
+        id: "lab-a",
+        name: "Lab A",
+        alchemy: { tenantName: "lab-a-prod", refreshToken: "env:LAB_A_ALCHEMY_TOKEN" },
+        google: { clientId: "lab-a-client", clientSecret: "env:LAB_A_GOOGLE_SECRET", refreshToken: "env:LAB_A_GOOGLE_TOKEN", defaultCalendarId: "lab-a@example.com" }
+    }]
+}));
+fs.writeFileSync(path.join(profilesDir, "lab-b.json"), JSON.stringify({
+    google: { defaultTimeZone: "Europe/Berlin" },
+    storage: { jsonFile: path.join(dir, "lab-b-events.json") }
+}));
+Object.assign(process.env, {
+    TENANTS_FILE: path.join(dir, "tenants.json"),
+    TENANTS_DIR: profilesDir,
+    EVENT_TRACKING_FILE: path.join(dir, "er_events.json"),
+    ALCHEMY_REFRESH_TOKEN: "environment-alchemy-token",
+    GOOGLE_REFRESH_TOKEN: "environment-google-token",
+    GOOGLE_DEFAULT_TIMEZONE: "America/Chicago",
+    LAB_A_ALCHEMY_TOKEN: "lab-a-alchemy-token",
+    LAB_A_GOOGLE_SECRET: "lab-a-google-secret",
+    LAB_A_GOOGLE_TOKEN: "lab-a-google-token",
+    LOG_LEVEL: "silent"
+});
+const { getTenant, listTenants, getDefaultTenant, selectTenant } = await import("../tenants.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run selectTenant on a request; resolves to { next: true, tenantId } or the response's { status, body }
+function select({ headers = {}, params = {} } = {}) {
+    const req = { params, get: name => headers[name] };
+    return new Promise(resolve => {
+        const res = { status: status => ({ json: body => resolve({ status, body }) }) };
+        selectTenant(req, res, () => resolve({ next: true, tenantId: req.tenant.id }));
+    });
+}
+
+test("profiles come from the tenants file and directory, named after the file unless they set an id", () => {
+    assert.deepEqual(listTenants().map(tenant => [tenant.id, tenant.name]), [["lab-a", "Lab A"], ["lab-b", "lab-b"]]);
+    assert.equal(getDefaultTenant(), null);
+});
+
+test("env: references are read from the environment", () => {
+    const tenant = getTenant("lab-a");
+
+    assert.equal(tenant.alchemy.refreshToken, "lab-a-alchemy-token");
+    assert.equal(tenant.google.clientSecret, "lab-a-google-secret");
+    assert.deepEqual(tenant.missing, []);
+});
+
+test("left-out settings come from the environment, except credentials and the calendar", () => {
+    const labA = getTenant("lab-a");
+    const labB = getTenant("lab-b");
+
+    assert.equal(labA.google.defaultTimeZone, "America/Chicago");
+    assert.equal(labB.google.defaultTimeZone, "Europe/Berlin");
+    assert.equal(labA.alchemy.fields.startField, "StartUse");
+    assert.equal(labB.google.defaultCalendarId, "primary");
+    assert.deepEqual(labA.google.watch.calendarIds, ["lab-a@example.com"]);
+    for (const setting of ["alchemy.tenantName", "alchemy.refreshToken", "google.refreshToken"]) {
+        assert.ok(labB.missing.includes(setting), setting);
+    }
+});
+
+test("each tenant keeps its mappings in its own file", () => {
+    assert.equal(getTenant("lab-a").storage.jsonFile, path.join(dir, "er_events.lab-a.json"));
+    assert.equal(getTenant("lab-b").storage.jsonFile, path.join(dir, "lab-b-events.json"));
+});
+
+test("requests pick their tenant by path prefix or header, and must pick one when there is no default", async () => {
+    assert.deepEqual(await select({ params: { tenantId: "lab-b" } }), { next: true, tenantId: "lab-b" });
+    assert.deepEqual(await select({ headers: { "X-Tenant-Id": "lab-a" } }), { next: true, tenantId: "lab-a" });
+    assert.equal((await select({ headers: { "X-Tenant-Id": "lab-c" } })).status, 404);
+    assert.equal((await select()).status, 400);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+const { resolveLocalTime, isValidTimeZone, alchemyTimeZone, inTimeZone } = await import("../timeZones.js");
+
+const ZONE = "America/New_York";
+
+// Resolve a wall-clock "yyyy-MM-dd HH:mm" in New York; the ISO instant, or the error code
+function resolve(text, policy) {
+    const [year, month, day, hour, minute] = text.split(/[- :]/).map(Number);
+    const { dateTime, error } = resolveLocalTime({ year, month, day, hour, minute }, ZONE, policy);
+    return error ? error.code : dateTime.toISO({ suppressMilliseconds: true });
+}
+
+test("ordinary wall-clock times take the zone's offset on that day", () => {
+    assert.equal(resolve("2025-01-15 09:30"), "2025-01-15T09:30:00-05:00");
+    assert.equal(resolve("2025-07-15 09:30"), "2025-07-15T09:30:00-04:00");
+});
+
+test("a time skipped by the spring-forward change follows the DST policy", () => {
+    assert.equal(resolve("2025-03-09 02:30"), "2025-03-09T03:30:00-04:00");
+    assert.equal(resolve("2025-03-09 02:30", "later"), "2025-03-09T03:30:00-04:00");
+    assert.equal(resolve("2025-03-09 02:30", "earlier"), "2025-03-09T01:30:00-05:00");
+    assert.equal(resolve("2025-03-09 02:30", "reject"), "nonexistent_local_time");
+});
+
+test("a time repeated by the fall-back change follows the DST policy", () => {
+    assert.equal(resolve("2025-11-02 01:30"), "2025-11-02T01:30:00-04:00");
+    assert.equal(resolve("2025-11-02 01:30", "earlier"), "2025-11-02T01:30:00-04:00");
+    assert.equal(resolve("2025-11-02 01:30", "later"), "2025-11-02T01:30:00-05:00");
+    assert.equal(resolve("2025-11-02 01:30", "reject"), "ambiguous_local_time");
+});
+
+test("zone names are checked and Alchemy's zone falls back to the tenant's default", () => {
+    assert.ok(isValidTimeZone("UTC"));
+    assert.ok(isValidTimeZone("Europe/Berlin"));
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+    assert.equal(isValidTimeZone(undefined), false);
+
+    assert.equal(alchemyTimeZone({ alchemy: { timeZone: "Europe/Berlin" }, google: { defaultTimeZone: ZONE } }), "Europe/Berlin");
+    assert.equal(alchemyTimeZone({ alchemy: {}, google: { defaultTimeZone: ZONE } }), ZONE);
+});
+
+test("timed values are written in the calendar's zone, others are left alone", () => {
+    const body = inTimeZone({
+        summary: "NMR",
+        start: { dateTime: "2025-03-04T15:00:00Z" },
+        end: { dateTime: "2025-03-04T17:00:00+01:00", timeZone: "Europe/Berlin" }
+    }, ZONE);
+
+    assert.deepEqual(body.start, { dateTime: "2025-03-04T10:00:00.000-05:00", timeZone: ZONE });
+    assert.deepEqual(body.end, { dateTime: "2025-03-04T17:00:00+01:00", timeZone: "Europe/Berlin" });
+    assert.deepEqual(inTimeZone({ start: { date: "2025-03-04" }, end: { date: "2025-03-05" } }, ZONE).start, { date: "2025-03-04" });
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+const { validateValue, validateRequest } = await import("../validation.js");
+const { getDefaultTenant } = await import("../tenants.js");
+
+// Run validateRequest for a route. Resolves to { next: true } or the 400 response's { status, body }.
+function validate(routeName, { body, query = {}, params = {} }) {
+    const req = { method: "POST", originalUrl: `/${routeName}`, tenant: getDefaultTenant(), body, query, params, headers: {} };
+    return new Promise(resolve => {
+        const res = { status: status => ({ json: response => resolve({ status, body: response }) }) };
+        validateRequest(routeName)(req, res, () => resolve({ next: true }));
+    });
+}
+
+test("types, enums and required properties are reported with their path", () => {
+    const schema = {
+        type: "object",
+        required: ["recordId"],
+        properties: { recordId: { type: ["string", "integer"] }, status: { type: "string", enum: ["open", "closed"] } }
+    };
+
+    assert.deepEqual(validateValue(schema, { recordId: 7, status: "open" }, "body"), []);
+    assert.deepEqual(validateValue(schema, { status: "done" }, "body").map(error => [error.path, error.code]), [
+        ["body.recordId", "required"],
+        ["body.status", "invalid_value"]
+    ]);
+    assert.equal(validateValue(schema, { recordId: 1.5 }, "body")[0].code, "invalid_type");
+    assert.equal(validateValue(schema, [], "body")[0].code, "invalid_type");
+});
+
+test("strings and lists are checked for length, pattern and format", () => {
+    assert.equal(validateValue({ type: "string", minLength: 1 }, "", "body.summary")[0].code, "too_short");
+    assert.equal(validateValue({ type: "string", pattern: "^ER\\d+$" }, "XY1", "params.erCode")[0].code, "invalid_format");
+    assert.equal(validateValue({ type: "string", format: "time-zone" }, "Mars/Olympus", "body.timeZone")[0].code, "invalid_format");
+
+    const list = { type: "array", minItems: 1, items: { type: "string" } };
+    assert.equal(validateValue(list, [], "body.ids")[0].code, "too_short");
+    assert.deepEqual(validateValue(list, ["a", 2], "body.ids").map(error => error.path), ["body.ids[1]"]);
+});
+
+test("anyOf needs one matching option and names them all", () => {
+    const time = {
+        anyOf: [
+            { type: "object", required: ["dateTime"] },
+            { type: "object", required: ["date"], description: "an all-day object" }
+        ]
+    };
+
+    assert.deepEqual(validateValue(time, { date: "2025-03-04" }, "body.start"), []);
+    const [error] = validateValue(time, {}, "body.start");
+    assert.equal(error.code, "no_match");
+    assert.match(error.message, /an object with dateTime; an all-day object/);
+});
+
+test("invalid requests are answered 400 with every field error", async () => {
+    const { status, body } = await validate("update-alchemy", { body: { start: { dateTime: "tomorrow" } } });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "invalid_request");
+    assert.ok(body.details.some(detail => detail.path === "body.recordId" && detail.code === "required"));
+});
+
+test("valid requests reach the handler", async () => {
+    const result = await validate("update-alchemy", {
+        body: { recordId: "4001", start: { dateTime: "2025-03-04T14:00:00Z" }, end: { dateTime: "2025-03-04T15:00:00Z" } }
+    });
+
+    assert.deepEqual(result, { next: true });
+});
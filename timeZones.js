@@ -0,0 +1,116 @@
+import { DateTime, IANAZone } from "luxon";
+import { getCalendar } from "./googleClient.js";
+import { logger } from "./logger.js";
+
+/**
+ * TIMEZONES
+ * ---------
+ * Alchemy date-times without an offset are wall-clock times in a known zone (see alchemy.dateFormats
+ * in config.js). A wall-clock time that a DST change skips (02:30 on the spring-forward day) or
+ * repeats (01:30 on the fall-back day) is resolved by the tenant's alchemy.dstPolicy:
+ *   compatible  skipped times move forward by the gap, repeated times take the earlier instant (default)
+ *   earlier     the earlier instant
+ *   later       the later instant
+ *   reject      an error: nonexistent_local_time or ambiguous_local_time
+ *
+ * Events are written in their calendar's own timezone, read from Google (calendars.get) and cached.
+ */
+
+export const DST_POLICIES = ["compatible", "earlier", "later", "reject"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_ZONE_TTL_MS = 60 * 60 * 1000;
+
+// Calendar timezones by tenant and calendar: { zone (a promise), expiresAt }
+const calendarZones = new Map();
+
+/**
+ * Whether a zone name is "UTC" or a known IANA zone
+ */
+export function isValidTimeZone(zone) {
+    return zone === "UTC" || IANAZone.isValidZone(zone);
+}
+
+/**
+ * The zone Alchemy shows local date-times in
+ */
+export function alchemyTimeZone(tenant) {
+    return tenant.alchemy.timeZone || tenant.google.defaultTimeZone;
+}
+
+/**
+ * The instant a wall-clock time ({ year, month, day, hour, minute, second, millisecond }) stands for
+ * in a zone, following a DST policy. Resolves to { dateTime } (a luxon DateTime in the zone) or
+ * { error: { code, message } }.
+ */
+export function resolveLocalTime(wall, zone, policy = "compatible") {
+    const local = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0, wall.millisecond || 0);
+    const offsetAt = instant => DateTime.fromMillis(instant, { zone }).offset;
+
+    // The zone's offsets on either side of the time; an offset fits if the instant it gives has that offset
+    const offsetBefore = offsetAt(local - DAY_MS);
+    const offsetAfter = offsetAt(local + DAY_MS);
+    const instants = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => local - offset * 60000)
+        .filter(instant => offsetAt(instant) === (local - instant) / 60000)
+        .sort((a, b) => a - b);
+
+    const text = DateTime.fromMillis(local, { zone: "UTC" }).toFormat("yyyy-MM-dd HH:mm");
+    let instant;
+    if (instants.length === 1) {
+        [instant] = instants;
+    } else if (instants.length === 2) {
+        if (policy === "reject") {
+            return { error: { code: "ambiguous_local_time", message: `${text} occurs twice in ${zone} (DST ends)` } };
+        }
+        instant = policy === "later" ? instants[1] : instants[0];
+    } else {
+        if (policy === "reject") {
+            return { error: { code: "nonexistent_local_time", message: `${text} does not exist in ${zone} (DST starts)` } };
+        }
+        // Read with the offset before the gap the time lands after it, and the other way round
+        instant = policy === "earlier" ? local - offsetAfter * 60000 : local - offsetBefore * 60000;
+    }
+
+    return { dateTime: DateTime.fromMillis(instant, { zone }) };
+}
+
+/**
+ * A calendar's timezone, looked up once an hour; the tenant's default timezone if it cannot be read
+ */
+export async function getCalendarTimeZone(tenant, calendarId) {
+    const key = `${tenant.id}|${calendarId}`;
+    const cached = calendarZones.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.zone;
+    }
+
+    const zone = getCalendar(tenant, calendarId)
+        .then(calendar => {
+            if (!isValidTimeZone(calendar?.timeZone)) {
+                throw new Error(`unknown timezone "${calendar?.timeZone}"`);
+            }
+            return calendar.timeZone;
+        })
+        .catch(error => {
+            // Failed lookups are not cached, so the next sync asks again
+            calendarZones.delete(key);
+            logger.warn(`Could not read the timezone of calendar ${calendarId}, using ${tenant.google.defaultTimeZone}: ${error.message}`);
+            return tenant.google.defaultTimeZone;
+        });
+    calendarZones.set(key, { zone, expiresAt: Date.now() + CALENDAR_ZONE_TTL_MS });
+    return zone;
+}
+
+/**
+ * An event body with timed start/end values written in a timezone. Values that already name a
+ * timezone (the request set one) and all-day dates are left as they are.
+ */
+export function inTimeZone(eventBody, zone) {
+    const convert = time => {
+        if (!time?.dateTime || time.timeZone) return time;
+        const dateTime = DateTime.fromISO(time.dateTime, { setZone: true }).setZone(zone);
+        return { ...time, dateTime: dateTime.toISO(), timeZone: zone };
+    };
+    return { ...eventBody, start: convert(eventBody.start), end: convert(eventBody.end) };
+}
@@ -0,0 +1,117 @@
+import config from "./config.js";
+import { logger } from "./logger.js";
+import { tokenRefreshFailures } from "./metrics.js";
+
+/**
+ * TOKEN MANAGER
+ * -------------
+ * Caches an access token until shortly before it expires, so bursts of requests share one
+ * token instead of each calling the refresh endpoint. Concurrent callers that find no valid
+ * token wait on the same refresh request.
+ *
+ * fetchToken() must resolve to { accessToken, expiresIn } (seconds) and throw on failure.
+ * labels ({ tenant, provider }) tag the manager's refresh failures in the metrics.
+ */
+
+const { refreshMarginSeconds } = config.tokens;
+
+// Read the expiry (seconds since epoch) from a JWT access token, if it is one
+export function getJwtExpiry(token) {
+    try {
+        const [, payload] = token.split(".");
+        const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        return typeof exp === "number" ? exp : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export function createTokenManager(name, fetchToken, labels = {}) {
+    let cached = null;          // { accessToken, expiresAt (ms) }
+    let pendingRefresh = null;
+    const stats = {
+        lastRefreshAt: null,
+        lastErrorAt: null,
+        lastError: null,
+        refreshCount: 0,
+        failureCount: 0
+    };
+
+    function isFresh() {
+        return cached && cached.expiresAt - refreshMarginSeconds * 1000 > Date.now();
+    }
+
+    async function refresh() {
+        try {
+            const { accessToken, expiresIn } = await fetchToken();
+            cached = { accessToken, expiresAt: Date.now() + expiresIn * 1000 };
+            stats.lastRefreshAt = new Date().toISOString();
+            stats.refreshCount++;
+            return accessToken;
+        } catch (error) {
+            stats.lastErrorAt = new Date().toISOString();
+            stats.lastError = error.message;
+            stats.failureCount++;
+            tokenRefreshFailures.inc(labels);
+            throw error;
+        } finally {
+            pendingRefresh = null;
+        }
+    }
+
+    return {
+        name,
+
+        // Resolve to a valid access token, refreshing it (once for all concurrent callers) when needed
+        async getToken() {
+            if (isFresh()) return cached.accessToken;
+            if (!pendingRefresh) pendingRefresh = refresh();
+            return pendingRefresh;
+        },
+
+        // Refresh now unless the token was refreshed in the last maxAgeSeconds, proving that the refresh
+        // credentials still work (a cached token outlives a revoked refresh token)
+        async verify(maxAgeSeconds) {
+            const refreshedAt = stats.lastRefreshAt ? Date.parse(stats.lastRefreshAt) : 0;
+            if (isFresh() && Date.now() - refreshedAt < maxAgeSeconds * 1000) return cached.accessToken;
+            if (!pendingRefresh) pendingRefresh = refresh();
+            return pendingRefresh;
+        },
+
+        // Drop a token the API rejected. Passing the rejected token avoids discarding one that
+        // another caller has already refreshed.
+        invalidate(accessToken) {
+            if (!accessToken || cached?.accessToken === accessToken) {
+                cached = null;
+            }
+        },
+
+        health() {
+            return {
+                cached: !!cached,
+                valid: !!isFresh(),
+                expiresAt: cached ? new Date(cached.expiresAt).toISOString() : null,
+                ...stats
+            };
+        }
+    };
+}
+
+/**
+ * Make an authenticated request with a managed token. If the API answers 401 the token
+ * is discarded and the request is sent once more with a freshly refreshed token.
+ * request(accessToken) must return a fetch Response.
+ */
+export async function fetchWithToken(manager, request) {
+    let accessToken = await manager.getToken();
+    let response = await request(accessToken);
+
+    if (response.status === 401) {
+        logger.warn(`${manager.name} token rejected with 401 - refreshing and retrying once`);
+        manager.invalidate(accessToken);
+        accessToken = await manager.getToken();
+        response = await request(accessToken);
+    }
+
+    return response;
+}
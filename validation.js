@@ -0,0 +1,150 @@
+import { DateTime, IANAZone } from "luxon";
+import { getRouteSchema } from "./schemas.js";
+import { logger } from "./logger.js";
+
+/**
+ * REQUEST VALIDATION
+ * ------------------
+ * Every route declares JSON Schemas for its body, query, params and headers (see schemas.js).
+ * validateRequest() checks them before the handler runs and answers 400 with field errors:
+ *   { error: "Invalid request", code: "invalid_request",
+ *     details: [{ path: "body.fields[0].identifier", code: "required", message }] }
+ *
+ * The validator covers the subset of JSON Schema the route schemas use: type, enum, required,
+ * properties, items, minItems, maxItems, minLength, pattern, format ("time-zone", "date-time") and anyOf.
+ */
+
+// Stable error codes; clients can rely on these
+export const ERROR_CODES = {
+    // Response codes (the "code" of a 400 response, or of a 409 for sync_conflict)
+    invalid_json: "The body is not valid JSON",
+    invalid_request: "The request does not match the route's schema (see details)",
+    invalid_field_value: "A field map rule could not convert a value (see details)",
+    invalid_date: "A start or end time could not be read as a date",
+    nonexistent_local_time: "A local time falls in a DST gap and the tenant's DST policy is reject",
+    ambiguous_local_time: "A local time occurs twice as DST ends and the tenant's DST policy is reject",
+    missing_time: "No start or end time was sent",
+    invalid_recurrence: "The recurrence rule could not be read",
+    missing_identifier: "No identifier could be resolved for the record",
+    sync_conflict: "The record changed in Alchemy too and the change was not written (see the sync conflict policy)",
+    // Field codes (the "code" of each entry in details)
+    required: "A required field is missing",
+    invalid_type: "The value has the wrong type",
+    invalid_value: "The value is not one of the allowed values",
+    too_short: "The string or list is shorter than allowed",
+    too_long: "The list is longer than allowed",
+    invalid_format: "The value does not have the expected format",
+    no_match: "The value matches none of the accepted shapes"
+};
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" && Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+function fieldError(path, code, message) {
+    return { path, code, message };
+}
+
+const FORMATS = {
+    "time-zone": value => IANAZone.isValidZone(value),
+    "date-time": value => DateTime.fromISO(value, { setZone: true }).isValid && /T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)
+};
+
+/**
+ * Validate a value against a schema. Returns the list of field errors; empty when the value is valid.
+ */
+export function validateValue(schema, value, path = "") {
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [fieldError(path, "invalid_type", `${path} must be of type ${types.join(" or ")}`)];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [fieldError(path, "invalid_value", `${path} must be one of: ${schema.enum.join(", ")}`)];
+    }
+
+    const errors = [];
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateValue(option, value, path).length === 0)) {
+        errors.push(fieldError(path, "no_match", `${path} must match one of: ${schema.anyOf.map(describeSchema).join("; ")}`));
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(fieldError(path, "too_short", `${path} must not be empty`));
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(fieldError(path, "invalid_format", `${path} must match ${schema.pattern}`));
+        } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push(fieldError(path, "invalid_format", `${path} must be a valid ${schema.format}`));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(fieldError(path, "too_short", `${path} must have at least ${schema.minItems} item(s)`));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(fieldError(path, "too_long", `${path} must have at most ${schema.maxItems} item(s)`));
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(fieldError(`${path}.${key}`, "required", `${path}.${key} is required`));
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateValue(propertySchema, value[key], `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Short description of an anyOf option for error messages
+function describeSchema(schema) {
+    if (schema.description) return schema.description;
+    if (schema.required) return `an object with ${schema.required.join(", ")}`;
+    return [].concat(schema.type || "any").join(" or ");
+}
+
+/**
+ * Send a structured error response: { error, code, ...extra }
+ */
+export function sendError(res, status, code, error, extra = {}) {
+    return res.status(status).json({ error, code, ...extra });
+}
+
+/**
+ * Express middleware that validates the request against a route's schemas before the handler runs
+ */
+export function validateRequest(routeName) {
+    return (req, res, next) => {
+        const schema = getRouteSchema(routeName, req.tenant);
+        const errors = ["params", "query", "headers", "body"]
+            .filter(part => schema[part])
+            .flatMap(part => validateValue(schema[part], part === "body" ? req.body ?? {} : req[part], part));
+
+        if (errors.length > 0) {
+            logger.warn(`Rejected ${req.method} ${req.originalUrl}: ${errors.map(error => error.message).join("; ")}`);
+            return sendError(res, 400, "invalid_request", "Invalid request", { details: errors });
+        }
+        next();
+    };
+}